@@ -0,0 +1,164 @@
+import { createClient } from '@supabase/supabase-js'
+import { checkEventPermission, permissionDenied } from '../../lib/permissions.js'
+
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_KEY
+)
+
+export default async function handler(req, res) {
+  // Set CORS headers
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+
+  // Handle OPTIONS preflight request
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  // Only allow GET requests
+  if (req.method !== 'GET') {
+    return res.status(405).json({
+      status: 'error',
+      message: 'Method not allowed'
+    });
+  }
+
+  try {
+    // Get the authorization header
+    const authHeader = req.headers.authorization;
+    if (!authHeader || !authHeader.startsWith('Bearer ')) {
+      return res.status(401).json({
+        status: 'error',
+        message: 'Missing or invalid authorization header'
+      });
+    }
+
+    const token = authHeader.split(' ')[1];
+
+    // Verify the token and get user details
+    const { data: { user }, error: authError } = await supabase.auth.getUser(token);
+
+    if (authError || !user) {
+      return res.status(401).json({
+        status: 'error',
+        message: 'Invalid or expired token'
+      });
+    }
+
+    // Get pagination parameters
+    const page = parseInt(req.query.page) || 1;
+    const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+    const offset = (page - 1) * limit;
+
+    // Get optional filters
+    const { event_id: eventId, actor, action, from, to } = req.query;
+
+    // actor is interpolated into an or() filter, so only accept a UUID
+    if (actor && !/^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i.test(actor)) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'actor must be a user id or auth id'
+      });
+    }
+
+    for (const [name, value] of [['from', from], ['to', to]]) {
+      if (value && isNaN(new Date(value).getTime())) {
+        return res.status(400).json({
+          status: 'error',
+          message: `${name} must be an ISO 8601 date`
+        });
+      }
+    }
+
+    // Super admins can read the whole log; event owners only their event's entries
+    const { data: userData } = await supabase
+      .from('users')
+      .select('role')
+      .eq('auth_id', user.id)
+      .maybeSingle();
+
+    if (userData?.role !== 'super_admin') {
+      if (!eventId) {
+        return res.status(400).json({
+          status: 'error',
+          message: 'event_id parameter is required for event owners'
+        });
+      }
+
+      const access = await checkEventPermission(user.id, eventId, 'manage_admins');
+      if (!access.allowed) {
+        return permissionDenied(res, access);
+      }
+    }
+
+    // Build the query
+    let query = supabase
+      .from('audit_log')
+      .select('*', { count: 'exact' })
+      .order('occurred_at', { ascending: false });
+
+    // Add filters if provided
+    if (eventId) {
+      query = query.eq('event_id', eventId);
+    }
+
+    // actor matches either the auth id or the users.user_id of whoever acted
+    if (actor) {
+      query = query.or(`actor_auth_id.eq.${actor},actor_user_id.eq.${actor}`);
+    }
+
+    // "ticket." matches every ticket action, "ticket.revoke" only that one
+    if (action) {
+      query = action.endsWith('.') ? query.like('action', `${action}%`) : query.eq('action', action);
+    }
+
+    if (from) {
+      query = query.gte('occurred_at', new Date(from).toISOString());
+    }
+
+    if (to) {
+      query = query.lte('occurred_at', new Date(to).toISOString());
+    }
+
+    // Apply pagination
+    query = query.range(offset, offset + limit - 1);
+
+    // Execute the query
+    const { data: entries, count, error: entriesError } = await query;
+
+    if (entriesError) {
+      throw entriesError;
+    }
+
+    // Calculate pagination info
+    const totalPages = Math.ceil(count / limit);
+    const hasNextPage = page < totalPages;
+    const hasPrevPage = page > 1;
+
+    return res.status(200).json({
+      status: 'success',
+      message: 'Audit log retrieved successfully',
+      data: {
+        entries,
+        pagination: {
+          total: count,
+          page,
+          limit,
+          totalPages,
+          hasNextPage,
+          hasPrevPage
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Error retrieving audit log:', error);
+    return res.status(500).json({
+      status: 'error',
+      message: 'An error occurred while retrieving the audit log',
+      error: error.message
+    });
+  }
+}
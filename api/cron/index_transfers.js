@@ -0,0 +1,38 @@
+import { indexTransfers } from '../../lib/transfer_indexer.js'
+
+export default async function handler(req, res) {
+  // Only allow GET requests (Vercel Cron always uses GET)
+  if (req.method !== 'GET') {
+    return res.status(405).json({ 
+      status: 'error', 
+      message: 'Method not allowed' 
+    });
+  }
+
+  // Vercel sends CRON_SECRET as a bearer token on scheduled invocations
+  if (!process.env.CRON_SECRET || req.headers.authorization !== `Bearer ${process.env.CRON_SECRET}`) {
+    return res.status(401).json({
+      status: 'error',
+      message: 'Unauthorized'
+    });
+  }
+
+  try {
+    const maxBlocks = parseInt(req.query.max_blocks) || undefined;
+    const summary = await indexTransfers({ maxBlocks });
+
+    return res.status(200).json({
+      status: 'success',
+      message: `Indexed transfers for ${summary.contracts.length} contract(s)`,
+      data: summary
+    });
+
+  } catch (error) {
+    console.error('Error indexing transfers:', error);
+    return res.status(500).json({
+      status: 'error',
+      message: 'An error occurred while indexing transfers',
+      error: error.message
+    });
+  }
+}
@@ -0,0 +1,38 @@
+import { processRevocationQueue } from '../../lib/revocation_worker.js'
+
+export default async function handler(req, res) {
+  // Only allow GET requests (Vercel Cron always uses GET)
+  if (req.method !== 'GET') {
+    return res.status(405).json({ 
+      status: 'error', 
+      message: 'Method not allowed' 
+    });
+  }
+
+  // Vercel sends CRON_SECRET as a bearer token on scheduled invocations
+  if (!process.env.CRON_SECRET || req.headers.authorization !== `Bearer ${process.env.CRON_SECRET}`) {
+    return res.status(401).json({
+      status: 'error',
+      message: 'Unauthorized'
+    });
+  }
+
+  try {
+    const limit = parseInt(req.query.limit) || 10;
+    const summary = await processRevocationQueue({ limit, workerId: 'vercel-cron' });
+
+    return res.status(200).json({
+      status: 'success',
+      message: `Processed ${summary.claimed} revocation job(s)`,
+      data: summary
+    });
+
+  } catch (error) {
+    console.error('Error processing revocation queue:', error);
+    return res.status(500).json({
+      status: 'error',
+      message: 'An error occurred while processing the revocation queue',
+      error: error.message
+    });
+  }
+}
@@ -0,0 +1,37 @@
+import { purgeDeletedTickets } from '../../lib/ticket_purge.js'
+
+export default async function handler(req, res) {
+  // Only allow GET requests (Vercel Cron always uses GET)
+  if (req.method !== 'GET') {
+    return res.status(405).json({ 
+      status: 'error', 
+      message: 'Method not allowed' 
+    });
+  }
+
+  // Vercel sends CRON_SECRET as a bearer token on scheduled invocations
+  if (!process.env.CRON_SECRET || req.headers.authorization !== `Bearer ${process.env.CRON_SECRET}`) {
+    return res.status(401).json({
+      status: 'error',
+      message: 'Unauthorized'
+    });
+  }
+
+  try {
+    const summary = await purgeDeletedTickets();
+
+    return res.status(200).json({
+      status: 'success',
+      message: `Purged ${summary.purged_count} deleted ticket(s)`,
+      data: summary
+    });
+
+  } catch (error) {
+    console.error('Error purging deleted tickets:', error);
+    return res.status(500).json({
+      status: 'error',
+      message: 'An error occurred while purging deleted tickets',
+      error: error.message
+    });
+  }
+}
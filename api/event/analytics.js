@@ -0,0 +1,113 @@
+import { createClient } from '@supabase/supabase-js'
+import { checkEventPermission, permissionDenied } from '../../lib/permissions.js'
+
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_KEY
+)
+
+export default async function handler(req, res) {
+  // Set CORS headers
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+
+  // Handle OPTIONS preflight request
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  // Only allow GET requests
+  if (req.method !== 'GET') {
+    return res.status(405).json({
+      status: 'error',
+      message: 'Method not allowed'
+    });
+  }
+
+  try {
+    // Get the authorization header
+    const authHeader = req.headers.authorization;
+    if (!authHeader || !authHeader.startsWith('Bearer ')) {
+      return res.status(401).json({
+        status: 'error',
+        message: 'Missing or invalid authorization header'
+      });
+    }
+
+    const token = authHeader.split(' ')[1];
+
+    // Verify the token and get user details
+    const { data: { user }, error: authError } = await supabase.auth.getUser(token);
+
+    if (authError || !user) {
+      return res.status(401).json({
+        status: 'error',
+        message: 'Invalid or expired token'
+      });
+    }
+
+    const { event_id, timezone = 'UTC' } = req.query;
+
+    if (!event_id) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Missing required parameter: event_id'
+      });
+    }
+
+    const access = await checkEventPermission(user.id, event_id, 'view');
+    if (!access.allowed) {
+      return permissionDenied(res, access);
+    }
+
+    const { data: event, error: eventError } = await supabase
+      .from('events')
+      .select('event_id, event_name, event_date')
+      .eq('event_id', event_id)
+      .maybeSingle();
+
+    if (eventError) {
+      throw eventError;
+    }
+
+    if (!event) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Event not found'
+      });
+    }
+
+    // Aggregated by event_ticket_analytics so the ticket rows never leave the database
+    const { data: analytics, error: analyticsError } = await supabase
+      .rpc('event_ticket_analytics', { p_event_id: event_id, p_timezone: timezone });
+
+    if (analyticsError) {
+      if (analyticsError.message?.includes('invalid_timezone')) {
+        return res.status(400).json({
+          status: 'error',
+          message: `Unknown timezone: ${timezone}`
+        });
+      }
+
+      throw analyticsError;
+    }
+
+    return res.status(200).json({
+      status: 'success',
+      message: 'Event analytics retrieved successfully',
+      data: {
+        ...event,
+        ...analytics
+      }
+    });
+
+  } catch (error) {
+    console.error('Error retrieving event analytics:', error);
+    return res.status(500).json({
+      status: 'error',
+      message: 'An error occurred while retrieving event analytics',
+      error: error.message
+    });
+  }
+}
@@ -0,0 +1,125 @@
+import { createClient } from '@supabase/supabase-js'
+import { checkEventPermission, permissionDenied } from '../../lib/permissions.js'
+import { recordAudit } from '../../lib/audit.js'
+
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_KEY
+)
+
+export default async function handler(req, res) {
+  // Set CORS headers
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+
+  // Handle OPTIONS preflight request
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  // Only allow POST requests
+  if (req.method !== 'POST') {
+    return res.status(405).json({
+      status: 'error',
+      message: 'Method not allowed'
+    });
+  }
+
+  try {
+    // Get the authorization header
+    const authHeader = req.headers.authorization;
+    if (!authHeader || !authHeader.startsWith('Bearer ')) {
+      return res.status(401).json({
+        status: 'error',
+        message: 'Missing or invalid authorization header'
+      });
+    }
+
+    const token = authHeader.split(' ')[1];
+
+    // Verify the token and get user details
+    const { data: { user }, error: authError } = await supabase.auth.getUser(token);
+
+    if (authError || !user) {
+      return res.status(401).json({
+        status: 'error',
+        message: 'Invalid or expired token'
+      });
+    }
+
+    const { event_id, archived = true } = req.body || {};
+
+    if (!event_id) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Missing required parameter: event_id'
+      });
+    }
+
+    // Verify the user may archive this event
+    const access = await checkEventPermission(user.id, event_id, 'archive_event');
+    if (!access.allowed) {
+      return permissionDenied(res, access);
+    }
+
+    // Check if the event exists
+    const { data: event, error: eventError } = await supabase
+      .from('events')
+      .select('*')
+      .eq('event_id', event_id)
+      .single();
+
+    if (eventError || !event) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Event not found'
+      });
+    }
+
+    // archived: false restores an event that was archived by mistake
+    const archiving = archived !== false;
+
+    const { data: updated, error: updateError } = await supabase
+      .from('events')
+      .update({
+        archived_at: archiving ? (event.archived_at || new Date().toISOString()) : null,
+        archived_by: archiving ? access.eventAdmin.user_id : null
+      })
+      .eq('event_id', event_id)
+      .select()
+      .single();
+
+    if (updateError) {
+      return res.status(500).json({
+        status: 'error',
+        message: 'Failed to archive event',
+        error: updateError.message
+      });
+    }
+
+    await recordAudit(req, user, {
+      action: archiving ? 'event.archive' : 'event.unarchive',
+      event_id,
+      target_type: 'event',
+      target_id: event_id,
+      actor_user_id: access.eventAdmin.user_id,
+      before: event,
+      after: updated
+    });
+
+    return res.status(200).json({
+      status: 'success',
+      message: archiving ? 'Event archived successfully' : 'Event restored successfully',
+      data: updated
+    });
+
+  } catch (error) {
+    console.error('Error archiving event:', error);
+    return res.status(500).json({
+      status: 'error',
+      message: 'An error occurred while archiving the event',
+      error: error.message
+    });
+  }
+}
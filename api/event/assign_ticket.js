@@ -0,0 +1,276 @@
+import { createClient } from '@supabase/supabase-js'
+import { checkEventPermission, permissionDenied } from '../../lib/permissions.js'
+import { recordAudit } from '../../lib/audit.js'
+import { pickMintWallet } from '../../lib/wallets.js'
+import { generateQrNonce } from '../../lib/ticket_qr.js'
+import { DEFAULT_NETWORK } from '../../lib/networks.js'
+
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_KEY
+)
+
+const ISSUE_REASONS = ['comp', 'box_office', 'replacement'];
+// Candidates tried when picking from a tier, in case other requests claim the first ones
+const TIER_CANDIDATES = 5;
+
+export default async function handler(req, res) {
+  // Set CORS headers
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+
+  // Handle OPTIONS preflight request
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  // Only allow POST requests
+  if (req.method !== 'POST') {
+    return res.status(405).json({
+      status: 'error',
+      message: 'Method not allowed'
+    });
+  }
+
+  try {
+    // Get the authorization header
+    const authHeader = req.headers.authorization;
+    if (!authHeader || !authHeader.startsWith('Bearer ')) {
+      return res.status(401).json({
+        status: 'error',
+        message: 'Missing or invalid authorization header'
+      });
+    }
+
+    const token = authHeader.split(' ')[1];
+
+    // Verify the token and get user details
+    const { data: { user }, error: authError } = await supabase.auth.getUser(token);
+
+    if (authError || !user) {
+      return res.status(401).json({
+        status: 'error',
+        message: 'Invalid or expired token'
+      });
+    }
+
+    const {
+      event_id,
+      ticket_id,
+      tier_id,
+      user_id,
+      wallet_address,
+      reason,
+      note,
+      transfer_on_chain = false
+    } = req.body || {};
+
+    if (!event_id || (!ticket_id && !tier_id) || (!user_id && !wallet_address)) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Missing required parameters: event_id, ticket_id or tier_id, and user_id or wallet_address'
+      });
+    }
+
+    if (!ISSUE_REASONS.includes(reason)) {
+      return res.status(400).json({
+        status: 'error',
+        message: `Invalid reason. Expected one of: ${ISSUE_REASONS.join(', ')}`
+      });
+    }
+
+    if (wallet_address && !/^0x[a-fA-F0-9]{40}$/.test(wallet_address)) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Invalid wallet address format'
+      });
+    }
+
+    const access = await checkEventPermission(user.id, event_id, 'assign_tickets');
+    if (!access.allowed) {
+      return permissionDenied(res, access);
+    }
+
+    // Resolve the attendee; a wallet must belong to a known user
+    let attendeeQuery = supabase.from('users').select('user_id, wallet_address');
+    attendeeQuery = user_id
+      ? attendeeQuery.eq('user_id', user_id)
+      : attendeeQuery.in('wallet_address', [wallet_address, wallet_address.toLowerCase()]);
+
+    const { data: attendees, error: attendeeError } = await attendeeQuery.limit(1);
+
+    if (attendeeError) {
+      throw attendeeError;
+    }
+
+    const attendee = attendees[0];
+    if (!attendee) {
+      return res.status(404).json({
+        status: 'error',
+        message: user_id ? 'User not found' : 'No user is linked to this wallet address'
+      });
+    }
+
+    const recipientWallet = wallet_address || attendee.wallet_address;
+    if (transfer_on_chain && !recipientWallet) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'The user has no wallet address to transfer the ticket to'
+      });
+    }
+
+    const { data: event, error: eventError } = await supabase
+      .from('events')
+      .select('event_id, blockchain_network, nft_contract_address, admin_wallets(wallet_address, role, is_active)')
+      .eq('event_id', event_id)
+      .single();
+
+    if (eventError || !event) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Event not found'
+      });
+    }
+
+    // Inventory: valid, live, unused tickets nobody holds yet. On-chain transfers
+    // also need the token to still be in the event wallet.
+    let candidateQuery = supabase
+      .from('tickets')
+      .select('ticket_id, ticket_number, tier_id, ticket_status, nft_mint_status, nft_token_id, nft_contract_address, owner_address, user_id, checked_in_at, deleted_at')
+      .eq('event_id', event_id);
+
+    candidateQuery = ticket_id
+      ? candidateQuery.eq('ticket_id', ticket_id)
+      : candidateQuery
+        .eq('tier_id', tier_id)
+        .eq('ticket_status', 'valid')
+        .is('user_id', null)
+        .is('deleted_at', null)
+        .is('checked_in_at', null)
+        .in('nft_mint_status', transfer_on_chain ? ['minted'] : ['pending', 'minted'])
+        .order('ticket_number', { ascending: true })
+        .limit(TIER_CANDIDATES);
+
+    const { data: candidates, error: candidatesError } = await candidateQuery;
+
+    if (candidatesError) {
+      throw candidatesError;
+    }
+
+    if (!candidates.length) {
+      return res.status(ticket_id ? 404 : 409).json({
+        status: 'error',
+        message: ticket_id ? 'Ticket not found for this event' : 'No unassigned tickets left in this tier'
+      });
+    }
+
+    if (ticket_id) {
+      const problem = getAssignProblem(candidates[0], transfer_on_chain);
+      if (problem) {
+        return res.status(409).json({
+          status: 'error',
+          message: problem
+        });
+      }
+    }
+
+    // Claim a ticket and queue its on-chain transfer in one transaction (assign_ticket).
+    // The transfer is sent by lib/transfer_worker.js, so a timeout here cannot leave the
+    // chain and the database disagreeing. A fresh qr_nonce invalidates any QR code issued
+    // for the ticket before.
+    const fromAddress = pickMintWallet(event.admin_wallets)?.wallet_address;
+
+    if (transfer_on_chain && !fromAddress) {
+      return res.status(409).json({
+        status: 'error',
+        message: 'Event has no active wallet to transfer the ticket from'
+      });
+    }
+
+    let ticket = null;
+    for (const candidate of candidates) {
+      const { data: claimed, error: claimError } = await supabase
+        .rpc('assign_ticket', {
+          p_ticket_id: candidate.ticket_id,
+          p_user_id: attendee.user_id,
+          p_issued_by: access.eventAdmin.user_id,
+          p_issue_reason: reason,
+          p_issue_note: note || null,
+          p_qr_nonce: generateQrNonce(),
+          p_transfer: transfer_on_chain
+            ? {
+                network: event.blockchain_network || DEFAULT_NETWORK,
+                contract_address: candidate.nft_contract_address || event.nft_contract_address,
+                token_id: candidate.nft_token_id,
+                // Minted tokens sit in the wallet the indexer last saw them in
+                from_address: candidate.owner_address || fromAddress,
+                to_address: recipientWallet.toLowerCase()
+              }
+            : null
+        })
+        .maybeSingle();
+
+      if (claimError) {
+        throw claimError;
+      }
+
+      if (claimed) {
+        ticket = claimed;
+        break;
+      }
+    }
+
+    if (!ticket) {
+      return res.status(409).json({
+        status: 'error',
+        message: 'The ticket was assigned by another request, please retry'
+      });
+    }
+
+    await recordAudit(req, user, {
+      action: 'ticket.assign',
+      event_id,
+      target_type: 'ticket',
+      target_id: ticket.ticket_id,
+      actor_user_id: access.eventAdmin.user_id,
+      after: ticket,
+      metadata: {
+        reason,
+        note: note || null,
+        assigned_user_id: attendee.user_id,
+        tier_id: tier_id || null,
+        qr_nonce_rotated: true,
+        transfer_status: ticket.transfer_status
+      }
+    });
+
+    return res.status(200).json({
+      status: 'success',
+      message: transfer_on_chain ? 'Ticket assigned; the on-chain transfer is queued' : 'Ticket assigned successfully',
+      data: {
+        ticket,
+        transfer_status: ticket.transfer_status
+      }
+    });
+
+  } catch (error) {
+    console.error('Error assigning ticket:', error);
+    return res.status(500).json({
+      status: 'error',
+      message: 'An error occurred while assigning the ticket',
+      error: error.message
+    });
+  }
+}
+
+function getAssignProblem(ticket, transferOnChain) {
+  if (ticket.deleted_at) return 'Ticket has been deleted';
+  if (ticket.ticket_status !== 'valid') return `Ticket is ${ticket.ticket_status}`;
+  if (ticket.user_id) return 'Ticket is already assigned';
+  if (ticket.checked_in_at) return 'Ticket has already been used';
+  if (transferOnChain && ticket.nft_mint_status !== 'minted') {
+    return `Ticket NFT cannot be transferred while it is ${ticket.nft_mint_status}`;
+  }
+  return null;
+}
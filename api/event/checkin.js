@@ -0,0 +1,210 @@
+import { createClient } from '@supabase/supabase-js'
+import { parseQrPayload, verifyQrSignature } from '../../lib/ticket_qr.js'
+import { checkEventPermission, permissionDenied } from '../../lib/permissions.js'
+import { recordAudit } from '../../lib/audit.js'
+
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_KEY
+)
+
+// Reason codes returned to the scanner UI
+const REJECTIONS = {
+  MALFORMED_PAYLOAD: 'QR code could not be read',
+  INVALID_SIGNATURE: 'QR code signature is invalid',
+  TICKET_NOT_FOUND: 'Ticket not found',
+  WRONG_EVENT: 'Ticket is for a different event',
+  QR_SUPERSEDED: 'QR code has been replaced by a newer one',
+  TICKET_REVOKED: 'Ticket has been revoked',
+  TICKET_DELETED: 'Ticket has been deleted',
+  ALREADY_CHECKED_IN: 'Ticket has already been checked in'
+};
+
+function reject(res, reasonCode, data = {}) {
+  return res.status(reasonCode === 'MALFORMED_PAYLOAD' ? 400 : 422).json({
+    status: 'error',
+    accepted: false,
+    reason_code: reasonCode,
+    message: REJECTIONS[reasonCode],
+    data
+  });
+}
+
+export default async function handler(req, res) {
+  // Set CORS headers
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+
+  // Handle OPTIONS preflight request
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  // Only allow POST requests
+  if (req.method !== 'POST') {
+    return res.status(405).json({
+      status: 'error',
+      message: 'Method not allowed'
+    });
+  }
+
+  try {
+    // Get the authorization header
+    const authHeader = req.headers.authorization;
+    if (!authHeader || !authHeader.startsWith('Bearer ')) {
+      return res.status(401).json({
+        status: 'error',
+        message: 'Missing or invalid authorization header'
+      });
+    }
+
+    const token = authHeader.split(' ')[1];
+
+    // Verify the token and get user details
+    const { data: { user }, error: authError } = await supabase.auth.getUser(token);
+
+    if (authError || !user) {
+      return res.status(401).json({
+        status: 'error',
+        message: 'Invalid or expired token'
+      });
+    }
+
+    // Get request body
+    const { event_id, qr, scanner_device } = req.body;
+
+    if (!event_id || !qr) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Missing required parameters: event_id and qr'
+      });
+    }
+
+    // Verify the scanner operator may check in tickets for this event
+    const access = await checkEventPermission(user.id, event_id, 'checkin');
+    if (!access.allowed) {
+      return permissionDenied(res, access);
+    }
+    const eventAdmin = access.eventAdmin;
+
+    const payload = parseQrPayload(qr);
+    if (!payload) {
+      return reject(res, 'MALFORMED_PAYLOAD');
+    }
+
+    if (!verifyQrSignature(payload)) {
+      return reject(res, 'INVALID_SIGNATURE');
+    }
+
+    if (payload.event_id !== event_id) {
+      return reject(res, 'WRONG_EVENT', { ticket_id: payload.ticket_id });
+    }
+
+    const { data: ticket, error: ticketError } = await supabase
+      .from('tickets')
+      .select('ticket_id, event_id, ticket_number, ticket_status, qr_nonce, deleted_at, checked_in_at, checked_in_by, checked_in_device')
+      .eq('ticket_id', payload.ticket_id)
+      .maybeSingle();
+
+    if (ticketError) {
+      throw ticketError;
+    }
+
+    if (!ticket) {
+      return reject(res, 'TICKET_NOT_FOUND', { ticket_id: payload.ticket_id });
+    }
+
+    if (ticket.event_id !== event_id) {
+      return reject(res, 'WRONG_EVENT', { ticket_id: ticket.ticket_id });
+    }
+
+    if (ticket.deleted_at) {
+      return reject(res, 'TICKET_DELETED', { ticket_id: ticket.ticket_id, ticket_number: ticket.ticket_number });
+    }
+
+    if (ticket.qr_nonce !== payload.nonce) {
+      return reject(res, 'QR_SUPERSEDED', { ticket_id: ticket.ticket_id });
+    }
+
+    if (ticket.ticket_status === 'revoked') {
+      return reject(res, 'TICKET_REVOKED', { ticket_id: ticket.ticket_id, ticket_number: ticket.ticket_number });
+    }
+
+    // Only one concurrent scan can move checked_in_at from null, which blocks double entry
+    const checkedInAt = new Date().toISOString();
+    const { data: checkedIn, error: checkInError } = await supabase
+      .from('tickets')
+      .update({
+        checked_in_at: checkedInAt,
+        checked_in_by: eventAdmin.user_id,
+        checked_in_device: scanner_device || null
+      })
+      .eq('ticket_id', ticket.ticket_id)
+      .eq('ticket_status', 'valid')
+      .is('deleted_at', null)
+      .is('checked_in_at', null)
+      .select('ticket_id, ticket_number, checked_in_at')
+      .maybeSingle();
+
+    if (checkInError) {
+      throw checkInError;
+    }
+
+    if (!checkedIn) {
+      const { data: current } = await supabase
+        .from('tickets')
+        .select('ticket_status, deleted_at, checked_in_at, checked_in_by, checked_in_device')
+        .eq('ticket_id', ticket.ticket_id)
+        .single();
+
+      if (current?.ticket_status === 'revoked') {
+        return reject(res, 'TICKET_REVOKED', { ticket_id: ticket.ticket_id, ticket_number: ticket.ticket_number });
+      }
+
+      if (current?.deleted_at) {
+        return reject(res, 'TICKET_DELETED', { ticket_id: ticket.ticket_id, ticket_number: ticket.ticket_number });
+      }
+
+      return reject(res, 'ALREADY_CHECKED_IN', {
+        ticket_id: ticket.ticket_id,
+        ticket_number: ticket.ticket_number,
+        checked_in_at: current?.checked_in_at || ticket.checked_in_at,
+        checked_in_by: current?.checked_in_by || ticket.checked_in_by,
+        checked_in_device: current?.checked_in_device || ticket.checked_in_device
+      });
+    }
+
+    await recordAudit(req, user, {
+      action: 'ticket.checkin',
+      event_id,
+      target_type: 'ticket',
+      target_id: checkedIn.ticket_id,
+      actor_user_id: eventAdmin.user_id,
+      after: checkedIn,
+      metadata: { scanner_device: scanner_device || null }
+    });
+
+    return res.status(200).json({
+      status: 'success',
+      accepted: true,
+      reason_code: 'ACCEPTED',
+      message: 'Ticket checked in successfully',
+      data: {
+        ticket_id: checkedIn.ticket_id,
+        ticket_number: checkedIn.ticket_number,
+        checked_in_at: checkedIn.checked_in_at,
+        checked_in_by: eventAdmin.user_id,
+        checked_in_device: scanner_device || null
+      }
+    });
+
+  } catch (error) {
+    console.error('Error checking in ticket:', error);
+    return res.status(500).json({
+      status: 'error',
+      message: 'An error occurred while checking in the ticket',
+      error: error.message
+    });
+  }
+}
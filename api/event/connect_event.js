@@ -1,4 +1,6 @@
 import { createClient } from '@supabase/supabase-js'
+import { hashInviteToken, getInviteStatus } from '../../lib/invites.js'
+import { recordAudit } from '../../lib/audit.js'
 
 const supabase = createClient(
   process.env.SUPABASE_URL,
@@ -31,45 +33,36 @@ export default async function handler(req, res) {
       return res.status(401).json({ status: 'error', message: 'Invalid or expired token' });
     }
 
-    // Parse request body
-    const { event_id, permission_level = 'editor' } = req.body;
+    // Parse request body. Admins join an event by accepting an invite; the
+    // invite decides which event and permission level they get.
+    const { invite_token, event_id } = req.body;
 
-    if (!event_id) {
-      return res.status(400).json({ status: 'error', message: 'Missing required parameter: event_id' });
+    if (!invite_token) {
+      return res.status(400).json({ status: 'error', message: 'Missing required parameter: invite_token' });
     }
 
-    // Check if user already connected to the event
-    // Check if user already exists in event_admins (regardless of event)
-    const { data: existingEntry, error: lookupError } = await supabase
-      .from('event_admins')
-      .select('id')
-      .eq('auth_id', user.id)
-      .single();
+    const { data: invite, error: inviteError } = await supabase
+      .from('event_invites')
+      .select('invite_id, event_id, email, user_id, permission_level, expires_at, created_by, accepted_at, revoked_at')
+      .eq('token_hash', hashInviteToken(invite_token))
+      .maybeSingle();
 
-    if (lookupError && lookupError.code !== 'PGRST116') {
-      return res.status(500).json({ status: 'error', message: 'Error checking existing event admin entry', error: lookupError.message });
+    if (inviteError) {
+      return res.status(500).json({ status: 'error', message: 'Error checking invite', error: inviteError.message });
     }
 
-    if (existingEntry) {
-      // Update the existing entry with new event_id
-      const { data: updated, error: updateError } = await supabase
-        .from('event_admins')
-        .update({ event_id, permission_level })
-        .eq('id', existingEntry.id)
-        .select()
-        .single();
-
-      if (updateError) {
-        return res.status(500).json({ status: 'error', message: 'Failed to update event admin entry', error: updateError.message });
-      }
+    if (!invite) {
+      return res.status(404).json({ status: 'error', message: 'Invalid invite token' });
+    }
 
-      return res.status(200).json({
-        status: 'success',
-        message: 'Event admin entry updated with new event',
-        data: updated
-      });
+    const inviteStatus = getInviteStatus(invite);
+    if (inviteStatus !== 'pending') {
+      return res.status(inviteStatus === 'accepted' ? 409 : 410).json({ status: 'error', message: `Invite is ${inviteStatus}` });
     }
 
+    if (event_id && event_id !== invite.event_id) {
+      return res.status(400).json({ status: 'error', message: 'Invite is for a different event' });
+    }
 
     // Lookup user_id from users table
     const { data: userProfile, error: userError } = await supabase
@@ -82,27 +75,90 @@ export default async function handler(req, res) {
       return res.status(404).json({ status: 'error', message: 'User profile not found' });
     }
 
-    // Insert new event_admin entry
-    const { data: inserted, error: insertError } = await supabase
+    // The invite can only be used by the person it was issued to
+    const emailMatches = !invite.email || invite.email === user.email?.toLowerCase();
+    const userMatches = !invite.user_id || invite.user_id === userProfile.user_id;
+
+    if (!emailMatches || !userMatches) {
+      return res.status(403).json({ status: 'error', message: 'This invite was issued to a different user' });
+    }
+
+    // Mark the invite as used. The null filters make this single-use even under concurrent requests.
+    const { data: claimed, error: claimError } = await supabase
+      .from('event_invites')
+      .update({ accepted_at: new Date().toISOString(), accepted_by: userProfile.user_id })
+      .eq('invite_id', invite.invite_id)
+      .is('accepted_at', null)
+      .is('revoked_at', null)
+      .select('invite_id')
+      .maybeSingle();
+
+    if (claimError) {
+      return res.status(500).json({ status: 'error', message: 'Failed to accept invite', error: claimError.message });
+    }
+
+    if (!claimed) {
+      return res.status(409).json({ status: 'error', message: 'Invite has already been used or revoked' });
+    }
+
+    // Admins can be linked to several events; only look for a link to this one
+    const { data: existingEntry, error: lookupError } = await supabase
       .from('event_admins')
-      .insert([{
-        auth_id: user.id,
-        user_id: userProfile.user_id,
-        event_id,
-        permission_level,
-        created_by: userProfile.user_id
-      }])
-      .select()
-      .single();
+      .select('*')
+      .eq('auth_id', user.id)
+      .eq('event_id', invite.event_id)
+      .maybeSingle();
 
-    if (insertError) {
-      return res.status(500).json({ status: 'error', message: 'Failed to connect user to event', error: insertError.message });
+    let link;
+    let linkError = lookupError;
+
+    if (!lookupError && existingEntry) {
+      // Already connected, the invite changes the permission level
+      ({ data: link, error: linkError } = await supabase
+        .from('event_admins')
+        .update({ permission_level: invite.permission_level })
+        .eq('id', existingEntry.id)
+        .select()
+        .single());
+    } else if (!lookupError) {
+      ({ data: link, error: linkError } = await supabase
+        .from('event_admins')
+        .insert([{
+          auth_id: user.id,
+          user_id: userProfile.user_id,
+          event_id: invite.event_id,
+          permission_level: invite.permission_level,
+          created_by: invite.created_by
+        }])
+        .select()
+        .single());
     }
 
+    if (linkError) {
+      // Give the invite back so the user can try again
+      await supabase
+        .from('event_invites')
+        .update({ accepted_at: null, accepted_by: null })
+        .eq('invite_id', invite.invite_id);
+
+      return res.status(500).json({ status: 'error', message: 'Failed to connect user to event', error: linkError.message });
+    }
+
+    await recordAudit(req, user, {
+      action: existingEntry ? 'event_admin.update' : 'event_admin.connect',
+      event_id: invite.event_id,
+      target_type: 'event_admin',
+      target_id: link.id,
+      actor_user_id: userProfile.user_id,
+      before: existingEntry || null,
+      after: link,
+      metadata: { invite_id: invite.invite_id }
+    });
+
     return res.status(200).json({
       status: 'success',
-      message: 'User successfully connected to event',
-      data: inserted
+      message: existingEntry ? 'Event admin permission updated from invite' : 'User successfully connected to event',
+      data: link
     });
 
   } catch (error) {
@@ -1,4 +1,9 @@
 import { createClient } from '@supabase/supabase-js'
+import { checkEventPermission, permissionDenied } from '../../lib/permissions.js'
+import { recordAudit } from '../../lib/audit.js'
+import { verifySiweSignature } from '../../lib/siwe.js'
+import { demotePrimaryWallets, syncEventPrimaryWallet, DEMOTED_WALLET_ROLE } from '../../lib/wallets.js'
+import { DEFAULT_NETWORK, isSupportedNetwork } from '../../lib/networks.js'
 
 const supabase = createClient(
   process.env.SUPABASE_URL,
@@ -47,7 +52,7 @@ export default async function handler(req, res) {
     }
 
     // Get request body
-    const { event_id, wallet_address, wallet_role = 'minter' } = req.body;
+    const { event_id, wallet_address, wallet_role = 'minter', nonce, signature } = req.body;
     
     if (!event_id || !wallet_address) {
       return res.status(400).json({
@@ -56,6 +61,14 @@ export default async function handler(req, res) {
       });
     }
 
+    // Ownership proof from /api/event/wallet_challenge
+    if (!nonce || !signature) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Missing required parameters: nonce and signature'
+      });
+    }
+
     // Validate wallet address format
     const isValidWalletAddress = /^0x[a-fA-F0-9]{40}$/.test(wallet_address);
     if (!isValidWalletAddress) {
@@ -65,20 +78,12 @@ export default async function handler(req, res) {
       });
     }
 
-    // Verify the user is an event admin for this event
-    const { data: eventAdmin, error: eventAdminError } = await supabase
-      .from('event_admins')
-      .select('id, user_id, permission_level')
-      .eq('auth_id', user.id)
-      .eq('event_id', event_id)
-      .single();
-
-    if (eventAdminError || !eventAdmin) {
-      return res.status(403).json({
-        status: 'error',
-        message: 'User is not authorized to manage this event'
-      });
+    // Verify the user may manage wallets for this event
+    const access = await checkEventPermission(user.id, event_id, 'manage_wallets');
+    if (!access.allowed) {
+      return permissionDenied(res, access);
     }
+    const eventAdmin = access.eventAdmin;
 
     // Get the admin's user_id from the users table if not already associated
     let admin_id = eventAdmin.user_id;
@@ -103,7 +108,7 @@ export default async function handler(req, res) {
     // Check if the event exists
     const { data: event, error: eventError } = await supabase
       .from('events')
-      .select('event_id, event_name')
+      .select('event_id, event_name, blockchain_network')
       .eq('event_id', event_id)
       .single();
 
@@ -114,6 +119,14 @@ export default async function handler(req, res) {
       });
     }
 
+    const networkKey = event.blockchain_network || DEFAULT_NETWORK;
+    if (!isSupportedNetwork(networkKey)) {
+      return res.status(409).json({
+        status: 'error',
+        message: `Event blockchain network ${networkKey} is not supported`
+      });
+    }
+
     // Check if wallet is already connected to this event
     const { data: existingWallet, error: existingWalletError } = await supabase
       .from('admin_wallets')
@@ -131,13 +144,63 @@ export default async function handler(req, res) {
       });
     }
 
-    // Create new admin wallet entry
+    // Verify the caller controls the wallet: the signature must cover the challenge
+    // issued to this user for this event and address
+    const { data: challenge, error: challengeError } = await supabase
+      .from('wallet_nonces')
+      .select('nonce, message, expires_at, used_at')
+      .eq('nonce', nonce)
+      .eq('auth_id', user.id)
+      .eq('event_id', event_id)
+      .eq('wallet_address', wallet_address.toLowerCase())
+      .maybeSingle();
+
+    if (challengeError) {
+      throw challengeError;
+    }
+
+    if (!challenge || challenge.used_at || new Date(challenge.expires_at) <= new Date()) {
+      return res.status(401).json({
+        status: 'error',
+        message: 'Wallet challenge is invalid, expired or already used'
+      });
+    }
+
+    if (!verifySiweSignature(challenge.message, signature, wallet_address)) {
+      return res.status(401).json({
+        status: 'error',
+        message: 'Signature was not made by this wallet'
+      });
+    }
+
+    // Consume the nonce; the used_at filter makes it single-use under concurrent requests
+    const { data: consumed, error: consumeError } = await supabase
+      .from('wallet_nonces')
+      .update({ used_at: new Date().toISOString() })
+      .eq('nonce', nonce)
+      .is('used_at', null)
+      .select('nonce')
+      .maybeSingle();
+
+    if (consumeError) {
+      throw consumeError;
+    }
+
+    if (!consumed) {
+      return res.status(401).json({
+        status: 'error',
+        message: 'Wallet challenge is invalid, expired or already used'
+      });
+    }
+
+    // Create new admin wallet entry. A new primary starts demoted and is promoted
+    // below, so the event never has two active primaries at once.
     const { data: newWallet, error: newWalletError } = await supabase
       .from('admin_wallets')
       .insert([{
         admin_id: admin_id,
         wallet_address: wallet_address,
-        role: wallet_role,
+        role: wallet_role === 'primary' ? DEMOTED_WALLET_ROLE : wallet_role,
         event_id: event_id,
         is_active: true
       }])
@@ -154,20 +217,35 @@ export default async function handler(req, res) {
 
     // Also update the event's wallet information if the wallet role is 'primary'
     if (wallet_role === 'primary') {
-      const { error: updateEventError } = await supabase
-        .from('events')
-        .update({ 
-          wallet_address: wallet_address,
-          wallet_connected: true
-        })
-        .eq('event_id', event_id);
-
-      if (updateEventError) {
-        console.error('Warning: Failed to update event wallet info:', updateEventError);
+      try {
+        await demotePrimaryWallets(event_id);
+
+        const { error: promoteError } = await supabase
+          .from('admin_wallets')
+          .update({ role: 'primary' })
+          .eq('wallet_id', newWallet.wallet_id);
+
+        if (promoteError) {
+          throw promoteError;
+        }
+
+        newWallet.role = 'primary';
+        await syncEventPrimaryWallet(event_id);
+      } catch (promoteError) {
+        console.error('Warning: Failed to make wallet primary:', promoteError);
         // Continue anyway as the admin wallet was created
       }
     }
 
+    await recordAudit(req, user, {
+      action: 'wallet.connect',
+      event_id,
+      target_type: 'admin_wallet',
+      target_id: newWallet.wallet_id,
+      actor_user_id: admin_id,
+      after: newWallet
+    });
+
     return res.status(200).json({
       status: 'success',
       message: 'Wallet connected successfully',
@@ -176,7 +254,7 @@ export default async function handler(req, res) {
         admin_id: admin_id,
         event_id: event_id,
         wallet_address: wallet_address,
-        role: wallet_role,
+        role: newWallet.role,
         added_at: newWallet.added_at
       }
     });
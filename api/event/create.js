@@ -0,0 +1,124 @@
+import { createClient } from '@supabase/supabase-js'
+import { validateEventFields } from '../../lib/events.js'
+import { recordAudit } from '../../lib/audit.js'
+
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_KEY
+)
+
+export default async function handler(req, res) {
+  // Set CORS headers
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+
+  // Handle OPTIONS preflight request
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  // Only allow POST requests
+  if (req.method !== 'POST') {
+    return res.status(405).json({
+      status: 'error',
+      message: 'Method not allowed'
+    });
+  }
+
+  try {
+    // Get the authorization header
+    const authHeader = req.headers.authorization;
+    if (!authHeader || !authHeader.startsWith('Bearer ')) {
+      return res.status(401).json({
+        status: 'error',
+        message: 'Missing or invalid authorization header'
+      });
+    }
+
+    const token = authHeader.split(' ')[1];
+
+    // Verify the token and get user details
+    const { data: { user }, error: authError } = await supabase.auth.getUser(token);
+
+    if (authError || !user) {
+      return res.status(401).json({
+        status: 'error',
+        message: 'Invalid or expired token'
+      });
+    }
+
+    // Get the user's role
+    const { data: userData, error: userError } = await supabase
+      .from('users')
+      .select('user_id, role')
+      .eq('auth_id', user.id)
+      .single();
+
+    if (userError || !userData) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'User not found'
+      });
+    }
+
+    // Only super admins can create events
+    if (userData.role !== 'super_admin') {
+      return res.status(403).json({
+        status: 'error',
+        message: 'Unauthorized. Super admin access required.'
+      });
+    }
+
+    const { errors, values } = validateEventFields(req.body || {});
+
+    if (errors.length) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Invalid event fields',
+        errors
+      });
+    }
+
+    const { data: event, error: insertError } = await supabase
+      .from('events')
+      .insert([{
+        ...values,
+        is_nft_enabled: values.is_nft_enabled ?? false,
+        wallet_connected: false
+      }])
+      .select()
+      .single();
+
+    if (insertError) {
+      return res.status(500).json({
+        status: 'error',
+        message: 'Failed to create event',
+        error: insertError.message
+      });
+    }
+
+    await recordAudit(req, user, {
+      action: 'event.create',
+      event_id: event.event_id,
+      target_type: 'event',
+      target_id: event.event_id,
+      actor_user_id: userData.user_id,
+      after: event
+    });
+
+    return res.status(201).json({
+      status: 'success',
+      message: 'Event created successfully',
+      data: event
+    });
+
+  } catch (error) {
+    console.error('Error creating event:', error);
+    return res.status(500).json({
+      status: 'error',
+      message: 'An error occurred while creating the event',
+      error: error.message
+    });
+  }
+}
@@ -0,0 +1,156 @@
+import { createClient } from '@supabase/supabase-js'
+import { checkEventPermission, permissionDenied, PERMISSION_LEVELS } from '../../lib/permissions.js'
+import { recordAudit } from '../../lib/audit.js'
+import { generateInviteToken, DEFAULT_INVITE_TTL_HOURS, MAX_INVITE_TTL_HOURS } from '../../lib/invites.js'
+
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_KEY
+)
+
+export default async function handler(req, res) {
+  // Set CORS headers
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+
+  // Handle OPTIONS preflight request
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  // Only allow POST requests
+  if (req.method !== 'POST') {
+    return res.status(405).json({
+      status: 'error',
+      message: 'Method not allowed'
+    });
+  }
+
+  try {
+    // Get the authorization header
+    const authHeader = req.headers.authorization;
+    if (!authHeader || !authHeader.startsWith('Bearer ')) {
+      return res.status(401).json({
+        status: 'error',
+        message: 'Missing or invalid authorization header'
+      });
+    }
+
+    const token = authHeader.split(' ')[1];
+
+    // Verify the token and get user details
+    const { data: { user }, error: authError } = await supabase.auth.getUser(token);
+
+    if (authError || !user) {
+      return res.status(401).json({
+        status: 'error',
+        message: 'Invalid or expired token'
+      });
+    }
+
+    // Get request body
+    const {
+      event_id,
+      email,
+      user_id,
+      permission_level = 'editor',
+      expires_in_hours = DEFAULT_INVITE_TTL_HOURS
+    } = req.body;
+
+    if (!event_id || (!email && !user_id)) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Missing required parameters: event_id and email or user_id'
+      });
+    }
+
+    if (!PERMISSION_LEVELS.includes(permission_level)) {
+      return res.status(400).json({
+        status: 'error',
+        message: `Invalid permission_level. Expected one of: ${PERMISSION_LEVELS.join(', ')}`
+      });
+    }
+
+    const ttlHours = Number(expires_in_hours);
+    if (!Number.isFinite(ttlHours) || ttlHours <= 0 || ttlHours > MAX_INVITE_TTL_HOURS) {
+      return res.status(400).json({
+        status: 'error',
+        message: `expires_in_hours must be between 0 and ${MAX_INVITE_TTL_HOURS}`
+      });
+    }
+
+    // Only event owners and super admins can invite admins
+    const access = await checkEventPermission(user.id, event_id, 'manage_admins');
+    if (!access.allowed) {
+      return permissionDenied(res, access);
+    }
+
+    if (user_id) {
+      const { data: invitee, error: inviteeError } = await supabase
+        .from('users')
+        .select('user_id')
+        .eq('user_id', user_id)
+        .single();
+
+      if (inviteeError || !invitee) {
+        return res.status(404).json({
+          status: 'error',
+          message: 'Invited user not found'
+        });
+      }
+    }
+
+    const { token: inviteToken, tokenHash } = generateInviteToken();
+    const expiresAt = new Date(Date.now() + ttlHours * 60 * 60 * 1000).toISOString();
+
+    const { data: invite, error: insertError } = await supabase
+      .from('event_invites')
+      .insert([{
+        event_id,
+        email: email ? email.trim().toLowerCase() : null,
+        user_id: user_id || null,
+        permission_level,
+        token_hash: tokenHash,
+        expires_at: expiresAt,
+        created_by: access.eventAdmin.user_id
+      }])
+      .select('invite_id, event_id, email, user_id, permission_level, expires_at, created_by, created_at')
+      .single();
+
+    if (insertError) {
+      return res.status(500).json({
+        status: 'error',
+        message: 'Failed to create invite',
+        error: insertError.message
+      });
+    }
+
+    await recordAudit(req, user, {
+      action: 'invite.create',
+      event_id,
+      target_type: 'event_invite',
+      target_id: invite.invite_id,
+      actor_user_id: access.eventAdmin.user_id,
+      after: invite
+    });
+
+    // The plain token is only ever returned here; it is stored hashed
+    return res.status(201).json({
+      status: 'success',
+      message: 'Invite created successfully',
+      data: {
+        ...invite,
+        invite_token: inviteToken
+      }
+    });
+
+  } catch (error) {
+    console.error('Error creating invite:', error);
+    return res.status(500).json({
+      status: 'error',
+      message: 'An error occurred while creating the invite',
+      error: error.message
+    });
+  }
+}
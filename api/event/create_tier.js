@@ -0,0 +1,146 @@
+import { createClient } from '@supabase/supabase-js'
+import { checkEventPermission, permissionDenied } from '../../lib/permissions.js'
+import { recordAudit } from '../../lib/audit.js'
+import { validateTierFields } from '../../lib/tiers.js'
+
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_KEY
+)
+
+export default async function handler(req, res) {
+  // Set CORS headers
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+
+  // Handle OPTIONS preflight request
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  // Only allow POST requests
+  if (req.method !== 'POST') {
+    return res.status(405).json({
+      status: 'error',
+      message: 'Method not allowed'
+    });
+  }
+
+  try {
+    // Get the authorization header
+    const authHeader = req.headers.authorization;
+    if (!authHeader || !authHeader.startsWith('Bearer ')) {
+      return res.status(401).json({
+        status: 'error',
+        message: 'Missing or invalid authorization header'
+      });
+    }
+
+    const token = authHeader.split(' ')[1];
+
+    // Verify the token and get user details
+    const { data: { user }, error: authError } = await supabase.auth.getUser(token);
+
+    if (authError || !user) {
+      return res.status(401).json({
+        status: 'error',
+        message: 'Invalid or expired token'
+      });
+    }
+
+    const { event_id } = req.body || {};
+
+    if (!event_id) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Missing required parameter: event_id'
+      });
+    }
+
+    // Tiers are part of the event setup
+    const access = await checkEventPermission(user.id, event_id, 'edit_event');
+    if (!access.allowed) {
+      return permissionDenied(res, access);
+    }
+
+    const { errors, values } = validateTierFields(req.body);
+
+    if (errors.length) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Invalid tier fields',
+        errors
+      });
+    }
+
+    const { data: event, error: eventError } = await supabase
+      .from('events')
+      .select('event_id, archived_at')
+      .eq('event_id', event_id)
+      .single();
+
+    if (eventError || !event) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Event not found'
+      });
+    }
+
+    if (event.archived_at) {
+      return res.status(409).json({
+        status: 'error',
+        message: 'Archived events cannot be edited'
+      });
+    }
+
+    const { data: tier, error: insertError } = await supabase
+      .from('ticket_tiers')
+      .insert([{
+        ...values,
+        event_id,
+        created_by: access.eventAdmin.user_id
+      }])
+      .select()
+      .single();
+
+    if (insertError) {
+      // Unique violation on (event_id, lower(name))
+      if (insertError.code === '23505') {
+        return res.status(409).json({
+          status: 'error',
+          message: `A tier named ${values.name} already exists for this event`
+        });
+      }
+
+      return res.status(500).json({
+        status: 'error',
+        message: 'Failed to create ticket tier',
+        error: insertError.message
+      });
+    }
+
+    await recordAudit(req, user, {
+      action: 'tier.create',
+      event_id,
+      target_type: 'ticket_tier',
+      target_id: tier.tier_id,
+      actor_user_id: access.eventAdmin.user_id,
+      after: tier
+    });
+
+    return res.status(201).json({
+      status: 'success',
+      message: 'Ticket tier created successfully',
+      data: tier
+    });
+
+  } catch (error) {
+    console.error('Error creating ticket tier:', error);
+    return res.status(500).json({
+      status: 'error',
+      message: 'An error occurred while creating the ticket tier',
+      error: error.message
+    });
+  }
+}
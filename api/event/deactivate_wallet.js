@@ -0,0 +1,140 @@
+import { createClient } from '@supabase/supabase-js'
+import { checkEventPermission, permissionDenied } from '../../lib/permissions.js'
+import { recordAudit } from '../../lib/audit.js'
+import { syncEventPrimaryWallet } from '../../lib/wallets.js'
+
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_KEY
+)
+
+export default async function handler(req, res) {
+  // Set CORS headers
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+
+  // Handle OPTIONS preflight request
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  // Only allow POST requests
+  if (req.method !== 'POST') {
+    return res.status(405).json({
+      status: 'error',
+      message: 'Method not allowed'
+    });
+  }
+
+  try {
+    // Get the authorization header
+    const authHeader = req.headers.authorization;
+    if (!authHeader || !authHeader.startsWith('Bearer ')) {
+      return res.status(401).json({
+        status: 'error',
+        message: 'Missing or invalid authorization header'
+      });
+    }
+
+    const token = authHeader.split(' ')[1];
+
+    // Verify the token and get user details
+    const { data: { user }, error: authError } = await supabase.auth.getUser(token);
+
+    if (authError || !user) {
+      return res.status(401).json({
+        status: 'error',
+        message: 'Invalid or expired token'
+      });
+    }
+
+    // Get request body
+    const { event_id, wallet_id, reason } = req.body;
+
+    if (!event_id || !wallet_id) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Missing required parameters: event_id and wallet_id'
+      });
+    }
+
+    // Verify the user may manage wallets for this event
+    const access = await checkEventPermission(user.id, event_id, 'manage_wallets');
+    if (!access.allowed) {
+      return permissionDenied(res, access);
+    }
+
+    const { data: wallet, error: walletError } = await supabase
+      .from('admin_wallets')
+      .select('*')
+      .eq('wallet_id', wallet_id)
+      .eq('event_id', event_id)
+      .maybeSingle();
+
+    if (walletError) {
+      throw walletError;
+    }
+
+    if (!wallet) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Wallet not found for this event'
+      });
+    }
+
+    if (!wallet.is_active) {
+      return res.status(409).json({
+        status: 'error',
+        message: 'Wallet is already inactive'
+      });
+    }
+
+    const { data: deactivated, error: updateError } = await supabase
+      .from('admin_wallets')
+      .update({
+        is_active: false,
+        deactivated_at: new Date().toISOString(),
+        deactivated_by: access.eventAdmin.user_id,
+        deactivation_reason: reason || null
+      })
+      .eq('wallet_id', wallet_id)
+      .select()
+      .single();
+
+    if (updateError) {
+      throw updateError;
+    }
+
+    // Deactivating the primary disconnects the event until another wallet is promoted
+    const eventWallet = await syncEventPrimaryWallet(event_id);
+
+    await recordAudit(req, user, {
+      action: 'wallet.deactivate',
+      event_id,
+      target_type: 'admin_wallet',
+      target_id: wallet_id,
+      actor_user_id: access.eventAdmin.user_id,
+      before: wallet,
+      after: deactivated,
+      metadata: { reason: reason || null }
+    });
+
+    return res.status(200).json({
+      status: 'success',
+      message: 'Wallet deactivated successfully',
+      data: {
+        wallet: deactivated,
+        event_wallet: eventWallet
+      }
+    });
+
+  } catch (error) {
+    console.error('Error deactivating wallet:', error);
+    return res.status(500).json({
+      status: 'error',
+      message: 'An error occurred while deactivating the wallet',
+      error: error.message
+    });
+  }
+}
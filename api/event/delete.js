@@ -1,4 +1,6 @@
 import { createClient } from '@supabase/supabase-js'
+import { checkEventPermission, permissionDenied } from '../../lib/permissions.js'
+import { recordAudit } from '../../lib/audit.js'
 
 const supabase = createClient(
   process.env.SUPABASE_URL,
@@ -61,8 +63,9 @@ export default async function handler(req, res) {
       // Get ticket info
       const { data: ticket, error: ticketError } = await supabase
         .from('tickets')
-        .select('event_id, nft_mint_status, ticket_status')
+        .select('*')
         .eq('ticket_id', ticket_id)
+        .is('deleted_at', null)
         .single();
 
       if (ticketError || !ticket) {
@@ -72,19 +75,10 @@ export default async function handler(req, res) {
         });
       }
 
-      // Verify the user is an event admin for this ticket's event
-      const { data: eventAdmin, error: eventAdminError } = await supabase
-        .from('event_admins')
-        .select('id, permission_level')
-        .eq('auth_id', user.id)
-        .eq('event_id', ticket.event_id)
-        .single();
-
-      if (eventAdminError || !eventAdmin) {
-        return res.status(403).json({
-          status: 'error',
-          message: 'User is not authorized to manage tickets for this event'
-        });
+      // Verify the user may delete tickets for this ticket's event
+      const access = await checkEventPermission(user.id, ticket.event_id, 'delete_tickets');
+      if (!access.allowed) {
+        return permissionDenied(res, access);
       }
 
       // Check if the ticket is already minted to the blockchain
@@ -95,11 +89,16 @@ export default async function handler(req, res) {
         });
       }
 
-      // Delete the ticket
-      const { error: deleteError } = await supabase
+      // Soft delete the ticket so it can be restored until it is purged
+      const { data: deletedTicket, error: deleteError } = await supabase
         .from('tickets')
-        .delete()
-        .eq('ticket_id', ticket_id);
+        .update({
+          deleted_at: new Date().toISOString(),
+          deleted_by: access.eventAdmin.user_id
+        })
+        .eq('ticket_id', ticket_id)
+        .select()
+        .single();
 
       if (deleteError) {
         return res.status(500).json({
@@ -109,6 +108,16 @@ export default async function handler(req, res) {
         });
       }
 
+      await recordAudit(req, user, {
+        action: 'ticket.delete',
+        event_id: ticket.event_id,
+        target_type: 'ticket',
+        target_id: ticket_id,
+        actor_user_id: access.eventAdmin.user_id,
+        before: ticket,
+        after: deletedTicket
+      });
+
       return res.status(200).json({
         status: 'success',
         message: 'Ticket deleted successfully',
@@ -117,27 +126,22 @@ export default async function handler(req, res) {
     }
     // If deleting all tickets for an event
     else if (event_id) {
-      // Verify the user is an event admin for this event
-      const { data: eventAdmin, error: eventAdminError } = await supabase
-        .from('event_admins')
-        .select('id, permission_level')
-        .eq('auth_id', user.id)
-        .eq('event_id', event_id)
-        .single();
-
-      if (eventAdminError || !eventAdmin) {
-        return res.status(403).json({
-          status: 'error',
-          message: 'User is not authorized to manage tickets for this event'
-        });
+      // Verify the user may delete tickets for this event
+      const access = await checkEventPermission(user.id, event_id, 'delete_tickets');
+      if (!access.allowed) {
+        return permissionDenied(res, access);
       }
 
       // Only delete tickets that haven't been minted yet
       const { data: deletedTickets, error: deleteError } = await supabase
         .from('tickets')
-        .delete()
+        .update({
+          deleted_at: new Date().toISOString(),
+          deleted_by: access.eventAdmin.user_id
+        })
         .eq('event_id', event_id)
         .in('nft_mint_status', ['pending'])
+        .is('deleted_at', null)
         .select();
 
       if (deleteError) {
@@ -148,6 +152,16 @@ export default async function handler(req, res) {
         });
       }
 
+      await recordAudit(req, user, {
+        action: 'ticket.delete_batch',
+        event_id,
+        target_type: 'event',
+        target_id: event_id,
+        actor_user_id: access.eventAdmin.user_id,
+        after: deletedTickets,
+        metadata: { deleted_count: deletedTickets.length }
+      });
+
       return res.status(200).json({
         status: 'success',
         message: `Successfully deleted ${deletedTickets.length} tickets`,
@@ -0,0 +1,87 @@
+import { createClient } from '@supabase/supabase-js'
+import { recordAudit } from '../../lib/audit.js'
+
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_KEY
+)
+
+export default async function handler(req, res) {
+  // Set CORS headers
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+
+  if (req.method === 'OPTIONS') return res.status(200).end();
+
+  if (req.method !== 'POST') {
+    return res.status(405).json({ status: 'error', message: 'Method not allowed' });
+  }
+
+  try {
+    // Token check
+    const authHeader = req.headers.authorization;
+    if (!authHeader || !authHeader.startsWith('Bearer ')) {
+      return res.status(401).json({ status: 'error', message: 'Missing or invalid authorization header' });
+    }
+
+    const token = authHeader.split(' ')[1];
+    const { data: { user }, error: authError } = await supabase.auth.getUser(token);
+
+    if (authError || !user) {
+      return res.status(401).json({ status: 'error', message: 'Invalid or expired token' });
+    }
+
+    // Parse request body
+    const { event_id } = req.body;
+
+    if (!event_id) {
+      return res.status(400).json({ status: 'error', message: 'Missing required parameter: event_id' });
+    }
+
+    // Remove only the link to this event, other events stay connected. The RPC refuses
+    // to remove the last owner, who would leave nobody able to manage the event.
+    const { data: removed, error: deleteError } = await supabase.rpc('disconnect_event_admin', {
+      p_event_id: event_id,
+      p_auth_id: user.id
+    });
+
+    if (deleteError?.message?.includes('last_event_owner')) {
+      return res.status(409).json({
+        status: 'error',
+        message: 'You are the only owner of this event; make another admin an owner before disconnecting'
+      });
+    }
+
+    if (deleteError) {
+      return res.status(500).json({ status: 'error', message: 'Failed to disconnect user from event', error: deleteError.message });
+    }
+
+    if (!removed.length) {
+      return res.status(404).json({ status: 'error', message: 'User is not connected to this event' });
+    }
+
+    await recordAudit(req, user, {
+      action: 'event_admin.disconnect',
+      event_id,
+      target_type: 'event_admin',
+      target_id: removed[0].id,
+      actor_user_id: removed[0].user_id,
+      before: removed[0]
+    });
+
+    return res.status(200).json({
+      status: 'success',
+      message: 'User successfully disconnected from event',
+      data: { event_id }
+    });
+
+  } catch (error) {
+    console.error('Error in disconnect_event:', error);
+    return res.status(500).json({
+      status: 'error',
+      message: 'An unexpected error occurred',
+      error: error.message
+    });
+  }
+}
@@ -0,0 +1,132 @@
+import { createClient } from '@supabase/supabase-js'
+import { checkEventPermission, permissionDenied } from '../../lib/permissions.js'
+import { iterateEventTickets } from '../../lib/tickets.js'
+import { toCsvLine } from '../../lib/csv.js'
+
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_KEY
+)
+
+const EXPORT_COLUMNS = [
+  'ticket_number',
+  'ticket_id',
+  'tier',
+  'ticket_status',
+  'nft_mint_status',
+  'nft_token_id',
+  'nft_contract_address',
+  'user_id',
+  'owner_address',
+  'checked_in_at',
+  'issued_at',
+  'issue_reason'
+];
+
+export default async function handler(req, res) {
+  // Set CORS headers
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+
+  // Handle OPTIONS preflight request
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  // Only allow GET requests
+  if (req.method !== 'GET') {
+    return res.status(405).json({
+      status: 'error',
+      message: 'Method not allowed'
+    });
+  }
+
+  try {
+    // Get the authorization header
+    const authHeader = req.headers.authorization;
+    if (!authHeader || !authHeader.startsWith('Bearer ')) {
+      return res.status(401).json({
+        status: 'error',
+        message: 'Missing or invalid authorization header'
+      });
+    }
+
+    const token = authHeader.split(' ')[1];
+
+    // Verify the token and get user details
+    const { data: { user }, error: authError } = await supabase.auth.getUser(token);
+
+    if (authError || !user) {
+      return res.status(401).json({
+        status: 'error',
+        message: 'Invalid or expired token'
+      });
+    }
+
+    // Get query parameters
+    const { event_id, format = 'csv' } = req.query;
+
+    if (!event_id) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Missing required parameter: event_id'
+      });
+    }
+
+    if (!['csv', 'ndjson'].includes(format)) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Invalid format. Expected one of: csv, ndjson'
+      });
+    }
+
+    const access = await checkEventPermission(user.id, event_id, 'view');
+    if (!access.allowed) {
+      return permissionDenied(res, access);
+    }
+
+    const tickets = iterateEventTickets(event_id, {
+      columns: 'ticket_number, ticket_id, ticket_status, nft_mint_status, nft_token_id, nft_contract_address, user_id, owner_address, checked_in_at, issued_at, issue_reason, ticket_tiers(name)'
+    });
+
+    // Read the first page before sending headers so query errors still get a JSON response
+    const first = await tickets.next();
+
+    res.setHeader('Content-Type', format === 'csv' ? 'text/csv; charset=utf-8' : 'application/x-ndjson');
+    res.setHeader('Content-Disposition', `attachment; filename="tickets-${event_id}.${format}"`);
+    res.setHeader('Cache-Control', 'no-store');
+    res.status(200);
+
+    const writeTicket = ticket => {
+      const row = { ...ticket, tier: ticket.ticket_tiers?.name || null };
+      res.write(format === 'csv'
+        ? toCsvLine(EXPORT_COLUMNS.map(column => row[column]))
+        : JSON.stringify(Object.fromEntries(EXPORT_COLUMNS.map(column => [column, row[column] ?? null]))) + '\n');
+    };
+
+    if (format === 'csv') {
+      res.write(toCsvLine(EXPORT_COLUMNS));
+    }
+
+    try {
+      if (!first.done) writeTicket(first.value);
+      for await (const ticket of tickets) {
+        writeTicket(ticket);
+      }
+    } catch (error) {
+      // Headers are already sent; a truncated file is the only signal left
+      console.error('Error streaming ticket export:', error);
+    }
+
+    return res.end();
+
+  } catch (error) {
+    console.error('Error exporting tickets:', error);
+    return res.status(500).json({
+      status: 'error',
+      message: 'An error occurred while exporting tickets',
+      error: error.message
+    });
+  }
+}
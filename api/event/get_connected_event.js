@@ -1,4 +1,5 @@
 import { createClient } from '@supabase/supabase-js'
+import { getEventAvailability } from '../../lib/availability.js'
 
 const supabase = createClient(
   process.env.SUPABASE_URL,
@@ -68,18 +69,31 @@ export default async function handler(req, res) {
       });
     }
 
-    // Look for event admin relationship in the event_admins table
-    const { data: eventAdmin, error: eventAdminError } = await supabase
+    // Look for event admin relationships in the event_admins table.
+    // Admins can manage several events, so event_id picks which one to return.
+    let linksQuery = supabase
       .from('event_admins')
       .select('event_id, permission_level')
-      .eq('user_id', userData.user_id)
-      .single();
+      .eq('user_id', userData.user_id);
+
+    if (req.query.event_id) {
+      linksQuery = linksQuery.eq('event_id', req.query.event_id);
+    }
+
+    const { data: links, error: linksError } = await linksQuery;
 
-    if (eventAdminError && eventAdminError.code !== 'PGRST116') { // PGRST116 is "No rows returned" which is ok
-      throw eventAdminError;
+    if (linksError) {
+      throw linksError;
     }
 
-    if (!eventAdmin) {
+    if (!links.length) {
+      if (req.query.event_id) {
+        return res.status(403).json({
+          status: 'error',
+          message: 'Unauthorized. You do not have access to this event.'
+        });
+      }
+
       return res.status(200).json({
         status: 'success',
         message: 'No event connected to this admin',
@@ -87,6 +101,16 @@ export default async function handler(req, res) {
       });
     }
 
+    if (links.length > 1) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'event_id parameter is required for admins connected to multiple events',
+        data: { event_ids: links.map(link => link.event_id) }
+      });
+    }
+
+    const eventAdmin = links[0];
+
     // Get the event details
     const { data: event, error: eventError } = await supabase
       .from('events')
@@ -99,22 +123,7 @@ export default async function handler(req, res) {
     }
 
     // Get ticket availability information for this event
-    const { data: tickets, error: ticketsError } = await supabase
-      .from('tickets')
-      .select('ticket_status')
-      .eq('event_id', eventAdmin.event_id);
-
-    if (ticketsError) {
-      throw ticketsError;
-    }
-
-    // Calculate ticket statistics
-    const availability = {
-      total_tickets: tickets ? tickets.length : 0,
-      available_tickets: tickets ? tickets.filter(t => t.ticket_status === 'valid' && !t.user_id).length : 0,
-      sold_tickets: tickets ? tickets.filter(t => t.ticket_status === 'valid' && t.user_id).length : 0,
-      revoked_tickets: tickets ? tickets.filter(t => t.ticket_status === 'revoked').length : 0
-    };
+    const availability = await getEventAvailability(eventAdmin.event_id);
 
     // Return the connected event with permission level and availability
     return res.status(200).json({
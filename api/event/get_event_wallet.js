@@ -1,4 +1,5 @@
 import { createClient } from '@supabase/supabase-js'
+import { DEFAULT_NETWORK, describeNetwork, isSupportedNetwork } from '../../lib/networks.js'
 
 const supabase = createClient(
   process.env.SUPABASE_URL,
@@ -95,24 +96,33 @@ export default async function handler(req, res) {
         eventId = eventAdmin.event_id;
       }
     } else if (userData.role === 'event_admin') {
-      // If no event_id specified and user is event_admin, get their assigned event
-      const { data: eventAdmin, error: eventAdminError } = await supabase
+      // If no event_id specified and user is event_admin, use their assigned event
+      const { data: eventAdmins, error: eventAdminError } = await supabase
         .from('event_admins')
         .select('event_id')
-        .eq('user_id', userData.user_id)
-        .single();
+        .eq('user_id', userData.user_id);
 
       if (eventAdminError) {
-        if (eventAdminError.code === 'PGRST116') { // No rows returned
-          return res.status(404).json({
-            status: 'error',
-            message: 'No event connected to this admin'
-          });
-        }
         throw eventAdminError;
       }
+
+      if (!eventAdmins.length) {
+        return res.status(404).json({
+          status: 'error',
+          message: 'No event connected to this admin'
+        });
+      }
+
+      // Event admins connected to several events must say which one they mean
+      if (eventAdmins.length > 1) {
+        return res.status(400).json({
+          status: 'error',
+          message: 'event_id parameter is required for admins connected to multiple events',
+          data: { event_ids: eventAdmins.map(eventAdmin => eventAdmin.event_id) }
+        });
+      }
       
-      eventId = eventAdmin.event_id;
+      eventId = eventAdmins[0].event_id;
     } else {
       // Admins must specify which event they want to check
       return res.status(400).json({
@@ -149,6 +159,8 @@ export default async function handler(req, res) {
       }
     }
 
+    const networkKey = event.blockchain_network || DEFAULT_NETWORK;
+
     // Return wallet information
     return res.status(200).json({
       status: 'success',
@@ -157,7 +169,8 @@ export default async function handler(req, res) {
         event_id: eventId,
         wallet_address: event.wallet_address || null,
         wallet_connected: event.wallet_connected || false,
-        blockchain_network: event.blockchain_network || 'sepolia',
+        blockchain_network: networkKey,
+        network: isSupportedNetwork(networkKey) ? describeNetwork(networkKey) : null,
         is_nft_enabled: event.is_nft_enabled || false,
         nft_contract_address: event.nft_contract_address || null,
         wallet_details: walletDetails
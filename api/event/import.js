@@ -0,0 +1,379 @@
+import { createClient } from '@supabase/supabase-js'
+import { checkEventPermission, permissionDenied } from '../../lib/permissions.js'
+import { recordAudit } from '../../lib/audit.js'
+import { getTierIssuedCount } from '../../lib/tiers.js'
+import { allocateTicketNumbers, buildTierTickets } from '../../lib/tickets.js'
+import { parseCsvRecords } from '../../lib/csv.js'
+import { pickMintWallet } from '../../lib/wallets.js'
+import { generateQrNonce } from '../../lib/ticket_qr.js'
+import { ethers } from 'ethers'
+
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_KEY
+)
+
+const MAX_IMPORT_ROWS = 1000;
+const ISSUE_REASONS = ['comp', 'box_office', 'replacement'];
+const EMAIL_PATTERN = /^[^@\s]+@[^@\s]+\.[^@\s]+$/;
+const WALLET_PATTERN = /^0x[a-fA-F0-9]{40}$/;
+
+export default async function handler(req, res) {
+  // Set CORS headers
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+
+  // Handle OPTIONS preflight request
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  // Only allow POST requests
+  if (req.method !== 'POST') {
+    return res.status(405).json({
+      status: 'error',
+      message: 'Method not allowed'
+    });
+  }
+
+  try {
+    // Get the authorization header
+    const authHeader = req.headers.authorization;
+    if (!authHeader || !authHeader.startsWith('Bearer ')) {
+      return res.status(401).json({
+        status: 'error',
+        message: 'Missing or invalid authorization header'
+      });
+    }
+
+    const token = authHeader.split(' ')[1];
+
+    // Verify the token and get user details
+    const { data: { user }, error: authError } = await supabase.auth.getUser(token);
+
+    if (authError || !user) {
+      return res.status(401).json({
+        status: 'error',
+        message: 'Invalid or expired token'
+      });
+    }
+
+    // The CSV is sent as a string field of the JSON body: name, email, wallet, tier[, reason]
+    const { event_id, csv, dry_run = true } = req.body || {};
+
+    if (!event_id || typeof csv !== 'string' || !csv.trim()) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Missing required parameters: event_id and csv'
+      });
+    }
+
+    const access = await checkEventPermission(user.id, event_id, 'assign_tickets');
+    if (!access.allowed) {
+      return permissionDenied(res, access);
+    }
+
+    const { columns, records } = parseCsvRecords(csv);
+
+    const missingColumns = ['tier'].filter(column => !columns.includes(column));
+    if (!columns.includes('email') && !columns.includes('wallet')) missingColumns.push('email or wallet');
+
+    if (missingColumns.length) {
+      return res.status(400).json({
+        status: 'error',
+        message: `CSV is missing required column(s): ${missingColumns.join(', ')}`
+      });
+    }
+
+    if (!records.length || records.length > MAX_IMPORT_ROWS) {
+      return res.status(400).json({
+        status: 'error',
+        message: `CSV must contain between 1 and ${MAX_IMPORT_ROWS} rows`
+      });
+    }
+
+    const { data: event, error: eventError } = await supabase
+      .from('events')
+      .select('*, admin_wallets(*)')
+      .eq('event_id', event_id)
+      .single();
+
+    if (eventError || !event) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Event not found'
+      });
+    }
+
+    const { data: tiers, error: tiersError } = await supabase
+      .from('ticket_tiers')
+      .select('*')
+      .eq('event_id', event_id);
+
+    if (tiersError) {
+      throw tiersError;
+    }
+
+    const tiersByName = new Map(tiers.map(tier => [tier.name.toLowerCase(), tier]));
+    const usersByKey = await findAttendees(records);
+
+    // 1. Validate every row
+    const errors = [];
+    const rows = [];
+
+    for (const record of records) {
+      const rowErrors = [];
+      const tier = tiersByName.get((record.tier || '').toLowerCase());
+      const email = (record.email || '').toLowerCase();
+      const wallet = (record.wallet || '').toLowerCase();
+      const reason = record.reason || 'box_office';
+
+      if (!tier) rowErrors.push({ field: 'tier', message: `Unknown tier "${record.tier || ''}"` });
+      if (email && !EMAIL_PATTERN.test(email)) rowErrors.push({ field: 'email', message: 'Invalid email address' });
+      if (wallet && !WALLET_PATTERN.test(wallet)) rowErrors.push({ field: 'wallet', message: 'Invalid wallet address' });
+      if (!email && !wallet) rowErrors.push({ field: 'email', message: 'Either email or wallet is required' });
+      if (!ISSUE_REASONS.includes(reason)) {
+        rowErrors.push({ field: 'reason', message: `Invalid reason. Expected one of: ${ISSUE_REASONS.join(', ')}` });
+      }
+
+      const attendee = usersByKey.get(`wallet:${wallet}`) || usersByKey.get(`email:${email}`);
+      if (!rowErrors.length && !attendee) {
+        rowErrors.push({ field: wallet ? 'wallet' : 'email', message: 'No user found with this email or wallet' });
+      }
+
+      if (rowErrors.length) {
+        errors.push(...rowErrors.map(error => ({ row: record.row, ...error })));
+      } else {
+        rows.push({ row: record.row, name: record.name || null, tier, attendee, reason });
+      }
+    }
+
+    // 2. Plan each tier: hand out unassigned inventory first, then create tickets within supply
+    const plan = [];
+    const canMint = Boolean(event.nft_contract_address && pickMintWallet(event.admin_wallets));
+
+    for (const tier of tiers) {
+      const tierRows = rows.filter(row => row.tier.tier_id === tier.tier_id);
+      if (!tierRows.length) continue;
+
+      const fromInventory = Math.min(await countInventory(event_id, tier.tier_id), tierRows.length);
+      const remainingSupply = Math.max(tier.max_supply - await getTierIssuedCount(tier.tier_id), 0);
+      const toCreate = tierRows.length - fromInventory;
+
+      if (toCreate > remainingSupply) {
+        for (const row of tierRows.slice(fromInventory + remainingSupply)) {
+          errors.push({ row: row.row, field: 'tier', message: `Tier ${tier.name} is sold out` });
+        }
+      } else if (toCreate > 0 && !canMint) {
+        for (const row of tierRows.slice(fromInventory)) {
+          errors.push({ row: row.row, field: 'tier', message: 'No inventory left and the event is not configured for NFT minting' });
+        }
+      }
+
+      plan.push({
+        tier_id: tier.tier_id,
+        tier_name: tier.name,
+        rows: tierRows.length,
+        assign_from_inventory: fromInventory,
+        create: toCreate,
+        tier,
+        tierRows
+      });
+    }
+
+    errors.sort((a, b) => a.row - b.row);
+
+    const report = {
+      dry_run: dry_run !== false,
+      total_rows: records.length,
+      valid_rows: records.length - new Set(errors.map(error => error.row)).size,
+      errors,
+      plan: plan.map(({ tier, tierRows, ...summary }) => summary)
+    };
+
+    if (report.dry_run) {
+      return res.status(200).json({
+        status: 'success',
+        message: errors.length ? `Dry run found ${errors.length} problem(s)` : 'Dry run passed; no changes were made',
+        data: report
+      });
+    }
+
+    // Nothing is written unless every row is valid
+    if (errors.length) {
+      return res.status(422).json({
+        status: 'error',
+        message: `Import rejected: ${errors.length} problem(s) found`,
+        data: report
+      });
+    }
+
+    if (plan.some(tier => tier.create > 0)) {
+      const mintAccess = await checkEventPermission(user.id, event_id, 'mint');
+      if (!mintAccess.allowed) {
+        return permissionDenied(res, mintAccess);
+      }
+    }
+
+    // 3. Assign or create tickets, all in one transaction (import_event_attendees)
+    const issueFields = row => ({
+      user_id: row.attendee.user_id,
+      issued_by: access.eventAdmin.user_id,
+      issued_at: new Date().toISOString(),
+      issue_reason: row.reason,
+      issue_note: row.name ? `Imported for ${row.name}` : 'Imported from CSV'
+    });
+
+    const assignments = [];
+    const createRows = [];
+    const newTickets = [];
+    const mintJob = [];
+
+    for (const { tierRows, assign_from_inventory } of plan) {
+      for (const row of tierRows.slice(0, assign_from_inventory)) {
+        const { issued_at, ...fields } = issueFields(row);
+        // A fresh qr_nonce voids any QR code issued for the claimed ticket before
+        assignments.push({ csv_row: row.row, tier_id: row.tier.tier_id, ...fields, qr_nonce: generateQrNonce() });
+      }
+      createRows.push(...tierRows.slice(assign_from_inventory));
+    }
+
+    if (createRows.length) {
+      // Numbers allocated for an import that is rolled back are skipped, like a failed mint's
+      let nextNumber = await allocateTicketNumbers(event_id, createRows.length);
+
+      for (const { tier, tierRows, assign_from_inventory } of plan) {
+        const rowsToCreate = tierRows.slice(assign_from_inventory);
+        if (!rowsToCreate.length) continue;
+
+        const built = buildTierTickets(event, tier, rowsToCreate.map(issueFields), nextNumber);
+        newTickets.push(...built.ticketsToCreate);
+        mintJob.push(...built.nftMetadata);
+        nextNumber += rowsToCreate.length;
+      }
+    }
+
+    const { data: imported, error: importError } = await supabase.rpc('import_event_attendees', {
+      p_event_id: event_id,
+      p_assignments: assignments,
+      p_new_tickets: newTickets,
+      p_mint_job: mintJob.length ? mintJob : null
+    });
+
+    if (importError) {
+      // Nothing was written; the client can run the import again
+      const conflict = ['import_inventory_changed', 'tier_supply_exceeded']
+        .find(code => importError.message?.includes(code));
+
+      if (conflict) {
+        return res.status(409).json({
+          status: 'error',
+          message: conflict === 'tier_supply_exceeded'
+            ? 'A tier sold out while importing; no changes were made'
+            : 'Ticket inventory changed while importing; no changes were made',
+          error: importError.message
+        });
+      }
+
+      throw importError;
+    }
+
+    const results = [
+      ...imported.assigned.map(ticket => ({ action: 'assigned', ...ticket })),
+      ...newTickets.map((ticket, i) => ({
+        row: createRows[i].row,
+        action: 'created',
+        ticket_id: ticket.ticket_id,
+        ticket_number: ticket.ticket_number
+      }))
+    ];
+
+    results.sort((a, b) => a.row - b.row);
+
+    await recordAudit(req, user, {
+      action: 'ticket.import',
+      event_id,
+      target_type: 'event',
+      target_id: event_id,
+      actor_user_id: access.eventAdmin.user_id,
+      after: results,
+      metadata: {
+        total_rows: records.length,
+        assigned: results.filter(result => result.action === 'assigned').length,
+        created: results.filter(result => result.action === 'created').length
+      }
+    });
+
+    return res.status(200).json({
+      status: 'success',
+      message: `Imported ${results.length} row(s)`,
+      data: { ...report, results }
+    });
+
+  } catch (error) {
+    console.error('Error importing attendees:', error);
+    return res.status(500).json({
+      status: 'error',
+      message: 'An error occurred while importing attendees',
+      error: error.message
+    });
+  }
+}
+
+// Look up users for every wallet and email in the file, keyed "wallet:<address>" / "email:<address>"
+async function findAttendees(records) {
+  // Malformed values are reported as row errors, so only look up well-formed ones
+  const wallets = [...new Set(records.map(record => (record.wallet || '').toLowerCase()))]
+    .filter(wallet => WALLET_PATTERN.test(wallet));
+  const emails = [...new Set(records.map(record => (record.email || '').toLowerCase()))]
+    .filter(email => EMAIL_PATTERN.test(email));
+  const usersByKey = new Map();
+
+  if (wallets.length) {
+    // users.wallet_address may be stored checksummed or lowercase
+    const { data, error } = await supabase
+      .from('users')
+      .select('user_id, wallet_address')
+      .in('wallet_address', wallets.flatMap(wallet => [wallet, ethers.utils.getAddress(wallet)]));
+
+    if (error) {
+      throw error;
+    }
+
+    data.forEach(user => usersByKey.set(`wallet:${user.wallet_address.toLowerCase()}`, user));
+  }
+
+  if (emails.length) {
+    // Emails live on the auth users, not the users table; the RPC joins the two
+    const { data, error } = await supabase.rpc('find_users_by_email', { p_emails: emails });
+
+    if (error) {
+      throw error;
+    }
+
+    data.forEach(user => usersByKey.set(`email:${user.email}`, user));
+  }
+
+  return usersByKey;
+}
+
+// Unassigned, unused tickets of a tier; the same rules import_event_attendees claims by
+async function countInventory(eventId, tierId) {
+  const { count, error } = await supabase
+    .from('tickets')
+    .select('ticket_id', { count: 'exact', head: true })
+    .eq('event_id', eventId)
+    .eq('tier_id', tierId)
+    .eq('ticket_status', 'valid')
+    .is('user_id', null)
+    .is('deleted_at', null)
+    .is('checked_in_at', null)
+    .in('nft_mint_status', ['pending', 'minted']);
+
+  if (error) {
+    throw error;
+  }
+
+  return count || 0;
+}
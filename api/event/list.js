@@ -1,10 +1,19 @@
 import { createClient } from '@supabase/supabase-js'
+import { PUBLIC_EVENT_FIELDS, EVENT_SORT_FIELDS } from '../../lib/events.js'
 
 const supabase = createClient(
   process.env.SUPABASE_URL,
   process.env.SUPABASE_ANON_KEY  // Using anon key for public access
 )
 
+const MAX_LIMIT = 100
+
+// Quote a search term for a PostgREST or() filter, escaping LIKE wildcards so they match literally
+function ilikePattern(term) {
+  const escaped = term.replace(/[\\%_]/g, '\\$&')
+  return `"%${escaped.replace(/["\\]/g, '\\$&')}%"`
+}
+
 export default async function handler(req, res) {
   // Set CORS headers
   res.setHeader('Access-Control-Allow-Origin', '*'); // Use '*' during testing, later restrict to your domain
@@ -26,34 +35,118 @@ export default async function handler(req, res) {
 
   try {
     // Get query parameters for filtering
-    const { upcoming, past, sort = 'event_date', order = 'asc' } = req.query
+    const {
+      upcoming,
+      past,
+      q,
+      from,
+      to,
+      fields,
+      sort = 'event_date',
+      order = 'asc'
+    } = req.query
+
+    const page = Math.max(parseInt(req.query.page) || 1, 1)
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), MAX_LIMIT)
+    const offset = (page - 1) * limit
+
+    const errors = []
+
+    // Never pass user input straight to .order()
+    if (!EVENT_SORT_FIELDS.includes(sort)) {
+      errors.push(`sort must be one of: ${EVENT_SORT_FIELDS.join(', ')}`)
+    }
+
+    if (order !== 'asc' && order !== 'desc') {
+      errors.push('order must be asc or desc')
+    }
+
+    // Only public columns can be projected; event_id is always returned
+    const columns = fields
+      ? [...new Set(['event_id', ...[].concat(fields).join(',').split(',').map(field => field.trim()).filter(Boolean)])]
+      : PUBLIC_EVENT_FIELDS
+    const unknownFields = columns.filter(field => !PUBLIC_EVENT_FIELDS.includes(field))
+
+    if (unknownFields.length) {
+      errors.push(`Unknown fields: ${unknownFields.join(', ')}. Allowed: ${PUBLIC_EVENT_FIELDS.join(', ')}`)
+    }
+
+    const dateRange = {}
+    for (const [name, value] of Object.entries({ from, to })) {
+      if (value === undefined) continue
 
-    // Start building the query
+      const date = new Date(value)
+      if (isNaN(date.getTime())) {
+        errors.push(`${name} must be an ISO 8601 date`)
+      } else {
+        dateRange[name] = date.toISOString()
+      }
+    }
+
+    if (errors.length) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Invalid query parameters',
+        errors
+      })
+    }
+
+    // Start building the query; the count reflects every filter below
     let query = supabase
       .from('events')
-      .select('*')
+      .select(columns.join(','), { count: 'exact' })
 
     // Apply filters based on query parameters
     if (upcoming === 'true') {
-      query = query.gte('event_date', new Date().toISOString())
+      // Archived events are no longer on sale, so they are not "upcoming"
+      query = query.gte('event_date', new Date().toISOString()).is('archived_at', null)
     } else if (past === 'true') {
       query = query.lt('event_date', new Date().toISOString())
     }
 
-    // Apply sorting
-    query = query.order(sort, { ascending: order === 'asc' })
+    if (dateRange.from) {
+      query = query.gte('event_date', dateRange.from)
+    }
+
+    if (dateRange.to) {
+      query = query.lte('event_date', dateRange.to)
+    }
+
+    if (typeof q === 'string' && q.trim()) {
+      const pattern = ilikePattern(q.trim())
+      query = query.or(`event_name.ilike.${pattern},venue.ilike.${pattern}`)
+    }
+
+    // Apply sorting; event_id breaks ties so pages do not overlap
+    query = query
+      .order(sort, { ascending: order === 'asc' })
+      .order('event_id', { ascending: true })
+      .range(offset, offset + limit - 1)
 
     // Execute the query
-    const { data: events, error: fetchError } = await query
+    const { data: events, count, error: fetchError } = await query
 
     if (fetchError) {
       throw fetchError
     }
 
+    // Calculate pagination info
+    const totalPages = Math.ceil(count / limit)
+
     return res.status(200).json({
       status: 'success',
       message: 'Events retrieved successfully',
-      data: events
+      data: {
+        events,
+        pagination: {
+          total: count,
+          page,
+          limit,
+          totalPages,
+          hasNextPage: page < totalPages,
+          hasPrevPage: page > 1
+        }
+      }
     })
 
   } catch (error) {
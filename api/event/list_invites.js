@@ -0,0 +1,95 @@
+import { createClient } from '@supabase/supabase-js'
+import { checkEventPermission, permissionDenied } from '../../lib/permissions.js'
+import { getInviteStatus } from '../../lib/invites.js'
+
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_KEY
+)
+
+export default async function handler(req, res) {
+  // Set CORS headers
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+
+  // Handle OPTIONS preflight request
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  // Only allow GET requests
+  if (req.method !== 'GET') {
+    return res.status(405).json({
+      status: 'error',
+      message: 'Method not allowed'
+    });
+  }
+
+  try {
+    // Get the authorization header
+    const authHeader = req.headers.authorization;
+    if (!authHeader || !authHeader.startsWith('Bearer ')) {
+      return res.status(401).json({
+        status: 'error',
+        message: 'Missing or invalid authorization header'
+      });
+    }
+
+    const token = authHeader.split(' ')[1];
+
+    // Verify the token and get user details
+    const { data: { user }, error: authError } = await supabase.auth.getUser(token);
+
+    if (authError || !user) {
+      return res.status(401).json({
+        status: 'error',
+        message: 'Invalid or expired token'
+      });
+    }
+
+    // Get query parameters; status defaults to pending invites only
+    const { event_id, status = 'pending' } = req.query;
+
+    if (!event_id) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Missing required parameter: event_id'
+      });
+    }
+
+    const access = await checkEventPermission(user.id, event_id, 'manage_admins');
+    if (!access.allowed) {
+      return permissionDenied(res, access);
+    }
+
+    const { data: invites, error: invitesError } = await supabase
+      .from('event_invites')
+      .select('invite_id, event_id, email, user_id, permission_level, expires_at, created_by, created_at, accepted_at, accepted_by, revoked_at, revoked_by')
+      .eq('event_id', event_id)
+      .order('created_at', { ascending: false });
+
+    if (invitesError) {
+      throw invitesError;
+    }
+
+    const now = new Date();
+    const withStatus = invites
+      .map(invite => ({ ...invite, status: getInviteStatus(invite, now) }))
+      .filter(invite => status === 'all' || invite.status === status);
+
+    return res.status(200).json({
+      status: 'success',
+      message: 'Invites retrieved successfully',
+      data: withStatus
+    });
+
+  } catch (error) {
+    console.error('Error retrieving invites:', error);
+    return res.status(500).json({
+      status: 'error',
+      message: 'An error occurred while retrieving invites',
+      error: error.message
+    });
+  }
+}
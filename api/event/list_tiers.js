@@ -0,0 +1,95 @@
+import { createClient } from '@supabase/supabase-js'
+import { checkEventPermission, permissionDenied } from '../../lib/permissions.js'
+import { getEventAvailability } from '../../lib/availability.js'
+
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_KEY
+)
+
+export default async function handler(req, res) {
+  // Set CORS headers
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+
+  // Handle OPTIONS preflight request
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  // Only allow GET requests
+  if (req.method !== 'GET') {
+    return res.status(405).json({
+      status: 'error',
+      message: 'Method not allowed'
+    });
+  }
+
+  try {
+    // Get the authorization header
+    const authHeader = req.headers.authorization;
+    if (!authHeader || !authHeader.startsWith('Bearer ')) {
+      return res.status(401).json({
+        status: 'error',
+        message: 'Missing or invalid authorization header'
+      });
+    }
+
+    const token = authHeader.split(' ')[1];
+
+    // Verify the token and get user details
+    const { data: { user }, error: authError } = await supabase.auth.getUser(token);
+
+    if (authError || !user) {
+      return res.status(401).json({
+        status: 'error',
+        message: 'Invalid or expired token'
+      });
+    }
+
+    const { event_id } = req.query;
+
+    if (!event_id) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Missing required parameter: event_id'
+      });
+    }
+
+    const access = await checkEventPermission(user.id, event_id, 'view');
+    if (!access.allowed) {
+      return permissionDenied(res, access);
+    }
+
+    const { data: tiers, error: tiersError } = await supabase
+      .from('ticket_tiers')
+      .select('*')
+      .eq('event_id', event_id)
+      .order('created_at', { ascending: true });
+
+    if (tiersError) {
+      throw tiersError;
+    }
+
+    const availability = await getEventAvailability(event_id);
+    const statsByTier = Object.fromEntries(availability.tiers.map(stats => [stats.tier_id, stats]));
+
+    return res.status(200).json({
+      status: 'success',
+      message: 'Ticket tiers retrieved successfully',
+      data: tiers.map(tier => {
+        const { remaining_supply, sale_status, total_tickets, available_tickets, sold_tickets, revoked_tickets } = statsByTier[tier.tier_id] || {};
+        return { ...tier, remaining_supply, sale_status, total_tickets, available_tickets, sold_tickets, revoked_tickets };
+      })
+    });
+
+  } catch (error) {
+    console.error('Error retrieving ticket tiers:', error);
+    return res.status(500).json({
+      status: 'error',
+      message: 'An error occurred while retrieving ticket tiers',
+      error: error.message
+    });
+  }
+}
@@ -1,7 +1,14 @@
 // /api/event/mint.js - Enhanced structure needed
 
 import { createClient } from '@supabase/supabase-js';
-import { ethers } from 'ethers';
+import { queueForMinting, markTicketsFailed } from '../../lib/blockchain.js';
+import { mintToBlockchain } from '../../lib/mint_chunks.js';
+import { checkEventPermission } from '../../lib/permissions.js';
+import { recordAudit } from '../../lib/audit.js';
+import { pickMintWallet } from '../../lib/wallets.js';
+import { getTierIssuedCount } from '../../lib/tiers.js';
+import { createTierTickets } from '../../lib/tickets.js';
+import { beginIdempotentRequest, completeIdempotentRequest, releaseIdempotentRequest } from '../../lib/idempotency.js';
 
 const supabase = createClient(process.env.SUPABASE_URL, process.env.SUPABASE_SERVICE_KEY);
 
@@ -10,6 +17,10 @@ export default async function handler(req, res) {
         return res.status(405).json({ status: 'error', message: 'Method not allowed' });
     }
 
+    let idempotency = null;
+    // Filled in by mintTickets once ticket rows exist
+    const progress = {};
+
     try {
         // 1. Authentication & Authorization
         const token = req.headers.authorization?.replace('Bearer ', '');
@@ -19,221 +30,201 @@ export default async function handler(req, res) {
             return res.status(401).json({ status: 'error', message: 'Unauthorized' });
         }
 
-        // 2. Validate Event Admin Access
-        const { data: eventAdmin } = await supabase
-            .from('event_admins')
-            .select('*, events(*)')
-            .eq('auth_id', user.id)
-            .eq('event_id', req.body.event_id)
-            .single();
+        // A repeated Idempotency-Key gets the original response instead of a second batch
+        const idempotencyKey = req.headers['idempotency-key'];
+        if (idempotencyKey !== undefined) {
+            const claim = await beginIdempotentRequest({
+                key: idempotencyKey,
+                authId: user.id,
+                endpoint: 'POST /api/event/mint',
+                body: req.body
+            });
 
-        if (!eventAdmin) {
-            return res.status(403).json({ status: 'error', message: 'No access to this event' });
-        }
+            if (claim.error) {
+                return res.status(claim.error.status).json({ status: 'error', message: claim.error.message });
+            }
 
-        // 3. Validate Request Data
-        const {
-            event_id,
-            ticket_name,
-            quantity,
-            price,
-            ticket_type,
-            description,
-            image_url
-        } = req.body;
-
-        // Input validation
-        if (!event_id || !ticket_name || !quantity || quantity < 1 || quantity > 1000) {
-            return res.status(400).json({ 
-                status: 'error', 
-                message: 'Invalid input parameters' 
-            });
-        }
+            if (claim.replay) {
+                res.setHeader('Idempotent-Replayed', 'true');
+                return res.status(claim.replay.status).json(claim.replay.body);
+            }
 
-        // 4. Get Event & Wallet Info
-        const { data: event } = await supabase
-            .from('events')
-            .select('*, admin_wallets(*)')
-            .eq('event_id', event_id)
-            .single();
-
-        if (!event.nft_contract_address || !event.admin_wallets?.length) {
-            return res.status(400).json({ 
-                status: 'error', 
-                message: 'Event not configured for NFT minting' 
-            });
+            idempotency = claim.record;
         }
 
-        // 5. Generate Unique Ticket Numbers
-        const { data: existingTickets } = await supabase
-            .from('tickets')
-            .select('ticket_number')
-            .eq('event_id', event_id)
-            .order('ticket_number', { ascending: false })
-            .limit(1);
-
-        const startingNumber = existingTickets?.length ? existingTickets[0].ticket_number + 1 : 1;
-
-        // 6. Create Ticket Records in Database
-        const ticketsToCreate = [];
-        const nftMetadata = [];
-
-        for (let i = 0; i < quantity; i++) {
-            const ticketNumber = startingNumber + i;
-            const ticketId = crypto.randomUUID();
-            
-            // Create database record
-            ticketsToCreate.push({
-                ticket_id: ticketId,
-                event_id: event_id,
-                ticket_number: ticketNumber,
-                ticket_status: 'valid',
-                nft_mint_status: 'pending',
-                nft_contract_address: event.nft_contract_address,
-                nft_token_id: null, // Will be set after minting
-                nft_metadata: {
-                    name: `${ticket_name} #${ticketNumber}`,
-                    description: description,
-                    image: image_url || `https://api.placeholder.com/400x300?text=${encodeURIComponent(ticket_name)}`,
-                    attributes: [
-                        { trait_type: "Event", value: event.event_name },
-                        { trait_type: "Ticket Type", value: ticket_type },
-                        { trait_type: "Ticket Number", value: ticketNumber },
-                        { trait_type: "Price", value: `${price} ETH` },
-                        { trait_type: "Total Supply", value: quantity }
-                    ]
-                },
-                created_at: new Date().toISOString()
-            });
+        const result = await mintTickets(req, user, progress);
 
-            // Prepare NFT metadata for IPFS/blockchain
-            nftMetadata.push({
-                ticketId: ticketId,
-                tokenId: ticketNumber, // or generate unique token ID
-                metadata: {
-                    name: `${ticket_name} #${ticketNumber}`,
-                    description: description,
-                    image: image_url || `https://api.placeholder.com/400x300?text=${encodeURIComponent(ticket_name)}`,
-                    attributes: [
-                        { trait_type: "Event", value: event.event_name },
-                        { trait_type: "Ticket Type", value: ticket_type },
-                        { trait_type: "Ticket Number", value: ticketNumber },
-                        { trait_type: "Price", value: `${price} ETH` }
-                    ]
-                }
-            });
+        if (idempotency) {
+            await completeIdempotentRequest(idempotency, result.status, result.body);
         }
 
-        // 7. Insert Tickets into Database
-        const { data: createdTickets, error: dbError } = await supabase
-            .from('tickets')
-            .insert(ticketsToCreate)
-            .select();
+        return res.status(result.status).json(result.body);
 
-        if (dbError) {
-            throw new Error(`Database error: ${dbError.message}`);
-        }
+    } catch (error) {
+        console.error('Mint error:', error);
 
-        // 8. Queue for Blockchain Minting (Optional: Can be immediate or queued)
-        if (process.env.IMMEDIATE_MINT === 'true') {
-            await mintToBlockchain(nftMetadata, event.admin_wallets[0].wallet_address, event.nft_contract_address);
-        } else {
-            // Queue for background processing
-            await queueForMinting(nftMetadata, event_id);
+        const body = {
+            status: 'error',
+            message: progress.tickets
+                ? 'Tickets were created but could not be queued for minting; use /api/event/retry_mint'
+                : 'Minting failed',
+            error: error.message,
+            ...(progress.tickets ? { data: { ticket_ids: progress.tickets.map(ticket => ticket.ticket_id) } } : {})
+        };
+
+        if (idempotency) {
+            // Once tickets exist a retry must not create the batch again, so keep the key
+            // and replay this response; before that the key is freed for another attempt
+            if (progress.tickets) {
+                await completeIdempotentRequest(idempotency, 500, body);
+            } else {
+                await releaseIdempotentRequest(idempotency);
+            }
         }
 
-        // 9. Return Success Response
-        return res.status(201).json({
-            status: 'success',
-            message: `Successfully created ${quantity} ticket(s)`,
-            data: {
-                event_id: event_id,
-                tickets_created: quantity,
-                starting_ticket_number: startingNumber,
-                tickets: createdTickets,
-                mint_status: process.env.IMMEDIATE_MINT === 'true' ? 'minted' : 'queued'
+        return res.status(500).json(body);
+    }
+}
+
+// Steps 2-10 of a mint request. Returns { status, body } so the response can be stored for replays.
+async function mintTickets(req, user, progress = {}) {
+    // 2. Validate Request Data
+    const { event_id, tier_id, quantity } = req.body;
+
+    // Input validation
+    if (!event_id || !tier_id || !Number.isInteger(quantity) || quantity < 1 || quantity > 1000) {
+        return { status: 400, body: { 
+            status: 'error', 
+            message: 'Invalid input parameters. Expected event_id, tier_id and a quantity between 1 and 1000' 
+        } };
+    }
+
+    // 3. Validate Event Admin Access
+    const access = await checkEventPermission(user.id, event_id, 'mint');
+    if (!access.allowed) {
+        return {
+            status: access.status,
+            body: {
+                status: 'error',
+                message: access.message,
+                missing_permission: access.missing_permission,
+                required_levels: access.required_levels
             }
-        });
+        };
+    }
 
-    } catch (error) {
-        console.error('Mint error:', error);
-        return res.status(500).json({
+    // 4. Get Event & Wallet Info
+    const { data: event } = await supabase
+        .from('events')
+        .select('*, admin_wallets(*)')
+        .eq('event_id', event_id)
+        .single();
+
+    const mintWallet = pickMintWallet(event.admin_wallets);
+
+    if (!event.nft_contract_address || !mintWallet) {
+        return { status: 400, body: { 
+            status: 'error', 
+            message: 'Event not configured for NFT minting' 
+        } };
+    }
+
+    // 5. Get the Tier and Enforce its Supply
+    const { data: tier, error: tierError } = await supabase
+        .from('ticket_tiers')
+        .select('*')
+        .eq('tier_id', tier_id)
+        .eq('event_id', event_id)
+        .maybeSingle();
+
+    if (tierError) {
+        throw tierError;
+    }
+
+    if (!tier) {
+        return { status: 404, body: {
             status: 'error',
-            message: 'Minting failed',
-            error: error.message
-        });
+            message: 'Ticket tier not found for this event'
+        } };
     }
-}
 
-// Helper function for immediate blockchain minting
-async function mintToBlockchain(nftMetadata, walletAddress, contractAddress) {
-    try {
-        // Set up blockchain connection
-        const provider = new ethers.providers.JsonRpcProvider(process.env.ETHEREUM_RPC_URL);
-        const wallet = new ethers.Wallet(process.env.MINTER_PRIVATE_KEY, provider);
-        
-        // Contract ABI (simplified)
-        const contractABI = [
-            "function batchMint(address to, uint256[] tokenIds, string[] uris) external",
-            "function mint(address to, uint256 tokenId, string uri) external"
-        ];
-        
-        const contract = new ethers.Contract(contractAddress, contractABI, wallet);
-        
-        // Prepare batch minting data
-        const tokenIds = nftMetadata.map(item => item.tokenId);
-        const metadataURIs = await Promise.all(
-            nftMetadata.map(item => uploadMetadataToIPFS(item.metadata))
-        );
-        
-        // Execute batch mint
-        const tx = await contract.batchMint(walletAddress, tokenIds, metadataURIs);
-        await tx.wait();
-        
-        // Update database with successful mint
-        for (let i = 0; i < nftMetadata.length; i++) {
-            await supabase
-                .from('tickets')
-                .update({
-                    nft_mint_status: 'minted',
-                    nft_token_id: tokenIds[i]
-                })
-                .eq('ticket_id', nftMetadata[i].ticketId);
+    const issued = await getTierIssuedCount(tier_id);
+    const remainingSupply = tier.max_supply - issued;
+
+    if (quantity > remainingSupply) {
+        return { status: 409, body: {
+            status: 'error',
+            message: `Only ${Math.max(remainingSupply, 0)} ticket(s) left in tier ${tier.name}`,
+            data: { tier_id, max_supply: tier.max_supply, remaining_supply: Math.max(remainingSupply, 0) }
+        } };
+    }
+
+    // 6-8. Reserve Ticket Numbers and Insert Ticket Records (see lib/tickets.js)
+    const created = await createTierTickets(event, tier, Array.from({ length: quantity }, () => ({})));
+
+    if (created.supplyExceeded) {
+        // A concurrent mint took the remaining supply
+        return { status: 409, body: {
+            status: 'error',
+            message: `Not enough tickets left in tier ${tier.name}`,
+            data: { tier_id, max_supply: tier.max_supply }
+        } };
+    }
+
+    const { startingNumber, createdTickets, nftMetadata } = created;
+    progress.tickets = createdTickets;
+
+    // 9. Queue for Blockchain Minting (Optional: Can be immediate or queued)
+    let mintStatus = 'queued';
+    let mintError = null;
+
+    if (process.env.IMMEDIATE_MINT === 'true') {
+        // The tickets exist now, so a chain failure is reported rather than thrown;
+        // they are marked failed and can be retried via /api/event/retry_mint
+        try {
+            await mintToBlockchain(nftMetadata, mintWallet.wallet_address, event.nft_contract_address, event.blockchain_network);
+            mintStatus = 'minted';
+        } catch (error) {
+            mintStatus = 'failed';
+            mintError = error.message;
         }
-        
-        return true;
-    } catch (error) {
-        console.error('Blockchain minting error:', error);
-        // Update failed tickets
-        for (const item of nftMetadata) {
-            await supabase
-                .from('tickets')
-                .update({ nft_mint_status: 'failed' })
-                .eq('ticket_id', item.ticketId);
+    } else {
+        // Queue for background processing (drained by lib/mint_worker.js).
+        // If that fails, mark the tickets failed so retry_mint can queue them later.
+        try {
+            await queueForMinting(nftMetadata, event_id);
+        } catch (error) {
+            await markTicketsFailed(nftMetadata);
+            throw error;
         }
-        throw error;
     }
-}
 
-// Helper function to queue minting for background processing
-async function queueForMinting(nftMetadata, eventId) {
-    const { error } = await supabase
-        .from('mint_queue')
-        .insert({
-            event_id: eventId,
-            ticket_data: nftMetadata,
-            status: 'pending',
-            created_at: new Date().toISOString()
-        });
-    
-    if (error) {
-        throw new Error(`Queue error: ${error.message}`);
-    }
+    await recordAudit(req, user, {
+        action: 'ticket.mint',
+        event_id: event_id,
+        target_type: 'event',
+        target_id: event_id,
+        actor_user_id: access.eventAdmin.user_id,
+        after: {
+            ticket_ids: createdTickets.map(ticket => ticket.ticket_id),
+            starting_ticket_number: startingNumber
+        },
+        metadata: { quantity, tier_id, tier_name: tier.name, immediate: process.env.IMMEDIATE_MINT === 'true' }
+    });
+
+    // 10. Return Success Response
+    return { status: 201, body: {
+        status: 'success',
+        message: `Successfully created ${quantity} ticket(s)`,
+        data: {
+            event_id: event_id,
+            tier_id: tier_id,
+            tickets_created: quantity,
+            remaining_supply: remainingSupply - quantity,
+            starting_ticket_number: startingNumber,
+            tickets: createdTickets,
+            mint_status: mintStatus,
+            ...(mintError ? { mint_error: mintError } : {})
+        }
+    } };
 }
-
-// Helper function to upload metadata to IPFS (you'll need to implement this)
-async function uploadMetadataToIPFS(metadata) {
-    // Use services like Pinata, Infura IPFS, or your own IPFS node
-    // For now, return a placeholder
-    return `https://ipfs.io/ipfs/placeholder-${Date.now()}`;
-}
\ No newline at end of file
@@ -0,0 +1,187 @@
+// /api/event/mint/preview.js - Dry run of /api/event/mint. Reads only; nothing is written.
+
+import { createClient } from '@supabase/supabase-js';
+import { checkEventPermission, permissionDenied } from '../../../lib/permissions.js';
+import { pickMintWallet } from '../../../lib/wallets.js';
+import { getTierIssuedCount } from '../../../lib/tiers.js';
+import { buildTicketMetadata } from '../../../lib/metadata.js';
+import { computeCid, serializeMetadata } from '../../../lib/metadata_storage/index.js';
+import { estimateChunkedMint, MAX_CHUNK_SIZE } from '../../../lib/mint_chunks.js';
+import { DEFAULT_NETWORK, describeNetwork, isSupportedNetwork } from '../../../lib/networks.js';
+
+const supabase = createClient(process.env.SUPABASE_URL, process.env.SUPABASE_SERVICE_KEY);
+
+export default async function handler(req, res) {
+    if (req.method !== 'POST') {
+        return res.status(405).json({ status: 'error', message: 'Method not allowed' });
+    }
+
+    try {
+        // 1. Authentication & Authorization
+        const token = req.headers.authorization?.replace('Bearer ', '');
+        const { data: { user }, error: authError } = await supabase.auth.getUser(token);
+        
+        if (authError || !user) {
+            return res.status(401).json({ status: 'error', message: 'Unauthorized' });
+        }
+
+        // 2. Validate Request Data (same body as /api/event/mint)
+        const { event_id, tier_id, quantity } = req.body;
+
+        if (!event_id || !tier_id || !Number.isInteger(quantity) || quantity < 1 || quantity > 1000) {
+            return res.status(400).json({ 
+                status: 'error', 
+                message: 'Invalid input parameters. Expected event_id, tier_id and a quantity between 1 and 1000' 
+            });
+        }
+
+        // 3. Validate Event Admin Access
+        const access = await checkEventPermission(user.id, event_id, 'mint');
+        if (!access.allowed) {
+            return permissionDenied(res, access);
+        }
+
+        // 4. Get Event, Wallet and Tier
+        const { data: event, error: eventError } = await supabase
+            .from('events')
+            .select('*, admin_wallets(*)')
+            .eq('event_id', event_id)
+            .single();
+
+        if (eventError || !event) {
+            return res.status(404).json({ status: 'error', message: 'Event not found' });
+        }
+
+        const { data: tier, error: tierError } = await supabase
+            .from('ticket_tiers')
+            .select('*')
+            .eq('tier_id', tier_id)
+            .eq('event_id', event_id)
+            .maybeSingle();
+
+        if (tierError) {
+            throw tierError;
+        }
+
+        if (!tier) {
+            return res.status(404).json({ status: 'error', message: 'Ticket tier not found for this event' });
+        }
+
+        // Anything in here would make the real mint request fail
+        const problems = [];
+        const mintWallet = pickMintWallet(event.admin_wallets);
+        const networkKey = event.blockchain_network || DEFAULT_NETWORK;
+
+        if (!event.nft_contract_address) {
+            problems.push({ code: 'MISSING_CONTRACT_ADDRESS', message: 'Event has no nft_contract_address' });
+        }
+
+        if (!mintWallet) {
+            problems.push({ code: 'NO_ADMIN_WALLET', message: 'Event has no active admin wallet to mint to' });
+        }
+
+        if (!isSupportedNetwork(networkKey)) {
+            problems.push({ code: 'UNSUPPORTED_NETWORK', message: `Blockchain network ${networkKey} is not supported` });
+        }
+
+        const remainingSupply = Math.max(tier.max_supply - await getTierIssuedCount(tier_id), 0);
+
+        if (quantity > remainingSupply) {
+            problems.push({
+                code: 'SUPPLY_EXCEEDED',
+                message: `Only ${remainingSupply} ticket(s) left in tier ${tier.name}`
+            });
+        }
+
+        // 5. Predict the Ticket Number Range from the counter used by allocate_ticket_numbers.
+        // A concurrent mint may still take these numbers first.
+        const startingNumber = await getNextTicketNumber(event_id);
+        const lastNumber = startingNumber + quantity - 1;
+
+        // 6. Estimate Gas and Cost from the first chunk
+        let gas = null;
+
+        if (!problems.length) {
+            const sample = [];
+            for (let number = startingNumber; number < startingNumber + Math.min(quantity, MAX_CHUNK_SIZE); number++) {
+                const metadata = buildTicketMetadata(event, tier, number);
+                sample.push({ tokenId: number, uri: `ipfs://${computeCid(serializeMetadata(metadata))}` });
+            }
+
+            try {
+                gas = await estimateChunkedMint({
+                    walletAddress: mintWallet.wallet_address,
+                    contractAddress: event.nft_contract_address,
+                    network: networkKey,
+                    tokenIds: sample.map(item => item.tokenId),
+                    uris: sample.map(item => item.uri),
+                    quantity
+                });
+            } catch (error) {
+                problems.push({ code: 'GAS_ESTIMATION_FAILED', message: error.reason || error.message });
+            }
+        }
+
+        return res.status(200).json({
+            status: 'success',
+            message: problems.length ? 'Mint preview found blocking problems' : 'Mint preview is ready',
+            data: {
+                event_id: event_id,
+                tier_id: tier_id,
+                quantity: quantity,
+                can_mint: problems.length === 0,
+                problems,
+                ticket_numbers: { first: startingNumber, last: lastNumber },
+                remaining_supply: remainingSupply,
+                first_ticket: {
+                    ticket_number: startingNumber,
+                    nft_metadata: buildTicketMetadata(event, tier, startingNumber)
+                },
+                last_ticket: {
+                    ticket_number: lastNumber,
+                    nft_metadata: buildTicketMetadata(event, tier, lastNumber)
+                },
+                network: isSupportedNetwork(networkKey) ? describeNetwork(networkKey) : null,
+                gas
+            }
+        });
+
+    } catch (error) {
+        console.error('Mint preview error:', error);
+        return res.status(500).json({
+            status: 'error',
+            message: 'Mint preview failed',
+            error: error.message
+        });
+    }
+}
+
+async function getNextTicketNumber(eventId) {
+    const { data: counter, error: counterError } = await supabase
+        .from('event_ticket_counters')
+        .select('last_ticket_number')
+        .eq('event_id', eventId)
+        .maybeSingle();
+
+    if (counterError) {
+        throw counterError;
+    }
+
+    if (counter) {
+        return counter.last_ticket_number + 1;
+    }
+
+    // No counter row until the event's first mint; allocate_ticket_numbers seeds it the same way
+    const { data: existingTickets, error: ticketsError } = await supabase
+        .from('tickets')
+        .select('ticket_number')
+        .eq('event_id', eventId)
+        .order('ticket_number', { ascending: false })
+        .limit(1);
+
+    if (ticketsError) {
+        throw ticketsError;
+    }
+
+    return existingTickets.length ? existingTickets[0].ticket_number + 1 : 1;
+}
@@ -0,0 +1,150 @@
+import { createClient } from '@supabase/supabase-js'
+import { checkEventPermission, permissionDenied } from '../../lib/permissions.js'
+
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_KEY
+)
+
+export default async function handler(req, res) {
+  // Set CORS headers
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+
+  // Handle OPTIONS preflight request
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  // Only allow GET requests
+  if (req.method !== 'GET') {
+    return res.status(405).json({
+      status: 'error',
+      message: 'Method not allowed'
+    });
+  }
+
+  try {
+    // Get the authorization header
+    const authHeader = req.headers.authorization;
+    if (!authHeader || !authHeader.startsWith('Bearer ')) {
+      return res.status(401).json({
+        status: 'error',
+        message: 'Missing or invalid authorization header'
+      });
+    }
+
+    const token = authHeader.split(' ')[1];
+
+    // Verify the token and get user details
+    const { data: { user }, error: authError } = await supabase.auth.getUser(token);
+
+    if (authError || !user) {
+      return res.status(401).json({
+        status: 'error',
+        message: 'Invalid or expired token'
+      });
+    }
+
+    // Get query parameters
+    const { event_id } = req.query;
+
+    if (!event_id) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Missing required parameter: event_id'
+      });
+    }
+
+    const access = await checkEventPermission(user.id, event_id, 'view');
+    if (!access.allowed) {
+      return permissionDenied(res, access);
+    }
+
+    // Get mint queue status. Every list is paged, since PostgREST caps a response at 1000 rows.
+    const jobs = await fetchAllPages(() => supabase
+      .from('mint_queue')
+      .select('id, status, retry_count, error_message, next_attempt_at, tx_hash, created_at, processed_at')
+      .eq('event_id', event_id)
+      .order('created_at', { ascending: false })
+      .order('id', { ascending: false }));
+
+    // Ticket counts, per event and per job, are aggregated in the database
+    const { data: [ticketCounts], error: countsError } = await supabase
+      .rpc('event_mint_status_counts', { p_event_id: event_id });
+
+    if (countsError) {
+      throw countsError;
+    }
+
+    const jobCounts = await fetchAllPages(() => supabase
+      .rpc('mint_job_ticket_counts', { p_event_id: event_id })
+      .order('job_id', { ascending: true }));
+
+    // Chunk progress of each job (lib/mint_chunks.js)
+    const chunks = await fetchAllPages(() => supabase
+      .from('mint_chunks')
+      .select('job_id, chunk_index, status, tx_hash, error_message')
+      .eq('event_id', event_id)
+      .order('job_id', { ascending: true })
+      .order('chunk_index', { ascending: true }));
+
+    const countsByJob = new Map(jobCounts.map(({ job_id, ...counts }) => [job_id, counts]));
+
+    // Progress per queue job, based on the current status of the tickets it carries
+    const queueJobs = jobs.map(job => ({
+      job_id: job.id,
+      status: job.status,
+      tickets: countsByJob.get(String(job.id)) || { total: 0, minted: 0, pending: 0, failed: 0 },
+      retry_count: job.retry_count || 0,
+      last_error: job.error_message,
+      next_retry_at: job.status === 'pending' ? job.next_attempt_at : null,
+      tx_hash: job.tx_hash,
+      chunks: chunks
+        .filter(chunk => chunk.job_id === String(job.id))
+        .map(({ job_id, ...chunk }) => chunk),
+      created_at: job.created_at,
+      processed_at: job.processed_at
+    }));
+
+    return res.status(200).json({
+      status: 'success',
+      message: 'Mint status retrieved successfully',
+      data: {
+        total_tickets: ticketCounts.total,
+        minted: ticketCounts.minted,
+        pending: ticketCounts.pending,
+        failed: ticketCounts.failed,
+        queue_jobs: queueJobs
+      }
+    });
+
+  } catch (error) {
+    console.error('Error retrieving mint status:', error);
+    return res.status(500).json({
+      status: 'error',
+      message: 'An error occurred while retrieving mint status',
+      error: error.message
+    });
+  }
+}
+
+const PAGE_SIZE = 1000;
+
+// Run a query page by page until a short page comes back; `buildQuery` must apply a stable order
+async function fetchAllPages(buildQuery) {
+  const rows = [];
+
+  for (let from = 0; ; from += PAGE_SIZE) {
+    const { data, error } = await buildQuery().range(from, from + PAGE_SIZE - 1);
+
+    if (error) {
+      throw error;
+    }
+
+    rows.push(...data);
+
+    if (data.length < PAGE_SIZE) return rows;
+  }
+}
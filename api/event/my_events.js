@@ -0,0 +1,84 @@
+import { createClient } from '@supabase/supabase-js'
+import { getEventsAvailability } from '../../lib/availability.js'
+
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_KEY
+)
+
+export default async function handler(req, res) {
+  // Set CORS headers
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+
+  // Handle OPTIONS preflight request
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  // Only allow GET requests
+  if (req.method !== 'GET') {
+    return res.status(405).json({ 
+      status: 'error', 
+      message: 'Method not allowed' 
+    });
+  }
+
+  try {
+    // Get the authorization header
+    const authHeader = req.headers.authorization;
+    if (!authHeader || !authHeader.startsWith('Bearer ')) {
+      return res.status(401).json({
+        status: 'error',
+        message: 'Missing or invalid authorization header'
+      });
+    }
+
+    const token = authHeader.split(' ')[1];
+    
+    // Verify the token and get user details
+    const { data: { user }, error: authError } = await supabase.auth.getUser(token);
+    
+    if (authError || !user) {
+      return res.status(401).json({
+        status: 'error',
+        message: 'Invalid or expired token'
+      });
+    }
+
+    // Get every event this admin is linked to
+    const { data: links, error: linksError } = await supabase
+      .from('event_admins')
+      .select('event_id, permission_level, created_at, events:event_id (*)')
+      .eq('auth_id', user.id)
+      .order('created_at', { ascending: true });
+
+    if (linksError) {
+      throw linksError;
+    }
+
+    const availability = await getEventsAvailability(links.map(link => link.event_id));
+
+    const events = links.map(link => ({
+      ...link.events,
+      permission_level: link.permission_level,
+      connected_at: link.created_at,
+      availability: availability[link.event_id]
+    }));
+
+    return res.status(200).json({
+      status: 'success',
+      message: events.length ? 'Connected events retrieved successfully' : 'No events connected to this admin',
+      data: events
+    });
+
+  } catch (error) {
+    console.error('Error retrieving connected events:', error);
+    return res.status(500).json({
+      status: 'error',
+      message: 'An error occurred while retrieving connected events',
+      error: error.message
+    });
+  }
+}
\ No newline at end of file
@@ -0,0 +1,131 @@
+import { createClient } from '@supabase/supabase-js'
+import { checkEventPermission, permissionDenied } from '../../lib/permissions.js'
+import { recordAudit } from '../../lib/audit.js'
+import { reconcileEvent } from '../../lib/reconcile.js'
+
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_KEY
+)
+
+// Each ticket costs three contract reads, so a request covers at most this many;
+// whole events are reconciled with scripts/reconcile_event.js
+const MAX_TICKETS = 200
+
+export default async function handler(req, res) {
+  // Set CORS headers
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+
+  // Handle OPTIONS preflight request
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  // Only allow POST requests
+  if (req.method !== 'POST') {
+    return res.status(405).json({
+      status: 'error',
+      message: 'Method not allowed'
+    });
+  }
+
+  try {
+    // Get the authorization header
+    const authHeader = req.headers.authorization;
+    if (!authHeader || !authHeader.startsWith('Bearer ')) {
+      return res.status(401).json({
+        status: 'error',
+        message: 'Missing or invalid authorization header'
+      });
+    }
+
+    const token = authHeader.split(' ')[1];
+
+    // Verify the token and get user details
+    const { data: { user }, error: authError } = await supabase.auth.getUser(token);
+
+    if (authError || !user) {
+      return res.status(401).json({
+        status: 'error',
+        message: 'Invalid or expired token'
+      });
+    }
+
+    const { event_id, ticket_ids, repair = false, offset = 0, limit = MAX_TICKETS } = req.body || {};
+
+    if (!event_id) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Missing required parameter: event_id'
+      });
+    }
+
+    if (ticket_ids !== undefined && (!Array.isArray(ticket_ids) || !ticket_ids.length)) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'ticket_ids must be a non-empty array'
+      });
+    }
+
+    if (ticket_ids && ticket_ids.length > MAX_TICKETS) {
+      return res.status(400).json({
+        status: 'error',
+        message: `At most ${MAX_TICKETS} ticket_ids can be reconciled per request`
+      });
+    }
+
+    if (!Number.isInteger(offset) || offset < 0 || !Number.isInteger(limit) || limit < 1 || limit > MAX_TICKETS) {
+      return res.status(400).json({
+        status: 'error',
+        message: `offset must be a non-negative integer and limit an integer from 1 to ${MAX_TICKETS}`
+      });
+    }
+
+    // Reporting only reads; repairing writes tickets and may queue revoke transactions
+    const access = await checkEventPermission(user.id, event_id, repair === true ? 'mint' : 'view');
+    if (!access.allowed) {
+      return permissionDenied(res, access);
+    }
+
+    const report = await reconcileEvent(event_id, {
+      repair: repair === true,
+      ticketIds: ticket_ids || null,
+      // Without ticket_ids, one page of the event in ticket-number order; report.next_offset
+      // gives the start of the next page
+      offset,
+      limit
+    });
+
+    const repaired = report.drift.filter(entry => entry.repaired);
+
+    if (repaired.length) {
+      await recordAudit(req, user, {
+        action: 'ticket.reconcile',
+        event_id,
+        target_type: 'event',
+        target_id: event_id,
+        actor_user_id: access.eventAdmin.user_id,
+        after: repaired.map(({ ticket_id, kind, repair_action }) => ({ ticket_id, kind, repair_action })),
+        metadata: { summary: report.summary }
+      });
+    }
+
+    return res.status(200).json({
+      status: 'success',
+      message: report.drift.length
+        ? `Found ${report.drift.length} difference(s) between the database and the chain`
+        : 'Tickets are in sync with the chain',
+      data: report
+    });
+
+  } catch (error) {
+    console.error('Error reconciling tickets:', error);
+    return res.status(500).json({
+      status: 'error',
+      message: 'An error occurred while reconciling tickets',
+      error: error.message
+    });
+  }
+}
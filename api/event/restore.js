@@ -0,0 +1,156 @@
+import { createClient } from '@supabase/supabase-js'
+import { checkEventPermission, permissionDenied } from '../../lib/permissions.js'
+import { recordAudit } from '../../lib/audit.js'
+import { queueForMinting } from '../../lib/blockchain.js'
+
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_KEY
+)
+
+const MAX_BATCH_SIZE = 500;
+
+export default async function handler(req, res) {
+  // Set CORS headers
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+
+  // Handle OPTIONS preflight request
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  // Only allow POST requests
+  if (req.method !== 'POST') {
+    return res.status(405).json({
+      status: 'error',
+      message: 'Method not allowed'
+    });
+  }
+
+  try {
+    // Get the authorization header
+    const authHeader = req.headers.authorization;
+    if (!authHeader || !authHeader.startsWith('Bearer ')) {
+      return res.status(401).json({
+        status: 'error',
+        message: 'Missing or invalid authorization header'
+      });
+    }
+
+    const token = authHeader.split(' ')[1];
+
+    // Verify the token and get user details
+    const { data: { user }, error: authError } = await supabase.auth.getUser(token);
+
+    if (authError || !user) {
+      return res.status(401).json({
+        status: 'error',
+        message: 'Invalid or expired token'
+      });
+    }
+
+    // Get request body
+    const { event_id, ticket_id, ticket_ids } = req.body;
+    const ticketIds = ticket_ids || (ticket_id ? [ticket_id] : []);
+
+    if (!event_id || !ticketIds.length) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Missing required parameters: event_id and ticket_id or ticket_ids'
+      });
+    }
+
+    if (ticketIds.length > MAX_BATCH_SIZE) {
+      return res.status(400).json({
+        status: 'error',
+        message: `Cannot restore more than ${MAX_BATCH_SIZE} tickets at once`
+      });
+    }
+
+    // Restoring undoes a delete, so it needs the same permission
+    const access = await checkEventPermission(user.id, event_id, 'delete_tickets');
+    if (!access.allowed) {
+      return permissionDenied(res, access);
+    }
+
+    const { data: restored, error: restoreError } = await supabase
+      .from('tickets')
+      .update({ deleted_at: null, deleted_by: null })
+      .eq('event_id', event_id)
+      .in('ticket_id', ticketIds)
+      .not('deleted_at', 'is', null)
+      .select();
+
+    if (restoreError) {
+      throw restoreError;
+    }
+
+    const restoredIds = restored.map(ticket => ticket.ticket_id);
+    // Unknown ids, tickets that were not deleted, and tickets already purged
+    const notRestored = ticketIds.filter(id => !restoredIds.includes(id));
+
+    // The worker skips deleted tickets, so a job that ran while these were deleted
+    // finished without them. Queue any pending ticket no open job still carries.
+    const requeuedIds = await requeueOrphanedTickets(event_id, restored);
+
+    if (restored.length) {
+      await recordAudit(req, user, {
+        action: 'ticket.restore',
+        event_id,
+        target_type: 'ticket',
+        target_id: restored.length === 1 ? restoredIds[0] : null,
+        actor_user_id: access.eventAdmin.user_id,
+        after: restored,
+        metadata: { requeued_ticket_ids: requeuedIds }
+      });
+    }
+
+    return res.status(200).json({
+      status: 'success',
+      message: `Successfully restored ${restored.length} ticket(s)`,
+      data: {
+        event_id,
+        restored_tickets: restoredIds,
+        requeued_for_minting: requeuedIds,
+        not_restored: notRestored
+      }
+    });
+
+  } catch (error) {
+    console.error('Error restoring tickets:', error);
+    return res.status(500).json({
+      status: 'error',
+      message: 'An error occurred while restoring tickets',
+      error: error.message
+    });
+  }
+}
+
+async function requeueOrphanedTickets(eventId, tickets) {
+  const pending = tickets.filter(ticket => ticket.nft_mint_status === 'pending');
+  if (!pending.length) return [];
+
+  const { data: openJobs, error: jobsError } = await supabase
+    .from('mint_queue')
+    .select('ticket_data')
+    .eq('event_id', eventId)
+    .in('status', ['pending', 'processing']);
+
+  if (jobsError) {
+    throw jobsError;
+  }
+
+  const queuedIds = new Set(openJobs.flatMap(job => job.ticket_data.map(item => item.ticketId)));
+  const orphaned = pending.filter(ticket => !queuedIds.has(ticket.ticket_id));
+  if (!orphaned.length) return [];
+
+  await queueForMinting(orphaned.map(ticket => ({
+    ticketId: ticket.ticket_id,
+    tokenId: ticket.ticket_number,
+    metadata: ticket.nft_metadata
+  })), eventId);
+
+  return orphaned.map(ticket => ticket.ticket_id);
+}
@@ -0,0 +1,229 @@
+import { createClient } from '@supabase/supabase-js'
+import { checkEventPermission, permissionDenied } from '../../lib/permissions.js'
+import { recordAudit } from '../../lib/audit.js'
+import { queueForMinting } from '../../lib/blockchain.js'
+
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_KEY
+)
+
+export default async function handler(req, res) {
+  // Set CORS headers
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+
+  // Handle OPTIONS preflight request
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  // Only allow POST requests
+  if (req.method !== 'POST') {
+    return res.status(405).json({
+      status: 'error',
+      message: 'Method not allowed'
+    });
+  }
+
+  try {
+    // Get the authorization header
+    const authHeader = req.headers.authorization;
+    if (!authHeader || !authHeader.startsWith('Bearer ')) {
+      return res.status(401).json({
+        status: 'error',
+        message: 'Missing or invalid authorization header'
+      });
+    }
+
+    const token = authHeader.split(' ')[1];
+
+    // Verify the token and get user details
+    const { data: { user }, error: authError } = await supabase.auth.getUser(token);
+
+    if (authError || !user) {
+      return res.status(401).json({
+        status: 'error',
+        message: 'Invalid or expired token'
+      });
+    }
+
+    // Get request body. job_id or ticket_ids narrow the retry; with neither,
+    // every failed job for the event is retried.
+    const { event_id, job_id, ticket_id, ticket_ids } = req.body;
+    const ticketIds = ticket_ids || (ticket_id ? [ticket_id] : []);
+
+    if (!event_id) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Missing required parameter: event_id'
+      });
+    }
+
+    const access = await checkEventPermission(user.id, event_id, 'mint');
+    if (!access.allowed) {
+      return permissionDenied(res, access);
+    }
+
+    // Retry individual tickets by queueing a fresh job that carries only them
+    if (ticketIds.length) {
+      const { data: tickets, error: ticketsError } = await supabase
+        .from('tickets')
+        .select('ticket_id, ticket_number, nft_mint_status, nft_metadata')
+        .eq('event_id', event_id)
+        .in('ticket_id', ticketIds)
+        .is('deleted_at', null);
+
+      if (ticketsError) {
+        throw ticketsError;
+      }
+
+      const retryable = tickets.filter(ticket => ticket.nft_mint_status === 'failed');
+      const skipped = ticketIds.filter(id => !retryable.some(ticket => ticket.ticket_id === id));
+
+      if (!retryable.length) {
+        return res.status(400).json({
+          status: 'error',
+          message: 'None of the given tickets are in a failed mint state',
+          data: { skipped_ticket_ids: skipped }
+        });
+      }
+
+      const { error: resetError } = await supabase
+        .from('tickets')
+        .update({ nft_mint_status: 'pending' })
+        .in('ticket_id', retryable.map(ticket => ticket.ticket_id));
+
+      if (resetError) {
+        throw resetError;
+      }
+
+      // Retrying the failed job later would otherwise mint these tickets a second time
+      await removeFromFailedJobs(event_id, retryable.map(ticket => ticket.ticket_id));
+
+      await queueForMinting(retryable.map(ticket => ({
+        ticketId: ticket.ticket_id,
+        tokenId: ticket.ticket_number,
+        metadata: ticket.nft_metadata
+      })), event_id);
+
+      await recordAudit(req, user, {
+        action: 'mint.retry_tickets',
+        event_id,
+        target_type: 'event',
+        target_id: event_id,
+        actor_user_id: access.eventAdmin.user_id,
+        metadata: { ticket_ids: retryable.map(ticket => ticket.ticket_id) }
+      });
+
+      return res.status(200).json({
+        status: 'success',
+        message: `${retryable.length} ticket(s) queued for retry`,
+        data: {
+          retried_ticket_ids: retryable.map(ticket => ticket.ticket_id),
+          skipped_ticket_ids: skipped
+        }
+      });
+    }
+
+    // Reset failed mint jobs, either the one given or all of the event's
+    let query = supabase
+      .from('mint_queue')
+      .update({
+        status: 'pending',
+        retry_count: 0,
+        error_message: null,
+        next_attempt_at: null
+      })
+      .eq('event_id', event_id)
+      .eq('status', 'failed');
+
+    if (job_id) {
+      query = query.eq('id', job_id);
+    }
+
+    const { data: jobs, error: jobsError } = await query.select('id, ticket_data');
+
+    if (jobsError) {
+      throw jobsError;
+    }
+
+    if (job_id && !jobs.length) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'No failed mint job found with this job_id for this event'
+      });
+    }
+
+    // The worker marked these tickets failed when the job gave up
+    const jobTicketIds = jobs.flatMap(job => (job.ticket_data || []).map(item => item.ticketId));
+    if (jobTicketIds.length) {
+      const { error: resetError } = await supabase
+        .from('tickets')
+        .update({ nft_mint_status: 'pending' })
+        .in('ticket_id', jobTicketIds)
+        .eq('nft_mint_status', 'failed');
+
+      if (resetError) {
+        throw resetError;
+      }
+    }
+
+    await recordAudit(req, user, {
+      action: 'mint.retry_jobs',
+      event_id,
+      target_type: job_id ? 'mint_job' : 'event',
+      target_id: job_id || event_id,
+      actor_user_id: access.eventAdmin.user_id,
+      metadata: { job_ids: jobs.map(job => job.id) }
+    });
+
+    return res.status(200).json({
+      status: 'success',
+      message: `${jobs.length} failed mint job(s) queued for retry`,
+      data: { job_ids: jobs.map(job => job.id) }
+    });
+
+  } catch (error) {
+    console.error('Error retrying mint:', error);
+    return res.status(500).json({
+      status: 'error',
+      message: 'An error occurred while retrying mint',
+      error: error.message
+    });
+  }
+}
+
+// Take tickets out of the failed jobs that carried them
+async function removeFromFailedJobs(eventId, ticketIds) {
+  const jobs = new Map();
+
+  for (const ticketId of ticketIds) {
+    const { data, error } = await supabase
+      .from('mint_queue')
+      .select('id, ticket_data')
+      .eq('event_id', eventId)
+      .eq('status', 'failed')
+      .contains('ticket_data', [{ ticketId }]);
+
+    if (error) {
+      throw error;
+    }
+
+    data.forEach(job => jobs.set(job.id, job));
+  }
+
+  for (const job of jobs.values()) {
+    // Compare-and-set so a job reset by a concurrent job-level retry is left alone
+    const { error } = await supabase
+      .from('mint_queue')
+      .update({ ticket_data: job.ticket_data.filter(item => !ticketIds.includes(item.ticketId)) })
+      .eq('id', job.id)
+      .eq('status', 'failed');
+
+    if (error) {
+      throw error;
+    }
+  }
+}
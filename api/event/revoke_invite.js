@@ -0,0 +1,135 @@
+import { createClient } from '@supabase/supabase-js'
+import { checkEventPermission, permissionDenied } from '../../lib/permissions.js'
+import { recordAudit } from '../../lib/audit.js'
+import { getInviteStatus } from '../../lib/invites.js'
+
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_KEY
+)
+
+export default async function handler(req, res) {
+  // Set CORS headers
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+
+  // Handle OPTIONS preflight request
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  // Only allow POST requests
+  if (req.method !== 'POST') {
+    return res.status(405).json({
+      status: 'error',
+      message: 'Method not allowed'
+    });
+  }
+
+  try {
+    // Get the authorization header
+    const authHeader = req.headers.authorization;
+    if (!authHeader || !authHeader.startsWith('Bearer ')) {
+      return res.status(401).json({
+        status: 'error',
+        message: 'Missing or invalid authorization header'
+      });
+    }
+
+    const token = authHeader.split(' ')[1];
+
+    // Verify the token and get user details
+    const { data: { user }, error: authError } = await supabase.auth.getUser(token);
+
+    if (authError || !user) {
+      return res.status(401).json({
+        status: 'error',
+        message: 'Invalid or expired token'
+      });
+    }
+
+    const { invite_id } = req.body;
+
+    if (!invite_id) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Missing required parameter: invite_id'
+      });
+    }
+
+    const { data: invite, error: inviteError } = await supabase
+      .from('event_invites')
+      .select('invite_id, event_id, expires_at, accepted_at, revoked_at')
+      .eq('invite_id', invite_id)
+      .single();
+
+    if (inviteError || !invite) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Invite not found'
+      });
+    }
+
+    const access = await checkEventPermission(user.id, invite.event_id, 'manage_admins');
+    if (!access.allowed) {
+      return permissionDenied(res, access);
+    }
+
+    const inviteStatus = getInviteStatus(invite);
+    if (inviteStatus !== 'pending') {
+      return res.status(409).json({
+        status: 'error',
+        message: `Only pending invites can be revoked (this invite is ${inviteStatus})`
+      });
+    }
+
+    // Guard on accepted_at so an invite accepted in the meantime is not revoked
+    const { data: revoked, error: updateError } = await supabase
+      .from('event_invites')
+      .update({
+        revoked_at: new Date().toISOString(),
+        revoked_by: access.eventAdmin.user_id
+      })
+      .eq('invite_id', invite_id)
+      .is('accepted_at', null)
+      .is('revoked_at', null)
+      .select('invite_id, event_id, revoked_at, revoked_by')
+      .maybeSingle();
+
+    if (updateError) {
+      throw updateError;
+    }
+
+    if (!revoked) {
+      return res.status(409).json({
+        status: 'error',
+        message: 'Invite was accepted or revoked in the meantime'
+      });
+    }
+
+    await recordAudit(req, user, {
+      action: 'invite.revoke',
+      event_id: invite.event_id,
+      target_type: 'event_invite',
+      target_id: invite_id,
+      actor_user_id: access.eventAdmin.user_id,
+      before: invite,
+      after: revoked
+    });
+
+    return res.status(200).json({
+      status: 'success',
+      message: 'Invite revoked successfully',
+      data: revoked
+    });
+
+  } catch (error) {
+    console.error('Error revoking invite:', error);
+    return res.status(500).json({
+      status: 'error',
+      message: 'An error occurred while revoking the invite',
+      error: error.message
+    });
+  }
+}
@@ -0,0 +1,178 @@
+import { createClient } from '@supabase/supabase-js'
+import { checkEventPermission, permissionDenied } from '../../lib/permissions.js'
+import { recordAudit } from '../../lib/audit.js'
+import { demotePrimaryWallets, syncEventPrimaryWallet } from '../../lib/wallets.js'
+
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_KEY
+)
+
+export default async function handler(req, res) {
+  // Set CORS headers
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+
+  // Handle OPTIONS preflight request
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  // Only allow POST requests
+  if (req.method !== 'POST') {
+    return res.status(405).json({
+      status: 'error',
+      message: 'Method not allowed'
+    });
+  }
+
+  try {
+    // Get the authorization header
+    const authHeader = req.headers.authorization;
+    if (!authHeader || !authHeader.startsWith('Bearer ')) {
+      return res.status(401).json({
+        status: 'error',
+        message: 'Missing or invalid authorization header'
+      });
+    }
+
+    const token = authHeader.split(' ')[1];
+
+    // Verify the token and get user details
+    const { data: { user }, error: authError } = await supabase.auth.getUser(token);
+
+    if (authError || !user) {
+      return res.status(401).json({
+        status: 'error',
+        message: 'Invalid or expired token'
+      });
+    }
+
+    // Get request body. A null wallet_id demotes the current primary without replacing it.
+    const { event_id, wallet_id } = req.body;
+
+    if (!event_id || wallet_id === undefined) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Missing required parameters: event_id and wallet_id'
+      });
+    }
+
+    if (wallet_id === null) {
+      const access = await checkEventPermission(user.id, event_id, 'manage_wallets');
+      if (!access.allowed) {
+        return permissionDenied(res, access);
+      }
+
+      const demoted = await demotePrimaryWallets(event_id);
+      const eventWallet = await syncEventPrimaryWallet(event_id);
+
+      await recordAudit(req, user, {
+        action: 'wallet.demote_primary',
+        event_id,
+        target_type: 'event',
+        target_id: event_id,
+        actor_user_id: access.eventAdmin.user_id,
+        before: demoted,
+        after: eventWallet
+      });
+
+      return res.status(200).json({
+        status: 'success',
+        message: demoted.length ? 'Primary wallet demoted' : 'Event had no primary wallet',
+        data: {
+          demoted_wallet_ids: demoted.map(w => w.wallet_id),
+          event_wallet: eventWallet
+        }
+      });
+    }
+
+    // Verify the user may manage wallets for this event
+    const access = await checkEventPermission(user.id, event_id, 'manage_wallets');
+    if (!access.allowed) {
+      return permissionDenied(res, access);
+    }
+
+    const { data: wallet, error: walletError } = await supabase
+      .from('admin_wallets')
+      .select('*')
+      .eq('wallet_id', wallet_id)
+      .eq('event_id', event_id)
+      .maybeSingle();
+
+    if (walletError) {
+      throw walletError;
+    }
+
+    if (!wallet) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Wallet not found for this event'
+      });
+    }
+
+    // An inactive wallet can never become primary
+    if (!wallet.is_active) {
+      return res.status(409).json({
+        status: 'error',
+        message: 'Inactive wallets cannot be made primary'
+      });
+    }
+
+    const demoted = await demotePrimaryWallets(event_id, wallet_id);
+
+    const { data: promoted, error: promoteError } = await supabase
+      .from('admin_wallets')
+      .update({ role: 'primary' })
+      .eq('wallet_id', wallet_id)
+      .eq('is_active', true)
+      .select()
+      .maybeSingle();
+
+    if (promoteError) {
+      throw promoteError;
+    }
+
+    // Sync even if the promotion lost a race with a deactivation, so the event
+    // is never left pointing at an inactive wallet
+    const eventWallet = await syncEventPrimaryWallet(event_id);
+
+    if (!promoted) {
+      return res.status(409).json({
+        status: 'error',
+        message: 'Wallet was deactivated before it could be made primary',
+        data: { event_wallet: eventWallet }
+      });
+    }
+
+    await recordAudit(req, user, {
+      action: 'wallet.set_primary',
+      event_id,
+      target_type: 'admin_wallet',
+      target_id: wallet_id,
+      actor_user_id: access.eventAdmin.user_id,
+      before: wallet,
+      after: promoted,
+      metadata: { demoted_wallet_ids: demoted.map(w => w.wallet_id) }
+    });
+
+    return res.status(200).json({
+      status: 'success',
+      message: 'Primary wallet updated successfully',
+      data: {
+        wallet: promoted,
+        demoted_wallet_ids: demoted.map(w => w.wallet_id),
+        event_wallet: eventWallet
+      }
+    });
+
+  } catch (error) {
+    console.error('Error setting primary wallet:', error);
+    return res.status(500).json({
+      status: 'error',
+      message: 'An error occurred while setting the primary wallet',
+      error: error.message
+    });
+  }
+}
@@ -0,0 +1,144 @@
+import { createClient } from '@supabase/supabase-js'
+import { createQrPayload, generateQrNonce } from '../../lib/ticket_qr.js'
+import { checkEventPermission, permissionDenied } from '../../lib/permissions.js'
+import { recordAudit } from '../../lib/audit.js'
+
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_KEY
+)
+
+export default async function handler(req, res) {
+  // Set CORS headers
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+
+  // Handle OPTIONS preflight request
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  // Only allow GET requests
+  if (req.method !== 'GET') {
+    return res.status(405).json({
+      status: 'error',
+      message: 'Method not allowed'
+    });
+  }
+
+  try {
+    // Get the authorization header
+    const authHeader = req.headers.authorization;
+    if (!authHeader || !authHeader.startsWith('Bearer ')) {
+      return res.status(401).json({
+        status: 'error',
+        message: 'Missing or invalid authorization header'
+      });
+    }
+
+    const token = authHeader.split(' ')[1];
+
+    // Verify the token and get user details
+    const { data: { user }, error: authError } = await supabase.auth.getUser(token);
+
+    if (authError || !user) {
+      return res.status(401).json({
+        status: 'error',
+        message: 'Invalid or expired token'
+      });
+    }
+
+    // Get query parameters
+    const { ticket_id, rotate } = req.query;
+
+    if (!ticket_id) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Missing required parameter: ticket_id'
+      });
+    }
+
+    const { data: ticket, error: ticketError } = await supabase
+      .from('tickets')
+      .select('ticket_id, event_id, user_id, qr_nonce')
+      .eq('ticket_id', ticket_id)
+      .is('deleted_at', null)
+      .single();
+
+    if (ticketError || !ticket) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Ticket not found'
+      });
+    }
+
+    // Event admins can fetch any ticket's QR; attendees only their own
+    const access = await checkEventPermission(user.id, ticket.event_id, 'view');
+
+    if (!access.allowed) {
+      const { data: userData } = await supabase
+        .from('users')
+        .select('user_id')
+        .eq('auth_id', user.id)
+        .maybeSingle();
+
+      if (!userData || userData.user_id !== ticket.user_id) {
+        return res.status(403).json({
+          status: 'error',
+          message: 'User is not authorized to view this ticket'
+        });
+      }
+    }
+
+    // Rotating invalidates the ticket's current QR code, so it needs the revoke permission
+    if (rotate === 'true') {
+      const rotateAccess = await checkEventPermission(user.id, ticket.event_id, 'revoke');
+      if (!rotateAccess.allowed) {
+        return permissionDenied(res, rotateAccess);
+      }
+    }
+
+    // Issue a nonce on first use, or rotate it to invalidate a leaked QR code
+    if (!ticket.qr_nonce || rotate === 'true') {
+      ticket.qr_nonce = generateQrNonce();
+
+      const { error: updateError } = await supabase
+        .from('tickets')
+        .update({ qr_nonce: ticket.qr_nonce })
+        .eq('ticket_id', ticket.ticket_id);
+
+      if (updateError) {
+        throw updateError;
+      }
+
+      if (rotate === 'true') {
+        await recordAudit(req, user, {
+          action: 'ticket.qr_rotate',
+          event_id: ticket.event_id,
+          target_type: 'ticket',
+          target_id: ticket.ticket_id
+        });
+      }
+    }
+
+    const { payload, qr_data } = createQrPayload(ticket);
+
+    return res.status(200).json({
+      status: 'success',
+      message: 'Ticket QR payload retrieved successfully',
+      data: {
+        ...payload,
+        qr_data
+      }
+    });
+
+  } catch (error) {
+    console.error('Error retrieving ticket QR payload:', error);
+    return res.status(500).json({
+      status: 'error',
+      message: 'An error occurred while retrieving the ticket QR payload',
+      error: error.message
+    });
+  }
+}
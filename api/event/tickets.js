@@ -1,107 +1,112 @@
-// /api/event/tickets.js - Get tickets for an event
+import { createClient } from '@supabase/supabase-js'
+import { checkEventPermission, permissionDenied } from '../../lib/permissions.js'
+import { eventTicketsQuery } from '../../lib/tickets.js'
+
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_KEY
+)
+
+// PostgREST returns at most 1000 rows per request
+const MAX_LIMIT = 1000
+
 export default async function handler(req, res) {
-    if (req.method !== 'GET') {
-        return res.status(405).json({ status: 'error', message: 'Method not allowed' });
-    }
+  // Set CORS headers
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+
+  // Handle OPTIONS preflight request
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
 
-    try {
-        const { event_id } = req.query;
-        
-        const { data: tickets, error } = await supabase
-            .from('tickets')
-            .select(`
-                *,
-                events!inner(event_name, event_date)
-            `)
-            .eq('event_id', event_id)
-            .order('ticket_number', { ascending: true });
-
-        if (error) throw error;
-
-        return res.status(200).json({
-            status: 'success',
-            data: tickets || []
-        });
-    } catch (error) {
-        return res.status(500).json({
-            status: 'error',
-            message: error.message
-        });
+  // Only allow GET requests
+  if (req.method !== 'GET') {
+    return res.status(405).json({
+      status: 'error',
+      message: 'Method not allowed'
+    });
+  }
+
+  try {
+    // Get the authorization header
+    const authHeader = req.headers.authorization;
+    if (!authHeader || !authHeader.startsWith('Bearer ')) {
+      return res.status(401).json({
+        status: 'error',
+        message: 'Missing or invalid authorization header'
+      });
     }
-}
 
-// /api/event/mint-status.js - Check minting status
-export default async function handler(req, res) {
-    if (req.method !== 'GET') {
-        return res.status(405).json({ status: 'error', message: 'Method not allowed' });
+    const token = authHeader.split(' ')[1];
+
+    // Verify the token and get user details
+    const { data: { user }, error: authError } = await supabase.auth.getUser(token);
+
+    if (authError || !user) {
+      return res.status(401).json({
+        status: 'error',
+        message: 'Invalid or expired token'
+      });
     }
 
-    try {
-        const { event_id } = req.query;
-        
-        // Get mint queue status
-        const { data: queueStatus } = await supabase
-            .from('mint_queue')
-            .select('status, created_at, processed_at, error_message')
-            .eq('event_id', event_id)
-            .order('created_at', { ascending: false });
-
-        // Get ticket minting status
-        const { data: ticketStatus } = await supabase
-            .from('tickets')
-            .select('nft_mint_status')
-            .eq('event_id', event_id);
-
-        const summary = {
-            total_tickets: ticketStatus?.length || 0,
-            minted: ticketStatus?.filter(t => t.nft_mint_status === 'minted').length || 0,
-            pending: ticketStatus?.filter(t => t.nft_mint_status === 'pending').length || 0,
-            failed: ticketStatus?.filter(t => t.nft_mint_status === 'failed').length || 0,
-            queue_jobs: queueStatus || []
-        };
-
-        return res.status(200).json({
-            status: 'success',
-            data: summary
-        });
-    } catch (error) {
-        return res.status(500).json({
-            status: 'error',
-            message: error.message
-        });
+    // Get query parameters
+    const { event_id } = req.query;
+
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 100, 1), MAX_LIMIT);
+    const offset = (page - 1) * limit;
+
+    if (!event_id) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Missing required parameter: event_id'
+      });
     }
-}
 
-// /api/event/retry-mint.js - Retry failed mint jobs
-export default async function handler(req, res) {
-    if (req.method !== 'POST') {
-        return res.status(405).json({ status: 'error', message: 'Method not allowed' });
+    const access = await checkEventPermission(user.id, event_id, 'view');
+    if (!access.allowed) {
+      return permissionDenied(res, access);
     }
 
-    try {
-        const { event_id } = req.body;
-        
-        // Reset failed mint jobs
-        const { error } = await supabase
-            .from('mint_queue')
-            .update({ 
-                status: 'pending',
-                retry_count: 0,
-                error_message: null
-            })
-            .eq('event_id', event_id)
-            .eq('status', 'failed');
-
-        if (error) throw error;
-
-        return res.status(200).json({
-            status: 'success',
-            message: 'Failed mint jobs queued for retry'
-        });
-    } catch (error) {
-        return res.status(500).json({
-            status: 'error',
-            message: error.message
-        });
+    // ticket_id breaks ties so pages do not overlap
+    const { data: tickets, count, error: ticketsError } = await eventTicketsQuery(event_id, `
+        *,
+        events!inner(event_name, event_date)
+      `, { count: 'exact' })
+      .order('ticket_id', { ascending: true })
+      .range(offset, offset + limit - 1);
+
+    if (ticketsError) {
+      throw ticketsError;
     }
-}
\ No newline at end of file
+
+    // Calculate pagination info
+    const totalPages = Math.ceil(count / limit);
+
+    return res.status(200).json({
+      status: 'success',
+      message: 'Tickets retrieved successfully',
+      data: {
+        tickets: tickets || [],
+        pagination: {
+          total: count,
+          page,
+          limit,
+          totalPages,
+          hasNextPage: page < totalPages,
+          hasPrevPage: page > 1
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Error retrieving tickets:', error);
+    return res.status(500).json({
+      status: 'error',
+      message: 'An error occurred while retrieving tickets',
+      error: error.message
+    });
+  }
+}
@@ -0,0 +1,181 @@
+import { createClient } from '@supabase/supabase-js'
+import { checkEventPermission, permissionDenied } from '../../lib/permissions.js'
+import { recordAudit } from '../../lib/audit.js'
+import { generateQrNonce } from '../../lib/ticket_qr.js'
+
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_KEY
+)
+
+const MAX_BATCH_SIZE = 500;
+
+export default async function handler(req, res) {
+  // Set CORS headers
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+
+  // Handle OPTIONS preflight request
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  // Only allow POST requests
+  if (req.method !== 'POST') {
+    return res.status(405).json({
+      status: 'error',
+      message: 'Method not allowed'
+    });
+  }
+
+  try {
+    // Get the authorization header
+    const authHeader = req.headers.authorization;
+    if (!authHeader || !authHeader.startsWith('Bearer ')) {
+      return res.status(401).json({
+        status: 'error',
+        message: 'Missing or invalid authorization header'
+      });
+    }
+
+    const token = authHeader.split(' ')[1];
+
+    // Verify the token and get user details
+    const { data: { user }, error: authError } = await supabase.auth.getUser(token);
+
+    if (authError || !user) {
+      return res.status(401).json({
+        status: 'error',
+        message: 'Invalid or expired token'
+      });
+    }
+
+    // Get request body
+    const { event_id, ticket_id, ticket_ids, note } = req.body;
+    const ticketIds = ticket_ids || (ticket_id ? [ticket_id] : []);
+
+    if (!event_id || !ticketIds.length) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Missing required parameters: event_id and ticket_id or ticket_ids'
+      });
+    }
+
+    if (ticketIds.length > MAX_BATCH_SIZE) {
+      return res.status(400).json({
+        status: 'error',
+        message: `Cannot unassign more than ${MAX_BATCH_SIZE} tickets at once`
+      });
+    }
+
+    const access = await checkEventPermission(user.id, event_id, 'assign_tickets');
+    if (!access.allowed) {
+      return permissionDenied(res, access);
+    }
+
+    const { data: tickets, error: ticketsError } = await supabase
+      .from('tickets')
+      .select('ticket_id, user_id, nft_mint_status, transfer_status, checked_in_at, issued_by, issued_at, issue_reason, issue_note')
+      .eq('event_id', event_id)
+      .in('ticket_id', ticketIds)
+      .is('deleted_at', null);
+
+    if (ticketsError) {
+      throw ticketsError;
+    }
+
+    // Only unused tickets whose NFT is still in the event wallet can go back to inventory
+    const notUnassigned = [];
+    const eligible = [];
+    const foundIds = new Set(tickets.map(ticket => ticket.ticket_id));
+
+    for (const id of ticketIds) {
+      if (!foundIds.has(id)) notUnassigned.push({ ticket_id: id, reason: 'not_found' });
+    }
+
+    for (const ticket of tickets) {
+      if (!ticket.user_id) {
+        notUnassigned.push({ ticket_id: ticket.ticket_id, reason: 'not_assigned' });
+      } else if (ticket.checked_in_at) {
+        notUnassigned.push({ ticket_id: ticket.ticket_id, reason: 'already_used' });
+      } else if (ticket.nft_mint_status === 'transferred') {
+        notUnassigned.push({ ticket_id: ticket.ticket_id, reason: 'nft_transferred' });
+      } else if (ticket.transfer_status === 'pending') {
+        // The queued transfer may already be on its way to the attendee's wallet
+        notUnassigned.push({ ticket_id: ticket.ticket_id, reason: 'transfer_pending' });
+      } else {
+        eligible.push(ticket);
+      }
+    }
+
+    let unassigned = [];
+    let rotated = [];
+
+    if (eligible.length) {
+      // Re-check the conditions in the update in case a ticket was scanned in the meantime.
+      // Rotating qr_nonce revokes the QR codes the previous holders still have; the
+      // signature covers the ticket_id, so one nonce for the batch is enough.
+      const { data, error: updateError } = await supabase
+        .from('tickets')
+        .update({
+          user_id: null,
+          issued_by: null,
+          issued_at: null,
+          issue_reason: null,
+          issue_note: null,
+          transfer_status: null,
+          qr_nonce: generateQrNonce()
+        })
+        .in('ticket_id', eligible.map(ticket => ticket.ticket_id))
+        .is('checked_in_at', null)
+        .neq('nft_mint_status', 'transferred')
+        .or('transfer_status.is.null,transfer_status.neq.pending')
+        .select('ticket_id, qr_nonce');
+
+      if (updateError) {
+        throw updateError;
+      }
+
+      unassigned = data.map(ticket => ticket.ticket_id);
+      rotated = data;
+
+      for (const ticket of eligible) {
+        if (!unassigned.includes(ticket.ticket_id)) {
+          notUnassigned.push({ ticket_id: ticket.ticket_id, reason: 'changed_concurrently' });
+        }
+      }
+    }
+
+    if (unassigned.length) {
+      await recordAudit(req, user, {
+        action: 'ticket.unassign',
+        event_id,
+        target_type: 'ticket',
+        target_id: unassigned.length === 1 ? unassigned[0] : null,
+        actor_user_id: access.eventAdmin.user_id,
+        before: eligible.filter(ticket => unassigned.includes(ticket.ticket_id)),
+        after: rotated,
+        metadata: { note: note || null, qr_nonce_rotated: true }
+      });
+    }
+
+    return res.status(200).json({
+      status: 'success',
+      message: `Successfully returned ${unassigned.length} ticket(s) to inventory`,
+      data: {
+        event_id,
+        unassigned_tickets: unassigned,
+        not_unassigned: notUnassigned
+      }
+    });
+
+  } catch (error) {
+    console.error('Error unassigning tickets:', error);
+    return res.status(500).json({
+      status: 'error',
+      message: 'An error occurred while unassigning tickets',
+      error: error.message
+    });
+  }
+}
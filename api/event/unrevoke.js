@@ -0,0 +1,128 @@
+import { createClient } from '@supabase/supabase-js'
+import { checkEventPermission, permissionDenied } from '../../lib/permissions.js'
+import { recordAudit } from '../../lib/audit.js'
+import { updateRevocation } from '../../lib/revocations.js'
+
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_KEY
+)
+
+const MAX_BATCH_SIZE = 500;
+
+export default async function handler(req, res) {
+  // Set CORS headers
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+
+  // Handle OPTIONS preflight request
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  // Only allow POST requests
+  if (req.method !== 'POST') {
+    return res.status(405).json({
+      status: 'error',
+      message: 'Method not allowed'
+    });
+  }
+
+  try {
+    // Get the authorization header
+    const authHeader = req.headers.authorization;
+    if (!authHeader || !authHeader.startsWith('Bearer ')) {
+      return res.status(401).json({
+        status: 'error',
+        message: 'Missing or invalid authorization header'
+      });
+    }
+
+    const token = authHeader.split(' ')[1];
+
+    // Verify the token and get user details
+    const { data: { user }, error: authError } = await supabase.auth.getUser(token);
+
+    if (authError || !user) {
+      return res.status(401).json({
+        status: 'error',
+        message: 'Invalid or expired token'
+      });
+    }
+
+    // Get request body
+    const { event_id, ticket_id, ticket_ids, note, on_chain = true } = req.body;
+    const ticketIds = ticket_ids || (ticket_id ? [ticket_id] : []);
+
+    if (!event_id || !ticketIds.length) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Missing required parameters: event_id and ticket_id or ticket_ids'
+      });
+    }
+
+    if (ticketIds.length > MAX_BATCH_SIZE) {
+      return res.status(400).json({
+        status: 'error',
+        message: `Cannot unrevoke more than ${MAX_BATCH_SIZE} tickets at once`
+      });
+    }
+
+    // Verify the user may revoke tickets for this event
+    const access = await checkEventPermission(user.id, event_id, 'revoke');
+    if (!access.allowed) {
+      return permissionDenied(res, access);
+    }
+    const eventAdmin = access.eventAdmin;
+
+    const result = await updateRevocation({
+      eventId: event_id,
+      ticketIds,
+      revoked: false,
+      actorUserId: eventAdmin.user_id,
+      note: note || null,
+      onChain: on_chain
+    });
+
+    if (result.missingIds.length) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Some tickets were not found for this event',
+        data: { missing_ticket_ids: result.missingIds }
+      });
+    }
+
+    const restored = result.changed;
+
+    await recordAudit(req, user, {
+      action: 'ticket.unrevoke',
+      event_id,
+      target_type: 'ticket',
+      target_id: restored.length === 1 ? restored[0].ticket_id : null,
+      actor_user_id: eventAdmin.user_id,
+      before: result.before,
+      after: restored,
+      metadata: { note: note || null, on_chain }
+    });
+
+    return res.status(200).json({
+      status: 'success',
+      message: `Successfully unrevoked ${restored.length} ticket(s)`,
+      data: {
+        event_id,
+        unrevoked_at: result.changedAt,
+        unrevoked_tickets: restored,
+        not_revoked: result.unchangedIds
+      }
+    });
+
+  } catch (error) {
+    console.error('Error unrevoking tickets:', error);
+    return res.status(500).json({
+      status: 'error',
+      message: 'An error occurred while unrevoking tickets',
+      error: error.message
+    });
+  }
+}
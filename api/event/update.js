@@ -0,0 +1,168 @@
+import { createClient } from '@supabase/supabase-js'
+import { validateEventFields } from '../../lib/events.js'
+import { checkEventPermission, permissionDenied } from '../../lib/permissions.js'
+import { recordAudit } from '../../lib/audit.js'
+
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_KEY
+)
+
+export default async function handler(req, res) {
+  // Set CORS headers
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, POST, PUT, PATCH, DELETE, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+
+  // Handle OPTIONS preflight request
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  // Only allow PATCH requests
+  if (req.method !== 'PATCH') {
+    return res.status(405).json({
+      status: 'error',
+      message: 'Method not allowed'
+    });
+  }
+
+  try {
+    // Get the authorization header
+    const authHeader = req.headers.authorization;
+    if (!authHeader || !authHeader.startsWith('Bearer ')) {
+      return res.status(401).json({
+        status: 'error',
+        message: 'Missing or invalid authorization header'
+      });
+    }
+
+    const token = authHeader.split(' ')[1];
+
+    // Verify the token and get user details
+    const { data: { user }, error: authError } = await supabase.auth.getUser(token);
+
+    if (authError || !user) {
+      return res.status(401).json({
+        status: 'error',
+        message: 'Invalid or expired token'
+      });
+    }
+
+    const { event_id } = req.body || {};
+
+    if (!event_id) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Missing required parameter: event_id'
+      });
+    }
+
+    // Verify the user may edit this event
+    const access = await checkEventPermission(user.id, event_id, 'edit_event');
+    if (!access.allowed) {
+      return permissionDenied(res, access);
+    }
+
+    const { errors, values } = validateEventFields(req.body, { partial: true });
+
+    if (errors.length) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Invalid event fields',
+        errors
+      });
+    }
+
+    if (!Object.keys(values).length) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'No updatable fields provided'
+      });
+    }
+
+    // Check if the event exists
+    const { data: event, error: eventError } = await supabase
+      .from('events')
+      .select('*')
+      .eq('event_id', event_id)
+      .single();
+
+    if (eventError || !event) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Event not found'
+      });
+    }
+
+    if (event.archived_at) {
+      return res.status(409).json({
+        status: 'error',
+        message: 'Archived events cannot be edited'
+      });
+    }
+
+    // Moving the contract or network would orphan tokens that were already minted
+    const changesChain =
+      (values.nft_contract_address !== undefined && values.nft_contract_address !== event.nft_contract_address) ||
+      (values.blockchain_network !== undefined && values.blockchain_network !== event.blockchain_network);
+
+    if (changesChain) {
+      const { count, error: countError } = await supabase
+        .from('tickets')
+        .select('ticket_id', { count: 'exact', head: true })
+        .eq('event_id', event_id)
+        .in('nft_mint_status', ['minted', 'transferred']);
+
+      if (countError) {
+        throw countError;
+      }
+
+      if (count > 0) {
+        return res.status(409).json({
+          status: 'error',
+          message: 'Cannot change the contract or network after tickets have been minted'
+        });
+      }
+    }
+
+    const { data: updated, error: updateError } = await supabase
+      .from('events')
+      .update(values)
+      .eq('event_id', event_id)
+      .select()
+      .single();
+
+    if (updateError) {
+      return res.status(500).json({
+        status: 'error',
+        message: 'Failed to update event',
+        error: updateError.message
+      });
+    }
+
+    await recordAudit(req, user, {
+      action: 'event.update',
+      event_id,
+      target_type: 'event',
+      target_id: event_id,
+      actor_user_id: access.eventAdmin.user_id,
+      before: event,
+      after: updated
+    });
+
+    return res.status(200).json({
+      status: 'success',
+      message: 'Event updated successfully',
+      data: updated
+    });
+
+  } catch (error) {
+    console.error('Error updating event:', error);
+    return res.status(500).json({
+      status: 'error',
+      message: 'An error occurred while updating the event',
+      error: error.message
+    });
+  }
+}
@@ -0,0 +1,182 @@
+import { createClient } from '@supabase/supabase-js'
+import { checkEventPermission, permissionDenied } from '../../lib/permissions.js'
+import { recordAudit } from '../../lib/audit.js'
+import { validateTierFields, getTierIssuedCount } from '../../lib/tiers.js'
+
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_KEY
+)
+
+export default async function handler(req, res) {
+  // Set CORS headers
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, POST, PUT, PATCH, DELETE, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+
+  // Handle OPTIONS preflight request
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  // Only allow PATCH requests
+  if (req.method !== 'PATCH') {
+    return res.status(405).json({
+      status: 'error',
+      message: 'Method not allowed'
+    });
+  }
+
+  try {
+    // Get the authorization header
+    const authHeader = req.headers.authorization;
+    if (!authHeader || !authHeader.startsWith('Bearer ')) {
+      return res.status(401).json({
+        status: 'error',
+        message: 'Missing or invalid authorization header'
+      });
+    }
+
+    const token = authHeader.split(' ')[1];
+
+    // Verify the token and get user details
+    const { data: { user }, error: authError } = await supabase.auth.getUser(token);
+
+    if (authError || !user) {
+      return res.status(401).json({
+        status: 'error',
+        message: 'Invalid or expired token'
+      });
+    }
+
+    const { tier_id } = req.body || {};
+
+    if (!tier_id) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Missing required parameter: tier_id'
+      });
+    }
+
+    const { data: tier, error: tierError } = await supabase
+      .from('ticket_tiers')
+      .select('*, events(archived_at)')
+      .eq('tier_id', tier_id)
+      .single();
+
+    if (tierError || !tier) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Ticket tier not found'
+      });
+    }
+
+    const access = await checkEventPermission(user.id, tier.event_id, 'edit_event');
+    if (!access.allowed) {
+      return permissionDenied(res, access);
+    }
+
+    const { errors, values } = validateTierFields(req.body, { partial: true });
+
+    if (errors.length) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Invalid tier fields',
+        errors
+      });
+    }
+
+    if (!Object.keys(values).length) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'No updatable fields provided'
+      });
+    }
+
+    const { events: event, ...before } = tier;
+
+    if (event?.archived_at) {
+      return res.status(409).json({
+        status: 'error',
+        message: 'Archived events cannot be edited'
+      });
+    }
+
+    const saleStart = values.sale_start !== undefined ? values.sale_start : before.sale_start;
+    const saleEnd = values.sale_end !== undefined ? values.sale_end : before.sale_end;
+
+    if (saleStart && saleEnd && new Date(saleStart) >= new Date(saleEnd)) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'sale_start must be before sale_end'
+      });
+    }
+
+    const issued = await getTierIssuedCount(tier_id);
+
+    // Issued tickets carry the tier price in their metadata
+    const changesPrice =
+      (values.price !== undefined && Number(values.price) !== Number(before.price)) ||
+      (values.currency !== undefined && values.currency !== before.currency);
+
+    if (changesPrice && issued > 0) {
+      return res.status(409).json({
+        status: 'error',
+        message: 'Cannot change the price or currency of a tier that already has tickets; create a new tier instead'
+      });
+    }
+
+    if (values.max_supply !== undefined && values.max_supply < issued) {
+      return res.status(409).json({
+        status: 'error',
+        message: `max_supply cannot be lower than the ${issued} ticket(s) already issued`
+      });
+    }
+
+    const { data: updated, error: updateError } = await supabase
+      .from('ticket_tiers')
+      .update({ ...values, updated_at: new Date().toISOString() })
+      .eq('tier_id', tier_id)
+      .select()
+      .single();
+
+    if (updateError) {
+      if (updateError.code === '23505') {
+        return res.status(409).json({
+          status: 'error',
+          message: `A tier named ${values.name} already exists for this event`
+        });
+      }
+
+      return res.status(500).json({
+        status: 'error',
+        message: 'Failed to update ticket tier',
+        error: updateError.message
+      });
+    }
+
+    await recordAudit(req, user, {
+      action: 'tier.update',
+      event_id: tier.event_id,
+      target_type: 'ticket_tier',
+      target_id: tier_id,
+      actor_user_id: access.eventAdmin.user_id,
+      before,
+      after: updated
+    });
+
+    return res.status(200).json({
+      status: 'success',
+      message: 'Ticket tier updated successfully',
+      data: updated
+    });
+
+  } catch (error) {
+    console.error('Error updating ticket tier:', error);
+    return res.status(500).json({
+      status: 'error',
+      message: 'An error occurred while updating the ticket tier',
+      error: error.message
+    });
+  }
+}
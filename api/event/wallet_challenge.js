@@ -0,0 +1,156 @@
+import { createClient } from '@supabase/supabase-js'
+import { checkEventPermission, permissionDenied } from '../../lib/permissions.js'
+import { DEFAULT_NETWORK, describeNetwork, isSupportedNetwork } from '../../lib/networks.js'
+import { buildSiweMessage, generateSiweNonce, WALLET_NONCE_TTL_MS } from '../../lib/siwe.js'
+
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_KEY
+)
+
+export default async function handler(req, res) {
+  // Set CORS headers
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+
+  // Handle OPTIONS preflight request
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  // Only allow POST requests
+  if (req.method !== 'POST') {
+    return res.status(405).json({
+      status: 'error',
+      message: 'Method not allowed'
+    });
+  }
+
+  try {
+    // Get the authorization header
+    const authHeader = req.headers.authorization;
+    if (!authHeader || !authHeader.startsWith('Bearer ')) {
+      return res.status(401).json({
+        status: 'error',
+        message: 'Missing or invalid authorization header'
+      });
+    }
+
+    const token = authHeader.split(' ')[1];
+
+    // Verify the token and get user details
+    const { data: { user }, error: authError } = await supabase.auth.getUser(token);
+
+    if (authError || !user) {
+      return res.status(401).json({
+        status: 'error',
+        message: 'Invalid or expired token'
+      });
+    }
+
+    // Get request body
+    const { event_id, wallet_address } = req.body;
+
+    if (!event_id || !wallet_address) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Missing required parameters: event_id and wallet_address'
+      });
+    }
+
+    // Validate wallet address format
+    const isValidWalletAddress = /^0x[a-fA-F0-9]{40}$/.test(wallet_address);
+    if (!isValidWalletAddress) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Invalid wallet address format'
+      });
+    }
+
+    // Verify the user may manage wallets for this event
+    const access = await checkEventPermission(user.id, event_id, 'manage_wallets');
+    if (!access.allowed) {
+      return permissionDenied(res, access);
+    }
+
+    // Check if the event exists
+    const { data: event, error: eventError } = await supabase
+      .from('events')
+      .select('event_id, event_name, blockchain_network')
+      .eq('event_id', event_id)
+      .single();
+
+    if (eventError || !event) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Event not found'
+      });
+    }
+
+    // The signed message names the chain, so the event must be on a configured network
+    const networkKey = event.blockchain_network || DEFAULT_NETWORK;
+    if (!isSupportedNetwork(networkKey)) {
+      return res.status(409).json({
+        status: 'error',
+        message: `Event blockchain network ${networkKey} is not supported`
+      });
+    }
+    const network = describeNetwork(networkKey);
+
+    const domain = process.env.SIWE_DOMAIN || req.headers.host;
+    const nonce = generateSiweNonce();
+    const issuedAt = new Date();
+    const expiresAt = new Date(issuedAt.getTime() + WALLET_NONCE_TTL_MS);
+
+    const message = buildSiweMessage({
+      domain,
+      address: wallet_address,
+      statement: `Connect this wallet to the event "${event.event_name}".`,
+      uri: `https://${domain}`,
+      chainId: network.chain_id,
+      nonce,
+      issuedAt: issuedAt.toISOString(),
+      expirationTime: expiresAt.toISOString()
+    });
+
+    // The exact message is stored so connect_wallet verifies what was issued, not what the client sends back
+    const { error: insertError } = await supabase
+      .from('wallet_nonces')
+      .insert([{
+        nonce,
+        auth_id: user.id,
+        event_id,
+        wallet_address: wallet_address.toLowerCase(),
+        message,
+        expires_at: expiresAt.toISOString()
+      }]);
+
+    if (insertError) {
+      return res.status(500).json({
+        status: 'error',
+        message: 'Failed to create wallet challenge',
+        error: insertError.message
+      });
+    }
+
+    return res.status(200).json({
+      status: 'success',
+      message: 'Sign this message with the wallet to connect it',
+      data: {
+        nonce,
+        message,
+        expires_at: expiresAt.toISOString(),
+        network
+      }
+    });
+
+  } catch (error) {
+    console.error('Error creating wallet challenge:', error);
+    return res.status(500).json({
+      status: 'error',
+      message: 'An error occurred while creating the wallet challenge',
+      error: error.message
+    });
+  }
+}
@@ -0,0 +1,119 @@
+import { createClient } from '@supabase/supabase-js'
+import { checkEventPermission, permissionDenied } from '../../lib/permissions.js'
+
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_KEY
+)
+
+export default async function handler(req, res) {
+  // Set CORS headers
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+
+  // Handle OPTIONS preflight request
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  // Only allow GET requests
+  if (req.method !== 'GET') {
+    return res.status(405).json({
+      status: 'error',
+      message: 'Method not allowed'
+    });
+  }
+
+  try {
+    // Get the authorization header
+    const authHeader = req.headers.authorization;
+    if (!authHeader || !authHeader.startsWith('Bearer ')) {
+      return res.status(401).json({
+        status: 'error',
+        message: 'Missing or invalid authorization header'
+      });
+    }
+
+    const token = authHeader.split(' ')[1];
+
+    // Verify the token and get user details
+    const { data: { user }, error: authError } = await supabase.auth.getUser(token);
+
+    if (authError || !user) {
+      return res.status(401).json({
+        status: 'error',
+        message: 'Invalid or expired token'
+      });
+    }
+
+    // Get query parameters
+    const { event_id } = req.query;
+
+    if (!event_id) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Missing required parameter: event_id'
+      });
+    }
+
+    const access = await checkEventPermission(user.id, event_id, 'manage_wallets');
+    if (!access.allowed) {
+      return permissionDenied(res, access);
+    }
+
+    // Every wallet ever attached to the event, active or not
+    const { data: wallets, error: walletsError } = await supabase
+      .from('admin_wallets')
+      .select('*')
+      .eq('event_id', event_id)
+      .order('added_at', { ascending: false });
+
+    if (walletsError) {
+      throw walletsError;
+    }
+
+    // Wallet changes recorded in the audit log, newest first
+    const { data: changes, error: changesError } = await supabase
+      .from('audit_log')
+      .select('audit_id, occurred_at, action, target_id, actor_user_id, actor_email, metadata')
+      .eq('event_id', event_id)
+      .like('action', 'wallet.%')
+      .order('occurred_at', { ascending: false })
+      .limit(200);
+
+    if (changesError) {
+      throw changesError;
+    }
+
+    const { data: event, error: eventError } = await supabase
+      .from('events')
+      .select('wallet_address, wallet_connected')
+      .eq('event_id', event_id)
+      .single();
+
+    if (eventError) {
+      throw eventError;
+    }
+
+    return res.status(200).json({
+      status: 'success',
+      message: 'Wallet history retrieved successfully',
+      data: {
+        event_id,
+        wallet_address: event.wallet_address,
+        wallet_connected: event.wallet_connected,
+        wallets,
+        changes
+      }
+    });
+
+  } catch (error) {
+    console.error('Error retrieving wallet history:', error);
+    return res.status(500).json({
+      status: 'error',
+      message: 'An error occurred while retrieving wallet history',
+      error: error.message
+    });
+  }
+}
@@ -0,0 +1,76 @@
+import { createClient } from '@supabase/supabase-js'
+import { buildTokenMetadata } from '../../../lib/metadata.js'
+
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_KEY
+)
+
+export default async function handler(req, res) {
+  // Set CORS headers
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+
+  // Handle OPTIONS preflight request
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  // Only allow GET requests
+  if (req.method !== 'GET') {
+    return res.status(405).json({ 
+      status: 'error', 
+      message: 'Method not allowed' 
+    });
+  }
+
+  try {
+    const { contract, tokenId } = req.query;
+
+    if (!/^0x[a-fA-F0-9]{40}$/.test(contract) || !/^\d+$/.test(tokenId)) {
+      res.setHeader('Cache-Control', 'public, max-age=60');
+      return res.status(404).json({
+        status: 'error',
+        message: 'Token not found'
+      });
+    }
+
+    const { data: ticket, error: ticketError } = await supabase
+      .from('tickets')
+      .select('ticket_number, ticket_status, nft_mint_status, nft_metadata')
+      .ilike('nft_contract_address', contract)
+      .eq('nft_token_id', tokenId)
+      .in('nft_mint_status', ['minted', 'transferred'])
+      .is('deleted_at', null)
+      .maybeSingle();
+
+    if (ticketError) {
+      throw ticketError;
+    }
+
+    // Unknown tokens may be minted shortly, so only cache misses briefly
+    if (!ticket) {
+      res.setHeader('Cache-Control', 'public, max-age=60');
+      return res.status(404).json({
+        status: 'error',
+        message: 'Token not found'
+      });
+    }
+
+    // Short edge cache so status changes (e.g. revocation) show up quickly
+    res.setHeader('Cache-Control', 'public, max-age=60, s-maxage=60, stale-while-revalidate=300');
+
+    // Marketplaces expect the bare metadata document, not the usual response envelope
+    return res.status(200).json(buildTokenMetadata(ticket));
+
+  } catch (error) {
+    console.error('Error retrieving token metadata:', error);
+    res.setHeader('Cache-Control', 'no-store');
+    return res.status(500).json({
+      status: 'error',
+      message: 'An error occurred while retrieving token metadata',
+      error: error.message
+    });
+  }
+}
@@ -0,0 +1,47 @@
+import { supabase } from './supabase.js';
+
+// Client IP as seen by Vercel's proxy (first hop of x-forwarded-for)
+export function getRequestIp(req) {
+  const forwarded = req.headers['x-forwarded-for'];
+
+  if (forwarded) {
+    return forwarded.split(',')[0].trim();
+  }
+
+  return req.headers['x-real-ip'] || req.socket?.remoteAddress || null;
+}
+
+// Append an entry to audit_log for a mutating request. `user` is the Supabase
+// auth user from getUser(). Auditing never fails the request it describes; a
+// failed insert is logged instead.
+export async function recordAudit(req, user, {
+  action,
+  event_id = null,
+  target_type,
+  target_id = null,
+  actor_user_id = null,
+  before = null,
+  after = null,
+  metadata = null
+}) {
+  const { error } = await supabase
+    .from('audit_log')
+    .insert([{
+      action,
+      event_id,
+      target_type,
+      target_id: target_id === null ? null : String(target_id),
+      actor_auth_id: user.id,
+      actor_user_id,
+      actor_email: user.email || null,
+      before,
+      after,
+      metadata,
+      request_ip: getRequestIp(req),
+      user_agent: req.headers['user-agent'] || null
+    }]);
+
+  if (error) {
+    console.error(`Failed to record audit entry for ${action}:`, error);
+  }
+}
@@ -0,0 +1,82 @@
+import { supabase } from './supabase.js';
+import { getSaleStatus } from './tiers.js';
+
+const COUNT_FIELDS = ['total_tickets', 'available_tickets', 'sold_tickets', 'revoked_tickets'];
+
+// Add up rows of event_ticket_counts
+function summarize(rows) {
+  return Object.fromEntries(
+    COUNT_FIELDS.map(field => [field, rows.reduce((sum, row) => sum + Number(row[field]), 0)])
+  );
+}
+
+// Per-tier breakdown. Tickets minted before tiers existed are grouped under tier_id null.
+function summarizeTiers(tiers, counts, now) {
+  const summaries = tiers.map(tier => {
+    const tierCounts = counts.filter(row => row.tier_id === tier.tier_id);
+    // Soft-deleted tickets still count against max_supply (see lib/tiers.js)
+    const issued = tierCounts.reduce((sum, row) => sum + Number(row.issued_tickets), 0);
+
+    return {
+      tier_id: tier.tier_id,
+      name: tier.name,
+      price: tier.price,
+      currency: tier.currency,
+      max_supply: tier.max_supply,
+      remaining_supply: Math.max(tier.max_supply - issued, 0),
+      sale_status: getSaleStatus(tier, now),
+      ...summarize(tierCounts)
+    };
+  });
+
+  const untiered = counts.filter(row => !row.tier_id);
+  if (untiered.some(row => Number(row.total_tickets) > 0)) {
+    summaries.push({ tier_id: null, name: null, ...summarize(untiered) });
+  }
+
+  return summaries;
+}
+
+// Ticket availability for several events at once, keyed by event_id
+export async function getEventsAvailability(eventIds) {
+  const availability = Object.fromEntries(eventIds.map(id => [id, { ...summarize([]), tiers: [] }]));
+
+  if (!eventIds.length) return availability;
+
+  const [countsResult, tiersResult] = await Promise.all([
+    // Counted in the database; see event_ticket_counts
+    supabase.rpc('event_ticket_counts', { p_event_ids: eventIds }),
+    supabase
+      .from('ticket_tiers')
+      .select('tier_id, event_id, name, price, currency, max_supply, sale_start, sale_end')
+      .in('event_id', eventIds)
+      .order('created_at', { ascending: true })
+  ]);
+
+  if (countsResult.error) {
+    throw countsResult.error;
+  }
+
+  if (tiersResult.error) {
+    throw tiersResult.error;
+  }
+
+  const now = new Date();
+
+  for (const eventId of eventIds) {
+    const counts = countsResult.data.filter(row => row.event_id === eventId);
+    const tiers = tiersResult.data.filter(tier => tier.event_id === eventId);
+
+    availability[eventId] = {
+      ...summarize(counts),
+      tiers: summarizeTiers(tiers, counts, now)
+    };
+  }
+
+  return availability;
+}
+
+export async function getEventAvailability(eventId) {
+  const availability = await getEventsAvailability([eventId]);
+  return availability[eventId];
+}
@@ -0,0 +1,114 @@
+import { ethers } from 'ethers';
+import { supabase } from './supabase.js';
+import { getNetwork, getMinterWallet, getProvider } from './networks.js';
+
+// Contract ABI (simplified)
+const contractABI = [
+  "function batchMint(address to, uint256[] tokenIds, string[] uris) external",
+  "function mint(address to, uint256 tokenId, string uri) external",
+  "function revoke(uint256 tokenId) external",
+  "function unrevoke(uint256 tokenId) external",
+  "function ownerOf(uint256 tokenId) view returns (address)",
+  "function tokenURI(uint256 tokenId) view returns (string)",
+  "function isRevoked(uint256 tokenId) view returns (bool)",
+  "function safeTransferFrom(address from, address to, uint256 tokenId) external",
+  "function isApprovedForAll(address owner, address operator) view returns (bool)"
+];
+
+// Set up blockchain connection for the minter wallet on the event's network
+export function getMinterContract(contractAddress, network) {
+  return new ethers.Contract(contractAddress, contractABI, getMinterWallet(network));
+}
+
+// Read-only connection for view calls; needs no minter key
+export function getReadContract(contractAddress, network) {
+  return new ethers.Contract(contractAddress, contractABI, getProvider(network));
+}
+
+export async function markTicketsMinted(nftMetadata, tokenIds, uploads = []) {
+  for (let i = 0; i < nftMetadata.length; i++) {
+    const { error } = await supabase
+      .from('tickets')
+      .update({
+        nft_mint_status: 'minted',
+        nft_token_id: tokenIds[i],
+        metadata_cid: uploads[i]?.cid || null,
+        metadata_uri: uploads[i]?.uri || null
+      })
+      .eq('ticket_id', nftMetadata[i].ticketId);
+
+    // The tokens are already on-chain at this point, so a failed update must
+    // not be reported as a failed mint
+    if (error) {
+      console.error(`Failed to record mint for ticket ${nftMetadata[i].ticketId}:`, error);
+    }
+  }
+}
+
+// Only tickets still pending are marked, so tickets from confirmed chunks stay minted
+export async function markTicketsFailed(nftMetadata) {
+  const { error } = await supabase
+    .from('tickets')
+    .update({ nft_mint_status: 'failed' })
+    .in('ticket_id', nftMetadata.map(item => item.ticketId))
+    .eq('nft_mint_status', 'pending');
+
+  if (error) {
+    console.error('Failed to mark tickets as failed:', error);
+  }
+}
+
+// Call revoke(tokenId) or unrevoke(tokenId) for each token, one transaction at a time.
+// Returns a result per token so a single failure does not hide the others.
+export async function setTokensRevoked(contractAddress, tokenIds, revoked, network) {
+  const contract = getMinterContract(contractAddress, network);
+  const { confirmations } = getNetwork(network);
+  const results = [];
+
+  for (const tokenId of tokenIds) {
+    try {
+      const tx = revoked ? await contract.revoke(tokenId) : await contract.unrevoke(tokenId);
+      const receipt = await tx.wait(confirmations);
+      results.push({ tokenId, txHash: receipt.transactionHash });
+    } catch (error) {
+      console.error(`Failed to ${revoked ? 'revoke' : 'unrevoke'} token ${tokenId}:`, error);
+      results.push({ tokenId, txHash: null, error: error.message });
+    }
+  }
+
+  return results;
+}
+
+// Move a token out of an event wallet, sent by the minter as an approved operator.
+// The event wallet must have called setApprovalForAll(minter, true) on the contract.
+export async function transferFromEventWallet(contractAddress, fromAddress, toAddress, tokenId, network) {
+  const contract = getMinterContract(contractAddress, network);
+  const { confirmations } = getNetwork(network);
+  const operator = await contract.signer.getAddress();
+
+  if (fromAddress.toLowerCase() !== operator.toLowerCase() && !(await contract.isApprovedForAll(fromAddress, operator))) {
+    throw new Error(`Event wallet ${fromAddress} has not approved the minter ${operator} to transfer its tickets`);
+  }
+
+  const tx = await contract.safeTransferFrom(fromAddress, toAddress, tokenId);
+  const receipt = await tx.wait(confirmations);
+
+  return { txHash: receipt.transactionHash };
+}
+
+// Queue minting for the background worker (see lib/mint_worker.js)
+export async function queueForMinting(nftMetadata, eventId) {
+  const { error } = await supabase
+    .from('mint_queue')
+    .insert({
+      event_id: eventId,
+      ticket_data: nftMetadata,
+      status: 'pending',
+      retry_count: 0,
+      created_at: new Date().toISOString()
+    });
+
+  if (error) {
+    throw new Error(`Queue error: ${error.message}`);
+  }
+}
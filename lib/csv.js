@@ -0,0 +1,72 @@
+// Minimal RFC 4180 CSV support for ticket import/export
+
+// Parse CSV text into an array of rows (arrays of strings).
+// Handles quoted fields, escaped quotes ("") and CRLF or LF line endings. Blank lines are skipped.
+export function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      if (row.some(value => value !== '')) rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  row.push(field);
+  if (row.some(value => value !== '')) rows.push(row);
+
+  return rows;
+}
+
+// Parse CSV with a header row into objects keyed by lower-cased header names.
+// Each record carries its 1-based position among the data rows as `row`.
+export function parseCsvRecords(text) {
+  const [header = [], ...rows] = parseCsv(text.replace(/^\uFEFF/, ''));
+  const keys = header.map(name => name.trim().toLowerCase());
+
+  return {
+    columns: keys,
+    records: rows.map((row, index) => ({
+      row: index + 1,
+      ...Object.fromEntries(keys.map((key, i) => [key, (row[i] ?? '').trim()]))
+    }))
+  };
+}
+
+function escapeCsvValue(value) {
+  if (value === null || value === undefined) return '';
+
+  const text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+  // Leading = + - @ would be evaluated as formulas by spreadsheet apps
+  const safe = /^[=+\-@]/.test(text) ? `'${text}` : text;
+
+  return /[",\r\n]/.test(safe) ? `"${safe.replace(/"/g, '""')}"` : safe;
+}
+
+export function toCsvLine(values) {
+  return values.map(escapeCsvValue).join(',') + '\r\n';
+}
@@ -0,0 +1,52 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseCsv, parseCsvRecords, toCsvLine } from './csv.js';
+
+test('parseCsv handles quoted fields, escaped quotes and embedded line breaks', () => {
+  assert.deepEqual(parseCsv('a,"b,c","say ""hi""","two\nlines"\n'), [
+    ['a', 'b,c', 'say "hi"', 'two\nlines']
+  ]);
+});
+
+test('parseCsv accepts CRLF and LF endings and skips blank lines', () => {
+  assert.deepEqual(parseCsv('a,b\r\n\r\nc,d\n\n,\ne,f'), [['a', 'b'], ['c', 'd'], ['e', 'f']]);
+});
+
+test('parseCsv keeps empty fields inside a row', () => {
+  assert.deepEqual(parseCsv('a,,c\n,b,'), [['a', '', 'c'], ['', 'b', '']]);
+});
+
+test('parseCsvRecords keys rows by trimmed, lower-cased headers', () => {
+  const { columns, records } = parseCsvRecords('\uFEFF Email ,Tier\r\nada@example.com , VIP \r\nbob@example.com\r\n');
+
+  assert.deepEqual(columns, ['email', 'tier']);
+  assert.deepEqual(records, [
+    { row: 1, email: 'ada@example.com', tier: 'VIP' },
+    { row: 2, email: 'bob@example.com', tier: '' }
+  ]);
+});
+
+test('parseCsvRecords of empty input has no columns or records', () => {
+  assert.deepEqual(parseCsvRecords(''), { columns: [], records: [] });
+});
+
+test('toCsvLine quotes separators, quotes and line breaks', () => {
+  assert.equal(toCsvLine(['plain', 'a,b', 'say "hi"', 'two\nlines']), 'plain,"a,b","say ""hi""","two\nlines"\r\n');
+});
+
+test('toCsvLine writes null as empty and objects as JSON', () => {
+  assert.equal(toCsvLine([null, undefined, 0, false, { tier: 'VIP' }]), ',,0,false,"{""tier"":""VIP""}"\r\n');
+});
+
+test('toCsvLine neutralises spreadsheet formulas', () => {
+  assert.equal(toCsvLine(['=SUM(A1:A2)', '+1', '-1', '@cmd', 'a=b']), "'=SUM(A1:A2),'+1,'-1,'@cmd,a=b\r\n");
+  assert.equal(toCsvLine(['=HYPERLINK("x")']), `"'=HYPERLINK(""x"")"\r\n`);
+});
+
+test('exported lines parse back to the same values', () => {
+  const values = ['ticket, #1', 'line\r\nbreak', '"quoted"', ''];
+  assert.deepEqual(parseCsv(toCsvLine(['id', ...values.slice(1)]) + toCsvLine(values)), [
+    ['id', ...values.slice(1)],
+    values
+  ]);
+});
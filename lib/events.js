@@ -0,0 +1,73 @@
+import { getSupportedNetworks } from './networks.js';
+
+const EDITABLE_FIELDS = ['event_name', 'event_date', 'venue', 'blockchain_network', 'is_nft_enabled', 'nft_contract_address'];
+
+// Validate event fields from a request body. With `partial` only the fields
+// present are checked (for updates); otherwise event_name, event_date and venue are required.
+// Returns { errors, values } where values holds only recognised, normalised fields.
+export function validateEventFields(body, { partial = false } = {}) {
+  const errors = [];
+  const values = {};
+
+  for (const field of EDITABLE_FIELDS) {
+    if (body[field] !== undefined) values[field] = body[field];
+  }
+
+  if (!partial) {
+    for (const field of ['event_name', 'event_date', 'venue']) {
+      if (values[field] === undefined || values[field] === null || values[field] === '') {
+        errors.push(`${field} is required`);
+      }
+    }
+  }
+
+  if (values.event_name !== undefined) {
+    if (typeof values.event_name !== 'string' || !values.event_name.trim()) {
+      errors.push('event_name must be a non-empty string');
+    } else if (values.event_name.length > 200) {
+      errors.push('event_name must be at most 200 characters');
+    } else {
+      values.event_name = values.event_name.trim();
+    }
+  }
+
+  if (values.venue !== undefined) {
+    if (typeof values.venue !== 'string' || !values.venue.trim()) {
+      errors.push('venue must be a non-empty string');
+    } else {
+      values.venue = values.venue.trim();
+    }
+  }
+
+  if (values.event_date !== undefined) {
+    const date = new Date(values.event_date);
+    if (typeof values.event_date !== 'string' || isNaN(date.getTime())) {
+      errors.push('event_date must be an ISO 8601 date');
+    } else {
+      values.event_date = date.toISOString();
+    }
+  }
+
+  const networks = getSupportedNetworks();
+  if (values.blockchain_network !== undefined && !networks.includes(values.blockchain_network)) {
+    errors.push(`blockchain_network must be one of: ${networks.join(', ')}`);
+  }
+
+  if (values.is_nft_enabled !== undefined && typeof values.is_nft_enabled !== 'boolean') {
+    errors.push('is_nft_enabled must be a boolean');
+  }
+
+  if (values.nft_contract_address !== undefined && values.nft_contract_address !== null &&
+      !/^0x[a-fA-F0-9]{40}$/.test(values.nft_contract_address)) {
+    errors.push('nft_contract_address must be a valid contract address');
+  }
+
+  return { errors, values };
+}
+
+// Columns anyone may read through api/event/list.js. Wallet and contract
+// configuration (wallet_address, wallet_connected, nft_contract_address, ...) stays admin-only.
+export const PUBLIC_EVENT_FIELDS = ['event_id', 'event_name', 'event_date', 'venue', 'blockchain_network', 'is_nft_enabled', 'archived_at'];
+
+// Columns api/event/list.js may sort by
+export const EVENT_SORT_FIELDS = ['event_date', 'event_name', 'venue'];
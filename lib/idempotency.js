@@ -0,0 +1,157 @@
+import crypto from 'crypto';
+import { supabase } from './supabase.js';
+
+export const IDEMPOTENCY_KEY_TTL_HOURS = parseInt(process.env.IDEMPOTENCY_KEY_TTL_HOURS) || 24;
+// How long an in_progress key stays locked. A function that times out never completes or
+// releases its key, so after this the key can be taken over by a retry.
+export const IDEMPOTENCY_LEASE_SECONDS = parseInt(process.env.IDEMPOTENCY_LEASE_SECONDS) || 300;
+const MAX_KEY_LENGTH = 255;
+
+// Key order is not significant at any depth, so hash a canonical form
+export function hashRequestBody(body = {}) {
+  const canonical = JSON.stringify(sortKeys(body));
+  return crypto.createHash('sha256').update(canonical).digest('hex');
+}
+
+function sortKeys(value) {
+  if (Array.isArray(value)) {
+    return value.map(sortKeys);
+  }
+
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.keys(value).sort().map(key => [key, sortKeys(value[key])]));
+  }
+
+  return value;
+}
+
+async function findRecord(authId, endpoint, key) {
+  const { data, error } = await supabase
+    .from('idempotency_keys')
+    .select('*')
+    .eq('auth_id', authId)
+    .eq('endpoint', endpoint)
+    .eq('idempotency_key', key)
+    .maybeSingle();
+
+  if (error) {
+    throw error;
+  }
+
+  return data;
+}
+
+// Claim an Idempotency-Key for a request. Returns one of:
+//   { record }                    first use, or a stale lease taken over; call completeIdempotentRequest or releaseIdempotentRequest
+//   { replay: { status, body } }  the key already completed; send the stored response
+//   { error: { status, message } } the key is in use, or was used with a different body
+export async function beginIdempotentRequest({ key, authId, endpoint, body }) {
+  if (typeof key !== 'string' || !key.trim() || key.length > MAX_KEY_LENGTH) {
+    return { error: { status: 400, message: `Idempotency-Key must be 1-${MAX_KEY_LENGTH} characters` } };
+  }
+
+  const now = new Date();
+  const record = {
+    auth_id: authId,
+    endpoint,
+    idempotency_key: key,
+    request_hash: hashRequestBody(body),
+    status: 'in_progress',
+    locked_until: new Date(now.getTime() + IDEMPOTENCY_LEASE_SECONDS * 1000).toISOString(),
+    expires_at: new Date(now.getTime() + IDEMPOTENCY_KEY_TTL_HOURS * 60 * 60 * 1000).toISOString()
+  };
+
+  // Two attempts: the second runs after an expired record has been cleared
+  for (let attempt = 0; attempt < 2; attempt++) {
+    const { error: insertError } = await supabase.from('idempotency_keys').insert([record]);
+
+    if (!insertError) {
+      return { record };
+    }
+
+    if (insertError.code !== '23505') {
+      throw insertError;
+    }
+
+    const existing = await findRecord(authId, endpoint, key);
+
+    if (!existing || new Date(existing.expires_at) <= now) {
+      await supabase
+        .from('idempotency_keys')
+        .delete()
+        .eq('auth_id', authId)
+        .eq('endpoint', endpoint)
+        .eq('idempotency_key', key)
+        .lte('expires_at', now.toISOString());
+      continue;
+    }
+
+    if (existing.request_hash !== record.request_hash) {
+      return { error: { status: 422, message: 'Idempotency-Key was already used with a different request body' } };
+    }
+
+    if (existing.status === 'completed') {
+      return { replay: { status: existing.response_status, body: existing.response_body } };
+    }
+
+    if (existing.locked_until && new Date(existing.locked_until) <= now) {
+      // The previous attempt's lease ran out; the locked_until filter lets only one retry win it
+      const { data: takenOver, error: takeOverError } = await supabase
+        .from('idempotency_keys')
+        .update({ locked_until: record.locked_until })
+        .eq('auth_id', authId)
+        .eq('endpoint', endpoint)
+        .eq('idempotency_key', key)
+        .eq('status', 'in_progress')
+        .eq('locked_until', existing.locked_until)
+        .select('idempotency_key')
+        .maybeSingle();
+
+      if (takeOverError) {
+        throw takeOverError;
+      }
+
+      if (takenOver) {
+        return { record };
+      }
+    }
+
+    return { error: { status: 409, message: 'A request with this Idempotency-Key is still being processed' } };
+  }
+
+  return { error: { status: 409, message: 'Could not claim Idempotency-Key, please retry' } };
+}
+
+// Store the response so repeats of the key get the same result
+export async function completeIdempotentRequest(record, status, body) {
+  const { error } = await supabase
+    .from('idempotency_keys')
+    .update({
+      status: 'completed',
+      response_status: status,
+      response_body: body,
+      completed_at: new Date().toISOString()
+    })
+    .eq('auth_id', record.auth_id)
+    .eq('endpoint', record.endpoint)
+    .eq('idempotency_key', record.idempotency_key);
+
+  if (error) {
+    console.error('Failed to store idempotent response:', error);
+  }
+}
+
+// Forget the key after a server error that changed nothing, so the client can retry with it
+export async function releaseIdempotentRequest(record) {
+  const { error } = await supabase
+    .from('idempotency_keys')
+    .delete()
+    .eq('auth_id', record.auth_id)
+    .eq('endpoint', record.endpoint)
+    .eq('idempotency_key', record.idempotency_key)
+    .eq('status', 'in_progress');
+
+  if (error) {
+    console.error('Failed to release idempotency key:', error);
+  }
+}
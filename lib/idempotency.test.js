@@ -0,0 +1,96 @@
+import { test, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { fakeSupabase, filter } from './testing/fake_supabase.js';
+import { beginIdempotentRequest, hashRequestBody } from './idempotency.js';
+
+const body = { event_id: 'event-1', tiers: [{ tier_id: 'vip', quantity: 2 }, { tier_id: 'ga', quantity: 10 }] };
+const request = { key: 'key-1', authId: 'auth-1', endpoint: 'mint', body };
+
+let fake;
+
+afterEach(() => fake?.restore());
+
+const inFuture = () => new Date(Date.now() + 60 * 1000).toISOString();
+const inPast = () => new Date(Date.now() - 60 * 1000).toISOString();
+
+// The key already exists as `existing`; the takeover update matches `takenOver`
+function withExistingKey(existing, takenOver = null) {
+  fake = fakeSupabase(({ calls }) => {
+    const [method] = calls[0];
+    if (method === 'insert') return { data: null, error: { code: '23505', message: 'duplicate key' } };
+    if (method === 'update') return { data: takenOver, error: null };
+    return { data: { request_hash: hashRequestBody(body), expires_at: inFuture(), ...existing }, error: null };
+  });
+}
+
+test('hashRequestBody ignores key order at every depth', () => {
+  const reordered = { tiers: [{ quantity: 2, tier_id: 'vip' }, { quantity: 10, tier_id: 'ga' }], event_id: 'event-1' };
+  assert.equal(hashRequestBody(reordered), hashRequestBody(body));
+});
+
+test('hashRequestBody tells apart bodies that differ only in nested fields', () => {
+  const changed = { ...body, tiers: [{ tier_id: 'vip', quantity: 3 }, { tier_id: 'ga', quantity: 10 }] };
+
+  assert.notEqual(hashRequestBody(changed), hashRequestBody(body));
+  // Array order is significant
+  assert.notEqual(hashRequestBody({ ...body, tiers: [...body.tiers].reverse() }), hashRequestBody(body));
+});
+
+test('hashRequestBody of a missing body matches an empty one', () => {
+  assert.equal(hashRequestBody(undefined), hashRequestBody({}));
+});
+
+test('an invalid key is rejected before touching the database', async () => {
+  fake = fakeSupabase(() => assert.fail('unexpected query'));
+
+  for (const key of [undefined, '', '   ', 'k'.repeat(256)]) {
+    assert.equal((await beginIdempotentRequest({ ...request, key })).error.status, 400);
+  }
+});
+
+test('the first use of a key claims it with a lease', async () => {
+  fake = fakeSupabase(() => ({ data: null, error: null }));
+
+  const { record } = await beginIdempotentRequest(request);
+  const [[inserted]] = filter(fake.queries[0], 'insert');
+
+  assert.equal(record, inserted);
+  assert.equal(record.status, 'in_progress');
+  assert.equal(record.request_hash, hashRequestBody(body));
+  assert.ok(new Date(record.locked_until) > new Date());
+  assert.ok(new Date(record.expires_at) > new Date(record.locked_until));
+});
+
+test('a completed key replays the stored response', async () => {
+  withExistingKey({ status: 'completed', response_status: 200, response_body: { status: 'success' } });
+
+  assert.deepEqual(await beginIdempotentRequest(request), { replay: { status: 200, body: { status: 'success' } } });
+});
+
+test('reusing a key with another body is a 422', async () => {
+  withExistingKey({ status: 'completed', request_hash: hashRequestBody({ event_id: 'event-2' }) });
+
+  assert.equal((await beginIdempotentRequest(request)).error.status, 422);
+});
+
+test('a key still leased to another request is a 409', async () => {
+  withExistingKey({ status: 'in_progress', locked_until: inFuture() });
+
+  assert.equal((await beginIdempotentRequest(request)).error.status, 409);
+  assert.equal(fake.queries.some(query => filter(query, 'update')), false);
+});
+
+test('an expired lease is taken over by exactly one retry', async () => {
+  const lockedUntil = inPast();
+  withExistingKey({ status: 'in_progress', locked_until: lockedUntil }, { idempotency_key: 'key-1' });
+
+  const { record } = await beginIdempotentRequest(request);
+  const takeover = fake.queries.find(query => filter(query, 'update'));
+
+  assert.ok(record);
+  assert.deepEqual(filter(takeover, 'eq', 'locked_until'), ['locked_until', lockedUntil]);
+
+  // Another retry won the compare-and-set
+  withExistingKey({ status: 'in_progress', locked_until: lockedUntil }, null);
+  assert.equal((await beginIdempotentRequest(request)).error.status, 409);
+});
@@ -0,0 +1,22 @@
+import { createHash, randomBytes } from 'crypto';
+
+export const DEFAULT_INVITE_TTL_HOURS = 72;
+export const MAX_INVITE_TTL_HOURS = 24 * 30;
+
+// Only the hash is stored, so a leaked invite table cannot be used to join events
+export function hashInviteToken(token) {
+  return createHash('sha256').update(token).digest('hex');
+}
+
+export function generateInviteToken() {
+  const token = randomBytes(32).toString('base64url');
+  return { token, tokenHash: hashInviteToken(token) };
+}
+
+// pending / accepted / revoked / expired, derived from the invite's timestamps
+export function getInviteStatus(invite, now = new Date()) {
+  if (invite.accepted_at) return 'accepted';
+  if (invite.revoked_at) return 'revoked';
+  if (new Date(invite.expires_at) <= now) return 'expired';
+  return 'pending';
+}
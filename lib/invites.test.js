@@ -0,0 +1,34 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { generateInviteToken, getInviteStatus, hashInviteToken } from './invites.js';
+
+const now = new Date('2026-10-19T12:00:00Z');
+const invite = (fields = {}) => ({ expires_at: '2026-10-20T12:00:00Z', accepted_at: null, revoked_at: null, ...fields });
+
+test('a generated token is URL-safe and stored only as its hash', () => {
+  const { token, tokenHash } = generateInviteToken();
+
+  assert.match(token, /^[A-Za-z0-9_-]{43}$/);
+  assert.equal(tokenHash, hashInviteToken(token));
+  assert.match(tokenHash, /^[0-9a-f]{64}$/);
+  assert.notEqual(generateInviteToken().token, token);
+});
+
+test('an open invite before its expiry is pending', () => {
+  assert.equal(getInviteStatus(invite(), now), 'pending');
+});
+
+test('an invite expires at its expires_at', () => {
+  assert.equal(getInviteStatus(invite({ expires_at: now.toISOString() }), now), 'expired');
+});
+
+test('accepted and revoked invites keep that status after expiring', () => {
+  const expired = { expires_at: '2026-10-18T12:00:00Z' };
+
+  assert.equal(getInviteStatus(invite({ ...expired, accepted_at: '2026-10-17T12:00:00Z' }), now), 'accepted');
+  assert.equal(getInviteStatus(invite({ ...expired, revoked_at: '2026-10-17T12:00:00Z' }), now), 'revoked');
+});
+
+test('acceptance wins over a later revocation', () => {
+  assert.equal(getInviteStatus(invite({ accepted_at: '2026-10-17T12:00:00Z', revoked_at: '2026-10-18T12:00:00Z' }), now), 'accepted');
+});
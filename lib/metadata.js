@@ -0,0 +1,40 @@
+const STATUS_LABELS = {
+  valid: 'Valid',
+  revoked: 'Revoked'
+};
+
+// Build the ERC-721 / OpenSea metadata document for a ticket row.
+// Live fields (like Status) are appended so the document tracks the ticket's current state.
+export function buildTokenMetadata(ticket) {
+  const stored = ticket.nft_metadata || {};
+  const attributes = (stored.attributes || []).filter(attribute => attribute.trait_type !== 'Status');
+
+  attributes.push({
+    trait_type: 'Status',
+    value: STATUS_LABELS[ticket.ticket_status] || ticket.ticket_status
+  });
+
+  return {
+    name: stored.name || `Ticket #${ticket.ticket_number}`,
+    description: stored.description || '',
+    image: stored.image,
+    ...(stored.external_url ? { external_url: stored.external_url } : {}),
+    attributes
+  };
+}
+
+// Metadata stored on a newly minted ticket. Every ticket in a tier shares its name, price and artwork.
+export function buildTicketMetadata(event, tier, ticketNumber) {
+  return {
+    name: `${tier.name} #${ticketNumber}`,
+    description: tier.description || '',
+    image: tier.image_url || `https://api.placeholder.com/400x300?text=${encodeURIComponent(tier.name)}`,
+    attributes: [
+      { trait_type: 'Event', value: event.event_name },
+      { trait_type: 'Ticket Type', value: tier.name },
+      { trait_type: 'Price', value: `${tier.price} ${tier.currency}` },
+      { trait_type: 'Ticket Number', value: ticketNumber },
+      { trait_type: 'Total Supply', value: tier.max_supply }
+    ]
+  };
+}
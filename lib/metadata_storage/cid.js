@@ -0,0 +1,55 @@
+import { createHash } from 'crypto';
+
+const BASE32_ALPHABET = 'abcdefghijklmnopqrstuvwxyz234567';
+
+// CIDv1 prefix: version 1, raw codec (0x55), sha2-256 multihash (0x12) of 32 bytes (0x20).
+// This is the CID `ipfs add --cid-version=1 --raw-leaves` gives a single-block file.
+const CID_V1_RAW_SHA256_PREFIX = Buffer.from([0x01, 0x55, 0x12, 0x20]);
+
+function base32(bytes) {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+
+  for (const byte of bytes) {
+    value = (value << 8) | byte;
+    bits += 8;
+
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+
+  return output;
+}
+
+// Compute the base32 CIDv1 of the given bytes without talking to an IPFS node
+export function computeCid(bytes) {
+  const digest = createHash('sha256').update(bytes).digest();
+  return 'b' + base32(Buffer.concat([CID_V1_RAW_SHA256_PREFIX, digest]));
+}
+
+// Serialize metadata with sorted keys so identical documents always hash to the same CID
+export function serializeMetadata(metadata) {
+  return Buffer.from(JSON.stringify(sortKeys(metadata)));
+}
+
+function sortKeys(value) {
+  if (Array.isArray(value)) {
+    return value.map(sortKeys);
+  }
+
+  if (value && typeof value === 'object') {
+    return Object.keys(value).sort().reduce((sorted, key) => {
+      sorted[key] = sortKeys(value[key]);
+      return sorted;
+    }, {});
+  }
+
+  return value;
+}
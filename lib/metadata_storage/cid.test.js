@@ -0,0 +1,33 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { computeCid, serializeMetadata } from './cid.js';
+
+test('computeCid matches the CID ipfs gives an empty raw block', () => {
+  assert.equal(computeCid(Buffer.alloc(0)), 'bafkreihdwdcefgh4dqkjv67uzcmw7ojee6xedzdetojuzjevtenxquvyku');
+});
+
+test('computeCid returns a base32 CIDv1 with the raw sha2-256 prefix', () => {
+  const cid = computeCid(Buffer.from('hello world'));
+
+  assert.match(cid, /^bafkrei[a-z2-7]{52}$/);
+  assert.equal(cid, computeCid(Buffer.from('hello world')));
+  assert.notEqual(cid, computeCid(Buffer.from('hello world!')));
+});
+
+test('serializeMetadata sorts keys at every level so key order does not change the CID', () => {
+  const a = { name: 'Ticket #1', attributes: [{ value: 'VIP', trait_type: 'Tier' }], image: 'ipfs://x' };
+  const b = { image: 'ipfs://x', attributes: [{ trait_type: 'Tier', value: 'VIP' }], name: 'Ticket #1' };
+
+  assert.equal(
+    serializeMetadata(a).toString(),
+    '{"attributes":[{"trait_type":"Tier","value":"VIP"}],"image":"ipfs://x","name":"Ticket #1"}'
+  );
+  assert.equal(computeCid(serializeMetadata(a)), computeCid(serializeMetadata(b)));
+});
+
+test('serializeMetadata keeps array order', () => {
+  assert.notEqual(
+    computeCid(serializeMetadata({ attributes: [1, 2] })),
+    computeCid(serializeMetadata({ attributes: [2, 1] }))
+  );
+});
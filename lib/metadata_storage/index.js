@@ -0,0 +1,46 @@
+import { computeCid, serializeMetadata } from './cid.js';
+import { createLocalStorage } from './local.js';
+import { createSupabaseStorage } from './supabase_storage.js';
+import { createPinningStorage } from './pinning.js';
+import { isProductionRuntime } from './runtime.js';
+
+export { computeCid, serializeMetadata };
+
+const adapters = {
+  local: createLocalStorage,
+  supabase: createSupabaseStorage,
+  pinning: createPinningStorage
+};
+
+let defaultStorage;
+
+// METADATA_STORAGE picks the backend; without it production pins and development writes locally
+function defaultBackend() {
+  return process.env.METADATA_STORAGE || (isProductionRuntime() ? 'pinning' : 'local');
+}
+
+// Build a storage adapter by name. Adapters check their configuration when created,
+// so a missing PINNING_API_URL fails here rather than halfway through a mint.
+export function createMetadataStorage(name = defaultBackend(), options) {
+  const factory = adapters[name];
+
+  if (!factory) {
+    throw new Error(`Unknown metadata storage backend: ${name}`);
+  }
+
+  return factory(options);
+}
+
+// The shared default adapter; workers call this up front to fail fast on bad configuration
+export function getMetadataStorage() {
+  defaultStorage = defaultStorage || createMetadataStorage();
+  return defaultStorage;
+}
+
+// Store a metadata document and return its CID and token URI
+export async function uploadMetadata(metadata, storage = getMetadataStorage()) {
+  const bytes = serializeMetadata(metadata);
+  const cid = computeCid(bytes);
+
+  return storage.put(bytes, cid);
+}
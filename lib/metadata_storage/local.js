@@ -0,0 +1,26 @@
+import { mkdir, writeFile } from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { isProductionRuntime } from './runtime.js';
+
+// Writes metadata to a content-addressed directory on disk (<dir>/<cid>.json).
+// For local development only: nothing is pinned, so the ipfs:// URIs it returns
+// resolve only once the files are pinned elsewhere.
+export function createLocalStorage({
+  directory = process.env.METADATA_LOCAL_DIR || path.join(os.tmpdir(), 'ticket-metadata')
+} = {}) {
+  if (isProductionRuntime()) {
+    throw new Error('Local metadata storage is for development only; set METADATA_STORAGE to pinning or supabase');
+  }
+
+  return {
+    name: 'local',
+
+    async put(bytes, cid) {
+      await mkdir(directory, { recursive: true });
+      await writeFile(path.join(directory, `${cid}.json`), bytes);
+
+      return { cid, uri: `ipfs://${cid}` };
+    }
+  };
+}
@@ -0,0 +1,48 @@
+// Generic pinning service adapter. POSTs the serialized document as multipart form
+// data (`file`, plus the expected `cid`) to PINNING_API_URL and expects the pinned CID
+// back as `cid`, `IpfsHash` (Pinata) or `pin.cid`. A local mock server can stand in
+// for the real service.
+export function createPinningStorage({
+  url = process.env.PINNING_API_URL,
+  token = process.env.PINNING_API_TOKEN
+} = {}) {
+  if (!url) {
+    throw new Error('PINNING_API_URL is required for the pinning metadata storage');
+  }
+
+  return {
+    name: 'pinning',
+
+    async put(bytes, cid) {
+      // The exact bytes the CID was computed from; re-encoding them as JSON could
+      // change whitespace or key order and so the CID the service pins
+      const form = new FormData();
+      form.append('file', new Blob([bytes], { type: 'application/json' }), `${cid}.json`);
+      form.append('cid', cid);
+
+      const response = await fetch(url, {
+        method: 'POST',
+        headers: token ? { Authorization: `Bearer ${token}` } : {},
+        body: form
+      });
+
+      if (!response.ok) {
+        throw new Error(`Pinning service responded with ${response.status}`);
+      }
+
+      const body = await response.json();
+      const pinnedCid = body.cid || body.IpfsHash || body.pin?.cid;
+
+      if (!pinnedCid) {
+        throw new Error('Pinning service response did not include a CID');
+      }
+
+      // The token URI and the stored metadata_cid must name the document we hashed
+      if (pinnedCid !== cid) {
+        throw new Error(`Pinning service pinned ${pinnedCid} but the metadata hashes to ${cid}`);
+      }
+
+      return { cid: pinnedCid, uri: `ipfs://${pinnedCid}` };
+    }
+  };
+}
@@ -0,0 +1,53 @@
+import { test, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { computeCid, serializeMetadata } from './cid.js';
+import { createPinningStorage } from './pinning.js';
+
+const originalFetch = globalThis.fetch;
+
+afterEach(() => {
+  globalThis.fetch = originalFetch;
+});
+
+// Answer the pinning request with `body` and record what was sent
+function pinningService(body) {
+  const requests = [];
+  globalThis.fetch = async (url, init) => {
+    requests.push({ url, init });
+    return new Response(JSON.stringify(body), { status: 200 });
+  };
+  return requests;
+}
+
+const bytes = serializeMetadata({ name: 'Ticket #1', attributes: [{ trait_type: 'Tier', value: 'VIP' }] });
+const cid = computeCid(bytes);
+
+test('the serialized bytes are uploaded unchanged', async () => {
+  const requests = pinningService({ IpfsHash: cid });
+  const storage = createPinningStorage({ url: 'http://pinning.test/pin', token: 'secret' });
+
+  assert.deepEqual(await storage.put(bytes, cid), { cid, uri: `ipfs://${cid}` });
+
+  const [{ url, init }] = requests;
+  assert.equal(url, 'http://pinning.test/pin');
+  assert.equal(init.headers.Authorization, 'Bearer secret');
+
+  const file = init.body.get('file');
+  assert.equal(file.name, `${cid}.json`);
+  assert.deepEqual(Buffer.from(await file.arrayBuffer()), bytes);
+  assert.equal(init.body.get('cid'), cid);
+});
+
+test('a pin under a different CID is rejected', async () => {
+  pinningService({ cid: 'bafkreiothercid' });
+  const storage = createPinningStorage({ url: 'http://pinning.test/pin' });
+
+  await assert.rejects(storage.put(bytes, cid), /pinned bafkreiothercid but the metadata hashes to/);
+});
+
+test('a response without a CID is rejected', async () => {
+  pinningService({});
+  const storage = createPinningStorage({ url: 'http://pinning.test/pin' });
+
+  await assert.rejects(storage.put(bytes, cid), /did not include a CID/);
+});
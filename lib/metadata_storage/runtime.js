@@ -0,0 +1,5 @@
+// Deployed on Vercel or run with NODE_ENV=production, where the working directory is
+// read-only and metadata must go to a backend that actually serves it
+export function isProductionRuntime() {
+  return Boolean(process.env.VERCEL) || process.env.NODE_ENV === 'production';
+}
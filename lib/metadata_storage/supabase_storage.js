@@ -0,0 +1,24 @@
+import { supabase } from '../supabase.js';
+
+// Stores metadata in a public Supabase Storage bucket, keyed by CID
+export function createSupabaseStorage({ bucket = process.env.METADATA_STORAGE_BUCKET || 'nft-metadata' } = {}) {
+  return {
+    name: 'supabase',
+
+    async put(bytes, cid) {
+      const objectPath = `${cid}.json`;
+
+      const { error } = await supabase.storage
+        .from(bucket)
+        .upload(objectPath, bytes, { contentType: 'application/json', upsert: true });
+
+      if (error) {
+        throw new Error(`Supabase storage upload failed: ${error.message}`);
+      }
+
+      const { data } = supabase.storage.from(bucket).getPublicUrl(objectPath);
+
+      return { cid, uri: data.publicUrl };
+    }
+  };
+}
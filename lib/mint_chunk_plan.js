@@ -0,0 +1,28 @@
+// Chunk bookkeeping for lib/mint_chunks.js that needs neither the database nor a provider
+
+// Work out where a job resumes from the chunks recorded by earlier attempts, once 'sent'
+// chunks have been settled. Tickets of confirmed chunks are skipped; tickets of failed
+// chunks are minted again in new chunks numbered after every recorded one.
+export function planResume(chunks, ticketData) {
+  const done = new Set();
+  const confirmed = [];
+
+  for (const chunk of chunks) {
+    if (chunk.status !== 'confirmed') continue;
+
+    chunk.ticket_ids.forEach(id => done.add(id));
+    confirmed.push({ chunk_index: chunk.chunk_index, ticket_count: chunk.ticket_ids.length, tx_hash: chunk.tx_hash });
+  }
+
+  return {
+    confirmed,
+    remaining: ticketData.filter(item => !done.has(item.ticketId)),
+    nextChunkIndex: chunks.length ? Math.max(...chunks.map(chunk => chunk.chunk_index)) + 1 : 0
+  };
+}
+
+// Size to try next when `count` tokens were estimated at `gasEstimate`, above `gasBudget`
+// (both BigNumbers). Gas grows roughly linearly with the token count.
+export function shrinkChunkSize(count, gasEstimate, gasBudget) {
+  return Math.max(1, Math.min(count - 1, gasBudget.mul(count).div(gasEstimate).toNumber()));
+}
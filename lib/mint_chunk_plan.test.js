@@ -0,0 +1,50 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { ethers } from 'ethers';
+import { planResume, shrinkChunkSize } from './mint_chunk_plan.js';
+
+const ticketData = ['t1', 't2', 't3', 't4', 't5'].map((ticketId, i) => ({ ticketId, tokenId: i + 1 }));
+
+test('a job without recorded chunks starts from the first ticket and chunk 0', () => {
+  assert.deepEqual(planResume([], ticketData), { confirmed: [], remaining: ticketData, nextChunkIndex: 0 });
+});
+
+test('tickets of confirmed chunks are skipped and failed ones are minted again', () => {
+  const chunks = [
+    { chunk_index: 0, status: 'confirmed', ticket_ids: ['t1', 't2'], tx_hash: '0xaa' },
+    { chunk_index: 1, status: 'failed', ticket_ids: ['t3', 't4'], tx_hash: null },
+    { chunk_index: 2, status: 'confirmed', ticket_ids: ['t5'], tx_hash: '0xbb' }
+  ];
+
+  const { confirmed, remaining, nextChunkIndex } = planResume(chunks, ticketData);
+
+  assert.deepEqual(confirmed, [
+    { chunk_index: 0, ticket_count: 2, tx_hash: '0xaa' },
+    { chunk_index: 2, ticket_count: 1, tx_hash: '0xbb' }
+  ]);
+  assert.deepEqual(remaining.map(item => item.ticketId), ['t3', 't4']);
+  // Chunk indexes are never reused, so a retried chunk does not collide with the failed row
+  assert.equal(nextChunkIndex, 3);
+});
+
+test('a chunk still sent after settling is not treated as done', () => {
+  const chunks = [{ chunk_index: 0, status: 'sent', ticket_ids: ['t1', 't2'], tx_hash: '0xaa' }];
+  const { confirmed, remaining } = planResume(chunks, ticketData);
+
+  assert.deepEqual(confirmed, []);
+  assert.equal(remaining.length, ticketData.length);
+});
+
+test('a fully confirmed job has nothing left to mint', () => {
+  const chunks = [{ chunk_index: 0, status: 'confirmed', ticket_ids: ticketData.map(item => item.ticketId), tx_hash: '0xaa' }];
+  assert.deepEqual(planResume(chunks, ticketData).remaining, []);
+});
+
+test('shrinkChunkSize scales the chunk to the gas budget', () => {
+  const { BigNumber } = ethers;
+
+  assert.equal(shrinkChunkSize(50, BigNumber.from(10_000_000), BigNumber.from(4_000_000)), 20);
+  // Always makes progress: at least one token, and at least one fewer than before
+  assert.equal(shrinkChunkSize(50, BigNumber.from(10_000_000), BigNumber.from(1)), 1);
+  assert.equal(shrinkChunkSize(50, BigNumber.from(4_000_001), BigNumber.from(4_000_000)), 49);
+});
@@ -0,0 +1,241 @@
+import { ethers } from 'ethers';
+import { supabase } from './supabase.js';
+import { getMinterContract, markTicketsMinted, markTicketsFailed } from './blockchain.js';
+import { uploadMetadata } from './metadata_storage/index.js';
+import { getNetwork } from './networks.js';
+import { planResume, shrinkChunkSize } from './mint_chunk_plan.js';
+
+// Upper bound on tokens per batchMint; chunks shrink further when estimateGas says so
+export const MAX_CHUNK_SIZE = parseInt(process.env.MINT_CHUNK_SIZE) || 50;
+// Gas budget per chunk. Defaults to half the latest block gas limit.
+const CHUNK_GAS_LIMIT = parseInt(process.env.MINT_CHUNK_GAS_LIMIT) || null;
+// Extra gas on top of the estimate, in percent
+const GAS_HEADROOM_PERCENT = parseInt(process.env.MINT_GAS_HEADROOM_PERCENT) || 20;
+// How long a resumed job waits for a transaction sent by an earlier attempt
+const PENDING_TX_TIMEOUT_MS = parseInt(process.env.MINT_PENDING_TX_TIMEOUT_MS) || 2 * 60 * 1000;
+
+// Mint tickets in chunks of batchMint transactions, sent one after another with explicit nonces.
+// Tickets are marked minted as each chunk is confirmed. With a jobId, chunks are recorded in
+// mint_chunks and a later call for the same job resumes after the last confirmed chunk.
+export async function mintInChunks({ jobId = null, eventId = null, ticketData, walletAddress, contractAddress, network }) {
+  const contract = getMinterContract(contractAddress, network);
+  const { confirmations } = getNetwork(network);
+  const provider = contract.provider;
+
+  const previous = jobId ? await loadChunks(jobId) : [];
+
+  for (const chunk of previous) {
+    if (chunk.status === 'sent') {
+      await settleSentChunk(chunk, provider, confirmations);
+    } else if (chunk.status === 'pending') {
+      // Recorded but never marked sent: the process died around sendTransaction.
+      // If it did reach the chain, resending reverts on the duplicate token IDs.
+      await updateChunk(chunk, { status: 'failed', error_message: 'Interrupted before the transaction was recorded' });
+      chunk.status = 'failed';
+    }
+  }
+
+  let { confirmed, remaining, nextChunkIndex: chunkIndex } = planResume(previous, ticketData);
+
+  if (!remaining.length) {
+    return { chunks: confirmed };
+  }
+
+  const latestBlock = await provider.getBlock('latest');
+  const blockBudget = latestBlock.gasLimit.div(2);
+  const gasBudget = CHUNK_GAS_LIMIT && blockBudget.gt(CHUNK_GAS_LIMIT) ? ethers.BigNumber.from(CHUNK_GAS_LIMIT) : blockBudget;
+
+  let nonce = await provider.getTransactionCount(await contract.signer.getAddress(), 'pending');
+  let size = MAX_CHUNK_SIZE;
+  const uploads = new Map();
+
+  while (remaining.length) {
+    const items = remaining.slice(0, size);
+
+    for (const item of items) {
+      if (!uploads.has(item.ticketId)) {
+        uploads.set(item.ticketId, await uploadMetadata(item.metadata));
+      }
+    }
+
+    const tokenIds = items.map(item => item.tokenId);
+    const itemUploads = items.map(item => uploads.get(item.ticketId));
+    const uris = itemUploads.map(upload => upload.uri);
+
+    let gasEstimate;
+    try {
+      gasEstimate = await contract.estimateGas.batchMint(walletAddress, tokenIds, uris);
+    } catch (error) {
+      // Nodes refuse to estimate past the block gas limit, so shrink before giving up
+      if (items.length === 1) throw error;
+      size = Math.ceil(items.length / 2);
+      continue;
+    }
+
+    if (gasEstimate.gt(gasBudget)) {
+      if (items.length === 1) {
+        throw new Error(`Minting one token needs ${gasEstimate} gas, above the chunk budget of ${gasBudget}`);
+      }
+      size = shrinkChunkSize(items.length, gasEstimate, gasBudget);
+      continue;
+    }
+
+    const chunk = await recordChunk({
+      job_id: jobId,
+      event_id: eventId,
+      chunk_index: chunkIndex,
+      ticket_ids: items.map(item => item.ticketId),
+      token_ids: tokenIds,
+      metadata_uploads: itemUploads,
+      nonce,
+      gas_estimate: gasEstimate.toString()
+    });
+
+    let receipt;
+    let sentHash = null;
+    try {
+      const tx = await contract.batchMint(walletAddress, tokenIds, uris, {
+        nonce,
+        gasLimit: gasEstimate.mul(100 + GAS_HEADROOM_PERCENT).div(100)
+      });
+      nonce++;
+      sentHash = tx.hash;
+      await updateChunk(chunk, { status: 'sent', tx_hash: tx.hash, sent_at: new Date().toISOString() });
+
+      receipt = await tx.wait(confirmations);
+    } catch (error) {
+      // A sent transaction that may still be mined stays 'sent' so a resume can settle it;
+      // one that reverted or was never sent is failed and its tickets go into a new chunk
+      const stillPending = sentHash && !error.receipt;
+      await updateChunk(chunk, {
+        ...(stillPending ? {} : { status: 'failed' }),
+        error_message: error.message
+      });
+      throw error;
+    }
+
+    await markTicketsMinted(items, tokenIds, itemUploads);
+    await updateChunk(chunk, {
+      status: 'confirmed',
+      gas_used: receipt.gasUsed.toString(),
+      block_number: receipt.blockNumber,
+      confirmed_at: new Date().toISOString()
+    });
+
+    confirmed.push({ chunk_index: chunkIndex, ticket_count: items.length, tx_hash: receipt.transactionHash });
+    remaining = remaining.slice(items.length);
+    chunkIndex++;
+  }
+
+  return { chunks: confirmed };
+}
+
+// Estimate gas and cost of minting `quantity` tokens without sending anything.
+// `tokenIds` and `uris` describe the first chunk; later chunks are extrapolated from it.
+export async function estimateChunkedMint({ walletAddress, contractAddress, network, tokenIds, uris, quantity }) {
+  const contract = getMinterContract(contractAddress, network);
+  const { nativeCurrency } = getNetwork(network);
+  const chunkSize = Math.min(MAX_CHUNK_SIZE, tokenIds.length);
+
+  const chunkGas = await contract.estimateGas.batchMint(walletAddress, tokenIds.slice(0, chunkSize), uris.slice(0, chunkSize));
+  const totalGas = chunkGas.mul(quantity).div(chunkSize);
+
+  const feeData = await contract.provider.getFeeData();
+  const gasPrice = feeData.maxFeePerGas || feeData.gasPrice;
+  const cost = totalGas.mul(gasPrice);
+
+  return {
+    chunk_size: chunkSize,
+    chunks: Math.ceil(quantity / chunkSize),
+    estimated_gas: totalGas.toString(),
+    gas_price_wei: gasPrice.toString(),
+    estimated_cost: ethers.utils.formatUnits(cost, nativeCurrency.decimals),
+    currency: nativeCurrency.symbol
+  };
+}
+
+// Immediate blockchain minting used when IMMEDIATE_MINT is enabled
+export async function mintToBlockchain(nftMetadata, walletAddress, contractAddress, network) {
+  try {
+    return await mintInChunks({ ticketData: nftMetadata, walletAddress, contractAddress, network });
+  } catch (error) {
+    console.error('Blockchain minting error:', error);
+    // Tickets from chunks that were confirmed are no longer pending and keep their status
+    await markTicketsFailed(nftMetadata);
+    throw error;
+  }
+}
+
+// Work out what happened to a chunk sent by an earlier attempt
+async function settleSentChunk(chunk, provider, confirmations) {
+  const tx = await provider.getTransaction(chunk.tx_hash);
+
+  if (!tx) {
+    await updateChunk(chunk, { status: 'failed', error_message: 'Transaction was dropped from the mempool' });
+    chunk.status = 'failed';
+    return;
+  }
+
+  // Throws on timeout, leaving the chunk 'sent' for the next attempt
+  const receipt = await provider.waitForTransaction(chunk.tx_hash, confirmations, PENDING_TX_TIMEOUT_MS);
+
+  if (receipt.status !== 1) {
+    await updateChunk(chunk, { status: 'failed', error_message: 'Transaction reverted' });
+    chunk.status = 'failed';
+    return;
+  }
+
+  const items = chunk.ticket_ids.map(ticketId => ({ ticketId }));
+  await markTicketsMinted(items, chunk.token_ids, chunk.metadata_uploads || []);
+  await updateChunk(chunk, {
+    status: 'confirmed',
+    gas_used: receipt.gasUsed.toString(),
+    block_number: receipt.blockNumber,
+    confirmed_at: new Date().toISOString()
+  });
+  chunk.status = 'confirmed';
+}
+
+async function loadChunks(jobId) {
+  const { data, error } = await supabase
+    .from('mint_chunks')
+    .select('*')
+    .eq('job_id', String(jobId))
+    .order('chunk_index', { ascending: true });
+
+  if (error) {
+    throw new Error(`Failed to load mint chunks for job ${jobId}: ${error.message}`);
+  }
+
+  return data;
+}
+
+// Chunks of immediate mints (no job) are not tracked
+async function recordChunk(fields) {
+  if (!fields.job_id) return null;
+
+  const { data, error } = await supabase
+    .from('mint_chunks')
+    .insert([{ ...fields, job_id: String(fields.job_id), status: 'pending' }])
+    .select()
+    .single();
+
+  if (error) {
+    throw new Error(`Failed to record mint chunk: ${error.message}`);
+  }
+
+  return data;
+}
+
+async function updateChunk(chunk, fields) {
+  if (!chunk) return;
+
+  const { error } = await supabase
+    .from('mint_chunks')
+    .update(fields)
+    .eq('chunk_id', chunk.chunk_id);
+
+  if (error) {
+    console.error(`Failed to update mint chunk ${chunk.chunk_id}:`, error);
+  }
+}
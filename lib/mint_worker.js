@@ -0,0 +1,221 @@
+import { supabase } from './supabase.js';
+import { markTicketsFailed } from './blockchain.js';
+import { mintInChunks } from './mint_chunks.js';
+import { pickMintWallet } from './wallets.js';
+import { getMetadataStorage } from './metadata_storage/index.js';
+
+const MAX_RETRIES = parseInt(process.env.MINT_MAX_RETRIES) || 5;
+const RETRY_BASE_MS = parseInt(process.env.MINT_RETRY_BASE_MS) || 60 * 1000;
+const RETRY_MAX_MS = parseInt(process.env.MINT_RETRY_MAX_MS) || 60 * 60 * 1000;
+// A job left in 'processing' longer than this is assumed to belong to a crashed worker
+const STALE_LOCK_MS = parseInt(process.env.MINT_STALE_LOCK_MS) || 15 * 60 * 1000;
+// Ticket ids per lookup, keeping the .in() filter well inside URL limits
+const TICKET_LOOKUP_BATCH = 200;
+
+// Exponential backoff: base, 2x base, 4x base ... capped at RETRY_MAX_MS
+export function getRetryDelay(retryCount) {
+  return Math.min(RETRY_BASE_MS * 2 ** Math.max(retryCount - 1, 0), RETRY_MAX_MS);
+}
+
+// Process up to `limit` due jobs from mint_queue, one at a time
+export async function processMintQueue({ limit = 5, workerId = `worker-${process.pid}` } = {}) {
+  const summary = { claimed: 0, completed: 0, retried: 0, failed: 0, jobs: [] };
+
+  // Throws when no usable metadata backend is configured, before any job is claimed
+  getMetadataStorage();
+
+  await releaseStaleJobs();
+
+  const now = new Date().toISOString();
+  const { data: candidates, error: candidatesError } = await supabase
+    .from('mint_queue')
+    .select('id')
+    .eq('status', 'pending')
+    .or(`next_attempt_at.is.null,next_attempt_at.lte.${now}`)
+    .order('created_at', { ascending: true })
+    .limit(limit);
+
+  if (candidatesError) {
+    throw new Error(`Failed to read mint queue: ${candidatesError.message}`);
+  }
+
+  for (const candidate of candidates || []) {
+    const job = await claimJob(candidate.id, workerId);
+
+    // Another worker got there first
+    if (!job) continue;
+
+    summary.claimed++;
+    const result = await runJob(job);
+    summary[result.status]++;
+    summary.jobs.push(result);
+  }
+
+  return summary;
+}
+
+// Claim a job by flipping pending -> processing. The status filter makes the
+// update a compare-and-set, so only one worker can win a given job.
+async function claimJob(jobId, workerId) {
+  const { data: job, error } = await supabase
+    .from('mint_queue')
+    .update({
+      status: 'processing',
+      locked_at: new Date().toISOString(),
+      locked_by: workerId
+    })
+    .eq('id', jobId)
+    .eq('status', 'pending')
+    .select()
+    .maybeSingle();
+
+  if (error) {
+    throw new Error(`Failed to claim mint job ${jobId}: ${error.message}`);
+  }
+
+  return job;
+}
+
+async function releaseStaleJobs() {
+  const staleBefore = new Date(Date.now() - STALE_LOCK_MS).toISOString();
+
+  const { error } = await supabase
+    .from('mint_queue')
+    .update({
+      status: 'pending',
+      locked_at: null,
+      locked_by: null,
+      error_message: 'Released after worker lock expired'
+    })
+    .eq('status', 'processing')
+    .lt('locked_at', staleBefore);
+
+  if (error) {
+    console.error('Failed to release stale mint jobs:', error);
+  }
+}
+
+async function runJob(job) {
+  try {
+    const { data: event, error: eventError } = await supabase
+      .from('events')
+      .select('event_id, blockchain_network, nft_contract_address, admin_wallets(wallet_address, role, is_active)')
+      .eq('event_id', job.event_id)
+      .single();
+
+    if (eventError || !event) {
+      throw new Error(`Event ${job.event_id} not found`);
+    }
+
+    const wallet = pickMintWallet(event.admin_wallets);
+    if (!event.nft_contract_address || !wallet) {
+      throw new Error('Event not configured for NFT minting');
+    }
+
+    // Tickets deleted, purged or minted elsewhere (a per-ticket retry, a reconcile repair)
+    // after they were queued must not be minted again
+    const ticketData = await liveTicketsOnly(job.ticket_data);
+
+    if (!ticketData.length) {
+      await updateJob(job.id, {
+        status: 'completed',
+        processed_at: new Date().toISOString(),
+        error_message: 'No ticket in this job still needs minting',
+        locked_at: null,
+        locked_by: null
+      });
+
+      return { id: job.id, status: 'completed', tx_hash: null };
+    }
+
+    // Resumes after the last confirmed chunk when this job was attempted before
+    const { chunks } = await mintInChunks({
+      jobId: job.id,
+      eventId: job.event_id,
+      ticketData,
+      walletAddress: wallet.wallet_address,
+      contractAddress: event.nft_contract_address,
+      network: event.blockchain_network
+    });
+    const txHash = chunks.length ? chunks[chunks.length - 1].tx_hash : null;
+
+    await updateJob(job.id, {
+      status: 'completed',
+      processed_at: new Date().toISOString(),
+      tx_hash: txHash,
+      error_message: null,
+      locked_at: null,
+      locked_by: null
+    });
+
+    return { id: job.id, status: 'completed', tx_hash: txHash, chunks: chunks.length };
+  } catch (error) {
+    console.error(`Mint job ${job.id} failed:`, error);
+    return handleJobFailure(job, error);
+  }
+}
+
+async function handleJobFailure(job, error) {
+  const retryCount = (job.retry_count || 0) + 1;
+
+  if (retryCount >= MAX_RETRIES) {
+    await markTicketsFailed(job.ticket_data);
+    await updateJob(job.id, {
+      status: 'failed',
+      retry_count: retryCount,
+      error_message: error.message,
+      processed_at: new Date().toISOString(),
+      next_attempt_at: null,
+      locked_at: null,
+      locked_by: null
+    });
+
+    return { id: job.id, status: 'failed', error: error.message };
+  }
+
+  const nextAttemptAt = new Date(Date.now() + getRetryDelay(retryCount)).toISOString();
+  await updateJob(job.id, {
+    status: 'pending',
+    retry_count: retryCount,
+    error_message: error.message,
+    next_attempt_at: nextAttemptAt,
+    locked_at: null,
+    locked_by: null
+  });
+
+  return { id: job.id, status: 'retried', error: error.message, next_attempt_at: nextAttemptAt };
+}
+
+// Keep only tickets that still exist, are not soft-deleted and are not minted yet.
+// Purged rows are gone entirely.
+async function liveTicketsOnly(ticketData) {
+  const liveIds = new Set();
+
+  for (let i = 0; i < ticketData.length; i += TICKET_LOOKUP_BATCH) {
+    const { data: live, error } = await supabase
+      .from('tickets')
+      .select('ticket_id')
+      .in('ticket_id', ticketData.slice(i, i + TICKET_LOOKUP_BATCH).map(item => item.ticketId))
+      .is('deleted_at', null)
+      .in('nft_mint_status', ['pending', 'failed']);
+
+    if (error) {
+      throw new Error(`Failed to check ticket mint status: ${error.message}`);
+    }
+
+    live.forEach(ticket => liveIds.add(ticket.ticket_id));
+  }
+
+  return ticketData.filter(item => liveIds.has(item.ticketId));
+}
+
+async function updateJob(jobId, fields) {
+  const { error } = await supabase
+    .from('mint_queue')
+    .update(fields)
+    .eq('id', jobId);
+
+  if (error) {
+    console.error(`Failed to update mint job ${jobId}:`, error);
+  }
+}
@@ -0,0 +1,111 @@
+import { test, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { fakeSupabase, filter } from './testing/fake_supabase.js';
+import { getRetryDelay, processMintQueue } from './mint_worker.js';
+
+let fake;
+
+afterEach(() => fake?.restore());
+
+const job = {
+  id: 41,
+  event_id: 'event-1',
+  retry_count: 0,
+  ticket_data: [{ ticketId: 't1', tokenId: 1 }, { ticketId: 't2', tokenId: 2 }]
+};
+
+const mintableEvent = {
+  event_id: 'event-1',
+  nft_contract_address: '0xc1',
+  admin_wallets: [{ wallet_address: '0xe1', role: 'primary', is_active: true }]
+};
+
+// One due job; `claimed` is what the compare-and-set claim returns and
+// `mintable` the ticket rows still waiting for a token
+function withQueue({ claimed = job, mintable = [], event = mintableEvent } = {}) {
+  fake = fakeSupabase(({ table, calls }) => {
+    const [method] = calls[0];
+
+    if (table === 'mint_queue' && method === 'select') return { data: [{ id: job.id }], error: null };
+    if (table === 'mint_queue' && filter({ calls }, 'select')) return { data: claimed, error: null };
+    if (table === 'events') return { data: event, error: null };
+    if (table === 'tickets') return { data: mintable, error: null };
+    return { data: null, error: null };
+  });
+}
+
+const jobUpdates = () => fake.queries
+  .filter(query => query.table === 'mint_queue' && query.calls[0][0] === 'update' && filter(query, 'eq', 'id'))
+  .map(query => query.calls[0][1]);
+
+test('retry delays double from the base and are capped', () => {
+  assert.equal(getRetryDelay(0), 60 * 1000);
+  assert.equal(getRetryDelay(1), 60 * 1000);
+  assert.equal(getRetryDelay(2), 2 * 60 * 1000);
+  assert.equal(getRetryDelay(4), 8 * 60 * 1000);
+  assert.equal(getRetryDelay(20), 60 * 60 * 1000);
+});
+
+test('stale locks are released before due jobs are read', async () => {
+  withQueue({ claimed: null });
+
+  await processMintQueue();
+  const [release] = fake.queries;
+
+  assert.equal(release.table, 'mint_queue');
+  assert.deepEqual(filter(release, 'eq'), ['status', 'processing']);
+  assert.ok(filter(release, 'lt', 'locked_at'));
+});
+
+test('a job claimed by another worker is skipped', async () => {
+  withQueue({ claimed: null });
+
+  assert.deepEqual(await processMintQueue(), { claimed: 0, completed: 0, retried: 0, failed: 0, jobs: [] });
+});
+
+test('only tickets still waiting for a token are minted', async () => {
+  withQueue();
+
+  await processMintQueue();
+  const lookup = fake.queries.find(query => query.table === 'tickets');
+
+  assert.deepEqual(filter(lookup, 'in', 'ticket_id'), ['ticket_id', ['t1', 't2']]);
+  assert.deepEqual(filter(lookup, 'is'), ['deleted_at', null]);
+  assert.deepEqual(filter(lookup, 'in', 'nft_mint_status'), ['nft_mint_status', ['pending', 'failed']]);
+});
+
+test('a job whose tickets were all minted elsewhere completes without a transaction', async () => {
+  withQueue({ mintable: [] });
+
+  const summary = await processMintQueue();
+
+  assert.equal(summary.completed, 1);
+  assert.deepEqual(summary.jobs, [{ id: 41, status: 'completed', tx_hash: null }]);
+  assert.equal(jobUpdates().at(-1).error_message, 'No ticket in this job still needs minting');
+});
+
+test('a failing job is put back with a backoff', async () => {
+  // The event has no mint wallet, so the job fails before reaching the chain
+  withQueue({ claimed: { ...job, retry_count: 1 }, event: { ...mintableEvent, admin_wallets: [] } });
+
+  const [result] = (await processMintQueue()).jobs;
+
+  assert.equal(result.status, 'retried');
+  assert.equal(result.error, 'Event not configured for NFT minting');
+  const update = jobUpdates().at(-1);
+  assert.equal(update.status, 'pending');
+  assert.equal(update.retry_count, 2);
+  assert.ok(new Date(update.next_attempt_at) > new Date());
+});
+
+test('a job that runs out of retries fails with its tickets', async () => {
+  withQueue({ claimed: { ...job, retry_count: 4 }, event: { ...mintableEvent, admin_wallets: [] } });
+
+  const [result] = (await processMintQueue()).jobs;
+
+  assert.equal(result.status, 'failed');
+  assert.equal(jobUpdates().at(-1).status, 'failed');
+  const marked = fake.queries.find(query => query.table === 'tickets' && query.calls[0][0] === 'update');
+  assert.deepEqual(marked.calls[0][1], { nft_mint_status: 'failed' });
+  assert.deepEqual(filter(marked, 'in', 'ticket_id'), ['ticket_id', ['t1', 't2']]);
+});
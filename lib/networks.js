@@ -0,0 +1,126 @@
+import { ethers } from 'ethers';
+
+const ETH = { name: 'Ether', symbol: 'ETH', decimals: 18 };
+const POL = { name: 'POL', symbol: 'POL', decimals: 18 };
+
+// Chains events can be deployed on. RPC URLs and minter keys come from the
+// environment: <rpcUrlEnv> and MINTER_PRIVATE_KEY_<KEY> (falling back to MINTER_PRIVATE_KEY).
+export const NETWORKS = {
+  mainnet: {
+    name: 'Ethereum Mainnet',
+    chainId: 1,
+    rpcUrlEnv: 'MAINNET_RPC_URL',
+    explorerUrl: 'https://etherscan.io',
+    nativeCurrency: ETH,
+    confirmations: 2
+  },
+  sepolia: {
+    name: 'Sepolia',
+    chainId: 11155111,
+    rpcUrlEnv: 'SEPOLIA_RPC_URL',
+    // Deployments from before the registry only set ETHEREUM_RPC_URL
+    fallbackRpcUrlEnv: 'ETHEREUM_RPC_URL',
+    explorerUrl: 'https://sepolia.etherscan.io',
+    nativeCurrency: ETH,
+    confirmations: 1
+  },
+  polygon: {
+    name: 'Polygon PoS',
+    chainId: 137,
+    rpcUrlEnv: 'POLYGON_RPC_URL',
+    explorerUrl: 'https://polygonscan.com',
+    nativeCurrency: POL,
+    confirmations: 5
+  },
+  amoy: {
+    name: 'Polygon Amoy',
+    chainId: 80002,
+    rpcUrlEnv: 'AMOY_RPC_URL',
+    explorerUrl: 'https://amoy.polygonscan.com',
+    nativeCurrency: POL,
+    confirmations: 1
+  },
+  // Local development chains, e.g. `anvil --chain-id 31337` and `anvil --chain-id 31338 -p 8546`.
+  // Only available when ENABLE_LOCAL_NETWORKS=true.
+  anvil: {
+    name: 'Local Anvil',
+    chainId: 31337,
+    rpcUrlEnv: 'ANVIL_RPC_URL',
+    explorerUrl: null,
+    nativeCurrency: ETH,
+    confirmations: 1,
+    local: true
+  },
+  'anvil-2': {
+    name: 'Local Anvil (second chain)',
+    chainId: 31338,
+    rpcUrlEnv: 'ANVIL_2_RPC_URL',
+    explorerUrl: null,
+    nativeCurrency: ETH,
+    confirmations: 1,
+    local: true
+  }
+};
+
+export const DEFAULT_NETWORK = process.env.DEFAULT_BLOCKCHAIN_NETWORK || 'sepolia';
+
+// Names of the networks events may use in this deployment
+export function getSupportedNetworks() {
+  const localEnabled = process.env.ENABLE_LOCAL_NETWORKS === 'true';
+  return Object.keys(NETWORKS).filter(key => localEnabled || !NETWORKS[key].local);
+}
+
+export function isSupportedNetwork(key) {
+  return getSupportedNetworks().includes(key);
+}
+
+// Look up a network by key; events without a network use DEFAULT_NETWORK
+export function getNetwork(key = DEFAULT_NETWORK) {
+  const network = isSupportedNetwork(key || DEFAULT_NETWORK) && NETWORKS[key || DEFAULT_NETWORK];
+
+  if (!network) {
+    throw new Error(`Unsupported blockchain network: ${key}`);
+  }
+
+  return { key: key || DEFAULT_NETWORK, ...network };
+}
+
+// Public description of a network, safe to return from the API
+export function describeNetwork(key) {
+  const { name, chainId, explorerUrl, nativeCurrency, confirmations } = getNetwork(key);
+  return { key: key || DEFAULT_NETWORK, name, chain_id: chainId, explorer_url: explorerUrl, native_currency: nativeCurrency, confirmations };
+}
+
+const providers = new Map();
+
+export function getProvider(key) {
+  const network = getNetwork(key);
+
+  if (!providers.has(network.key)) {
+    const rpcUrl = process.env[network.rpcUrlEnv] || (network.fallbackRpcUrlEnv && process.env[network.fallbackRpcUrlEnv]);
+
+    if (!rpcUrl) {
+      throw new Error(`${network.rpcUrlEnv} is not configured for network ${network.key}`);
+    }
+
+    // The chain ID is pinned so a misconfigured RPC URL fails instead of sending to the wrong chain
+    providers.set(network.key, new ethers.providers.StaticJsonRpcProvider(rpcUrl, {
+      name: network.key,
+      chainId: network.chainId
+    }));
+  }
+
+  return providers.get(network.key);
+}
+
+export function getMinterWallet(key) {
+  const network = getNetwork(key);
+  const envKey = `MINTER_PRIVATE_KEY_${network.key.toUpperCase().replace(/-/g, '_')}`;
+  const privateKey = process.env[envKey] || process.env.MINTER_PRIVATE_KEY;
+
+  if (!privateKey) {
+    throw new Error(`${envKey} or MINTER_PRIVATE_KEY must be configured for network ${network.key}`);
+  }
+
+  return new ethers.Wallet(privateKey, getProvider(network.key));
+}
@@ -0,0 +1,65 @@
+import { test, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { DEFAULT_NETWORK, describeNetwork, getMinterWallet, getNetwork, getSupportedNetworks, isSupportedNetwork } from './networks.js';
+
+const env = { ...process.env };
+
+afterEach(() => {
+  process.env = { ...env };
+});
+
+test('local chains are only supported when ENABLE_LOCAL_NETWORKS=true', () => {
+  delete process.env.ENABLE_LOCAL_NETWORKS;
+  assert.deepEqual(getSupportedNetworks(), ['mainnet', 'sepolia', 'polygon', 'amoy']);
+  assert.equal(isSupportedNetwork('anvil'), false);
+  assert.throws(() => getNetwork('anvil'), /Unsupported blockchain network: anvil/);
+
+  process.env.ENABLE_LOCAL_NETWORKS = 'true';
+  assert.equal(isSupportedNetwork('anvil-2'), true);
+  assert.equal(getNetwork('anvil-2').chainId, 31338);
+});
+
+test('getNetwork falls back to DEFAULT_NETWORK for events without a network', () => {
+  assert.equal(getNetwork().key, DEFAULT_NETWORK);
+  assert.equal(getNetwork(null).key, DEFAULT_NETWORK);
+  assert.throws(() => getNetwork('ropsten'), /Unsupported blockchain network/);
+});
+
+test('describeNetwork exposes only public fields', () => {
+  assert.deepEqual(describeNetwork('polygon'), {
+    key: 'polygon',
+    name: 'Polygon PoS',
+    chain_id: 137,
+    explorer_url: 'https://polygonscan.com',
+    native_currency: { name: 'POL', symbol: 'POL', decimals: 18 },
+    confirmations: 5
+  });
+});
+
+test('getMinterWallet prefers the per-network key and pins the chain ID', async () => {
+  process.env.AMOY_RPC_URL = 'http://127.0.0.1:1';
+  process.env.MINTER_PRIVATE_KEY = '0x59c6995e998f97a5a0044966f0945389dc9e86dae88c7a8412f4603b6b78690d';
+  process.env.MINTER_PRIVATE_KEY_AMOY = '0xac0974bec39a17e36ba4a6b4d238ff944bacb478cbed5efcae784d7bf4f2ff80';
+
+  const wallet = getMinterWallet('amoy');
+  assert.equal(wallet.address, '0xf39Fd6e51aad88F6F4ce6aB8827279cffFb92266');
+  assert.equal((await wallet.provider.getNetwork()).chainId, 80002);
+
+  delete process.env.MINTER_PRIVATE_KEY_AMOY;
+  assert.equal(getMinterWallet('amoy').address, '0x70997970C51812dc3A010C7d01b50e0d17dc79C8');
+});
+
+test('getMinterWallet reports which settings are missing', () => {
+  delete process.env.MINTER_PRIVATE_KEY;
+  process.env.ENABLE_LOCAL_NETWORKS = 'true';
+  process.env.ANVIL_2_RPC_URL = 'http://127.0.0.1:1';
+
+  assert.throws(() => getMinterWallet('anvil-2'), /MINTER_PRIVATE_KEY_ANVIL_2 or MINTER_PRIVATE_KEY/);
+});
+
+test('getProvider requires an RPC URL for the network', () => {
+  delete process.env.MAINNET_RPC_URL;
+  process.env.MINTER_PRIVATE_KEY = '0x59c6995e998f97a5a0044966f0945389dc9e86dae88c7a8412f4603b6b78690d';
+
+  assert.throws(() => getMinterWallet('mainnet'), /MAINNET_RPC_URL is not configured for network mainnet/);
+});
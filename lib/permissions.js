@@ -0,0 +1,77 @@
+import { supabase } from './supabase.js';
+
+// Values allowed in event_admins.permission_level
+export const PERMISSION_LEVELS = ['owner', 'editor', 'viewer', 'scanner'];
+
+// Which permission levels may perform each action on an event
+export const ACTION_PERMISSIONS = {
+  view: ['owner', 'editor', 'viewer', 'scanner'],
+  edit_event: ['owner', 'editor'],
+  archive_event: ['owner'],
+  mint: ['owner', 'editor'],
+  delete_tickets: ['owner', 'editor'],
+  revoke: ['owner', 'editor'],
+  assign_tickets: ['owner', 'editor'],
+  checkin: ['owner', 'editor', 'scanner'],
+  manage_wallets: ['owner'],
+  manage_admins: ['owner']
+};
+
+// Check whether the authenticated user may perform `action` on an event.
+// Super admins may act on every event. Resolves to
+// { allowed: true, eventAdmin } or { allowed: false, status, message, missing_permission, required_levels }.
+export async function checkEventPermission(authId, eventId, action) {
+  const requiredLevels = ACTION_PERMISSIONS[action];
+
+  if (!requiredLevels) {
+    throw new Error(`Unknown event action: ${action}`);
+  }
+
+  const { data: eventAdmin, error: eventAdminError } = await supabase
+    .from('event_admins')
+    .select('id, user_id, event_id, permission_level')
+    .eq('auth_id', authId)
+    .eq('event_id', eventId)
+    .maybeSingle();
+
+  if (eventAdminError) {
+    throw eventAdminError;
+  }
+
+  if (eventAdmin && requiredLevels.includes(eventAdmin.permission_level)) {
+    return { allowed: true, eventAdmin };
+  }
+
+  const { data: userData } = await supabase
+    .from('users')
+    .select('user_id, role')
+    .eq('auth_id', authId)
+    .maybeSingle();
+
+  if (userData?.role === 'super_admin') {
+    return {
+      allowed: true,
+      eventAdmin: eventAdmin || { id: null, user_id: userData.user_id, event_id: eventId, permission_level: 'super_admin' }
+    };
+  }
+
+  return {
+    allowed: false,
+    status: 403,
+    message: eventAdmin
+      ? `Missing permission '${action}'. Your permission level '${eventAdmin.permission_level}' does not allow it (requires ${requiredLevels.join(' or ')})`
+      : `Missing permission '${action}'. User is not connected to this event`,
+    missing_permission: action,
+    required_levels: requiredLevels
+  };
+}
+
+// Send the standard 403 body for a failed checkEventPermission
+export function permissionDenied(res, access) {
+  return res.status(access.status).json({
+    status: 'error',
+    message: access.message,
+    missing_permission: access.missing_permission,
+    required_levels: access.required_levels
+  });
+}
@@ -0,0 +1,94 @@
+import { test, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { fakeSupabase } from './testing/fake_supabase.js';
+import { ACTION_PERMISSIONS, PERMISSION_LEVELS, checkEventPermission, permissionDenied } from './permissions.js';
+
+let fake;
+
+afterEach(() => fake?.restore());
+
+// event_admins row and users.role the fake database holds for the caller
+function withAccess({ eventAdmin = null, role = 'user' } = {}) {
+  fake = fakeSupabase(({ table }) => ({
+    data: table === 'event_admins' ? eventAdmin : { user_id: 'user-1', role },
+    error: null
+  }));
+}
+
+test('every action only allows known permission levels', () => {
+  for (const [action, levels] of Object.entries(ACTION_PERMISSIONS)) {
+    assert.ok(levels.length, action);
+    assert.ok(levels.every(level => PERMISSION_LEVELS.includes(level)), action);
+  }
+});
+
+test('owner-only actions exclude every other level', () => {
+  for (const action of ['archive_event', 'manage_wallets', 'manage_admins']) {
+    assert.deepEqual(ACTION_PERMISSIONS[action], ['owner'], action);
+  }
+  assert.deepEqual(ACTION_PERMISSIONS.checkin, ['owner', 'editor', 'scanner']);
+});
+
+test('an admin whose level allows the action is let through', async () => {
+  const eventAdmin = { id: 1, user_id: 'user-1', event_id: 'event-1', permission_level: 'scanner' };
+  withAccess({ eventAdmin });
+
+  assert.deepEqual(await checkEventPermission('auth-1', 'event-1', 'checkin'), { allowed: true, eventAdmin });
+  // The users table is only read when the level falls short
+  assert.deepEqual(fake.queries.map(query => query.table), ['event_admins']);
+});
+
+test('an admin whose level does not allow the action gets a 403 naming both', async () => {
+  withAccess({ eventAdmin: { id: 1, user_id: 'user-1', event_id: 'event-1', permission_level: 'viewer' } });
+
+  assert.deepEqual(await checkEventPermission('auth-1', 'event-1', 'revoke'), {
+    allowed: false,
+    status: 403,
+    message: "Missing permission 'revoke'. Your permission level 'viewer' does not allow it (requires owner or editor)",
+    missing_permission: 'revoke',
+    required_levels: ['owner', 'editor']
+  });
+});
+
+test('a user not connected to the event is refused', async () => {
+  withAccess();
+
+  const access = await checkEventPermission('auth-1', 'event-1', 'view');
+  assert.equal(access.allowed, false);
+  assert.equal(access.message, "Missing permission 'view'. User is not connected to this event");
+});
+
+test('super admins may act on any event, even without an event_admins row', async () => {
+  withAccess({ role: 'super_admin' });
+
+  assert.deepEqual(await checkEventPermission('auth-1', 'event-1', 'manage_admins'), {
+    allowed: true,
+    eventAdmin: { id: null, user_id: 'user-1', event_id: 'event-1', permission_level: 'super_admin' }
+  });
+});
+
+test('an unknown action is a programming error', async () => {
+  withAccess();
+  await assert.rejects(checkEventPermission('auth-1', 'event-1', 'delete_event'), /Unknown event action: delete_event/);
+});
+
+test('permissionDenied sends the standard error body', () => {
+  const sent = {};
+  const res = {
+    status(code) { sent.status = code; return this; },
+    json(body) { sent.body = body; return this; }
+  };
+
+  permissionDenied(res, {
+    allowed: false,
+    status: 403,
+    message: 'denied',
+    missing_permission: 'mint',
+    required_levels: ['owner', 'editor']
+  });
+
+  assert.deepEqual(sent, {
+    status: 403,
+    body: { status: 'error', message: 'denied', missing_permission: 'mint', required_levels: ['owner', 'editor'] }
+  });
+});
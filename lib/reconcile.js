@@ -0,0 +1,348 @@
+import { supabase } from './supabase.js';
+import { getReadContract } from './blockchain.js';
+import { DEFAULT_NETWORK } from './networks.js';
+import { eventTicketsQuery, iterateEventTickets } from './tickets.js';
+import { queueRevocations } from './revocation_worker.js';
+
+// Parallel view calls per batch; keeps public RPC endpoints from rate limiting us
+const READ_CONCURRENCY = parseInt(process.env.RECONCILE_CONCURRENCY) || 10;
+// Tickets checked per page; events are streamed so none is cut off at PostgREST's row cap
+const PAGE_SIZE = 200;
+const TICKET_COLUMNS = 'ticket_id, ticket_number, ticket_status, user_id, nft_mint_status, nft_token_id, nft_contract_address, metadata_uri, revocation_chain_status';
+
+export const DRIFT_KINDS = {
+  MINTED_ON_CHAIN_PENDING_IN_DB: 'Token exists on-chain but the ticket is not recorded as minted',
+  MISSING_ON_CHAIN: 'Ticket is recorded as minted but the token does not exist on-chain',
+  OWNER_MISMATCH: 'On-chain owner does not match the recorded mint status or assigned attendee',
+  TOKEN_URI_MISMATCH: 'On-chain tokenURI differs from the recorded metadata_uri',
+  REVOKED_MISMATCH: 'On-chain revoked state differs from the ticket status'
+};
+
+const MINTED_STATUSES = ['minted', 'transferred'];
+
+// Compare the live tickets of an event with the NFT contract: all of them, the listed
+// ticketIds, or one page from `offset` when `limit` is given. With `repair`, database
+// fields are corrected from the chain, except revocation where the database is
+// authoritative (check-in reads it) and an on-chain update is queued instead.
+export async function reconcileEvent(eventId, { repair = false, ticketIds = null, offset = 0, limit = null } = {}) {
+  const { data: event, error: eventError } = await supabase
+    .from('events')
+    .select('event_id, blockchain_network, nft_contract_address, admin_wallets(wallet_address)')
+    .eq('event_id', eventId)
+    .single();
+
+  if (eventError || !event) {
+    throw new Error(`Event ${eventId} not found`);
+  }
+
+  const network = event.blockchain_network || DEFAULT_NETWORK;
+  // Tokens stay in whichever event wallet they were minted to, including deactivated ones
+  const eventWallets = new Set((event.admin_wallets || []).map(wallet => wallet.wallet_address.toLowerCase()));
+
+  const report = {
+    event_id: eventId,
+    network,
+    repair,
+    checked: 0,
+    in_sync: 0,
+    skipped: 0,
+    drift: [],
+    errors: []
+  };
+
+  if (limit && !ticketIds) {
+    const { data: page, error } = await eventTicketsQuery(eventId, TICKET_COLUMNS).range(offset, offset + limit - 1);
+
+    if (error) {
+      throw error;
+    }
+
+    await checkPage(page, { event, network, eventWallets, repair, report });
+    report.next_offset = page.length === limit ? offset + limit : null;
+  } else {
+    for await (const page of ticketPages(eventId, ticketIds)) {
+      await checkPage(page, { event, network, eventWallets, repair, report });
+    }
+  }
+
+  report.summary = Object.fromEntries(
+    Object.keys(DRIFT_KINDS).map(kind => [kind, report.drift.filter(entry => entry.kind === kind).length])
+  );
+
+  return report;
+}
+
+async function checkPage(page, { event, network, eventWallets, repair, report }) {
+  const attendeeWallets = await getAttendeeWallets(page);
+
+  for (let i = 0; i < page.length; i += READ_CONCURRENCY) {
+    const batch = page.slice(i, i + READ_CONCURRENCY);
+
+    const results = await Promise.all(batch.map(async ticket => {
+      const contractAddress = ticket.nft_contract_address || event.nft_contract_address;
+      if (!contractAddress) return { ticket, skipped: true };
+
+      try {
+        return { ticket, contractAddress, chain: await readToken(contractAddress, network, tokenIdFor(ticket)) };
+      } catch (error) {
+        return { ticket, error };
+      }
+    }));
+
+    for (const { ticket, contractAddress, chain, skipped, error } of results) {
+      if (skipped) {
+        report.skipped++;
+        continue;
+      }
+
+      report.checked++;
+
+      if (error) {
+        report.errors.push({ ticket_id: ticket.ticket_id, error: error.message });
+        continue;
+      }
+
+      const attendeeWallet = attendeeWallets.get(ticket.user_id) || null;
+      const drift = findDrift(ticket, chain, eventWallets, attendeeWallet);
+      if (!drift.length) {
+        report.in_sync++;
+        continue;
+      }
+
+      for (const kind of drift) {
+        const entry = {
+          ticket_id: ticket.ticket_id,
+          ticket_number: ticket.ticket_number,
+          token_id: tokenIdFor(ticket),
+          kind,
+          description: DRIFT_KINDS[kind],
+          db: {
+            ticket_status: ticket.ticket_status,
+            nft_mint_status: ticket.nft_mint_status,
+            nft_token_id: ticket.nft_token_id,
+            metadata_uri: ticket.metadata_uri,
+            user_id: ticket.user_id,
+            attendee_wallet: attendeeWallet
+          },
+          chain
+        };
+
+        if (repair) {
+          Object.assign(entry, await repairDrift(kind, ticket, chain, { eventId: event.event_id, contractAddress, network, eventWallets }));
+        }
+
+        report.drift.push(entry);
+      }
+    }
+  }
+}
+
+// Wallets of the users the page's tickets are assigned to, keyed by user_id (lowercase)
+async function getAttendeeWallets(tickets) {
+  const userIds = [...new Set(tickets.map(ticket => ticket.user_id).filter(Boolean))];
+  if (!userIds.length) return new Map();
+
+  const { data: users, error } = await supabase
+    .from('users')
+    .select('user_id, wallet_address')
+    .in('user_id', userIds)
+    .not('wallet_address', 'is', null);
+
+  if (error) {
+    throw error;
+  }
+
+  return new Map(users.map(user => [user.user_id, user.wallet_address.toLowerCase()]));
+}
+
+// Live tickets of the event in pages of PAGE_SIZE, optionally limited to ticketIds
+async function* ticketPages(eventId, ticketIds) {
+  if (ticketIds) {
+    for (let i = 0; i < ticketIds.length; i += PAGE_SIZE) {
+      const { data, error } = await supabase
+        .from('tickets')
+        .select(TICKET_COLUMNS)
+        .eq('event_id', eventId)
+        .in('ticket_id', ticketIds.slice(i, i + PAGE_SIZE))
+        .is('deleted_at', null)
+        .order('ticket_number', { ascending: true });
+
+      if (error) {
+        throw error;
+      }
+
+      yield data;
+    }
+    return;
+  }
+
+  let page = [];
+  for await (const ticket of iterateEventTickets(eventId, { columns: TICKET_COLUMNS })) {
+    page.push(ticket);
+    if (page.length === PAGE_SIZE) {
+      yield page;
+      page = [];
+    }
+  }
+
+  if (page.length) yield page;
+}
+
+// Tokens are minted with the ticket number as token ID (api/event/mint.js)
+function tokenIdFor(ticket) {
+  return ticket.nft_token_id ?? ticket.ticket_number;
+}
+
+async function readToken(contractAddress, network, tokenId) {
+  const contract = getReadContract(contractAddress, network);
+
+  let owner;
+  try {
+    owner = await contract.ownerOf(tokenId);
+  } catch (error) {
+    // ownerOf reverts for tokens that were never minted (or were burned)
+    if (error.code === 'CALL_EXCEPTION') {
+      return { exists: false, owner: null, token_uri: null, revoked: null };
+    }
+    throw error;
+  }
+
+  const [tokenUri, revoked] = await Promise.all([
+    contract.tokenURI(tokenId).catch(() => null),
+    // Older contracts have no isRevoked view; their revoked state is unknown
+    contract.isRevoked(tokenId).catch(() => null)
+  ]);
+
+  return { exists: true, owner, token_uri: tokenUri, revoked };
+}
+
+export function findDrift(ticket, chain, eventWallets, attendeeWallet) {
+  const recordedMinted = MINTED_STATUSES.includes(ticket.nft_mint_status);
+
+  if (!chain.exists) {
+    return recordedMinted ? ['MISSING_ON_CHAIN'] : [];
+  }
+
+  if (!recordedMinted) {
+    return ['MINTED_ON_CHAIN_PENDING_IN_DB'];
+  }
+
+  const drift = [];
+  if (!ownerMatches(ticket, chain.owner.toLowerCase(), eventWallets, attendeeWallet)) {
+    drift.push('OWNER_MISMATCH');
+  }
+
+  if (ticket.metadata_uri && chain.token_uri !== null && chain.token_uri !== ticket.metadata_uri) {
+    drift.push('TOKEN_URI_MISMATCH');
+  }
+
+  if (chain.revoked !== null && chain.revoked !== (ticket.ticket_status === 'revoked')) {
+    drift.push('REVOKED_MISMATCH');
+  }
+
+  return drift;
+}
+
+// A token held by the attendee the ticket is assigned to is always in sync. Otherwise a
+// 'minted' ticket must sit in an event wallet, and a 'transferred' one outside them;
+// when the attendee's wallet is known, a 'transferred' token must be in that wallet.
+export function ownerMatches(ticket, owner, eventWallets, attendeeWallet) {
+  if (attendeeWallet && owner === attendeeWallet) return true;
+  if (eventWallets.has(owner)) return ticket.nft_mint_status === 'minted';
+  return ticket.nft_mint_status === 'transferred' && !attendeeWallet;
+}
+
+// Returns { repaired, repair_action, repair_error? } for the report entry
+async function repairDrift(kind, ticket, chain, { eventId, contractAddress, network, eventWallets }) {
+  const mintStatusFromOwner = eventWallets.has(chain.owner?.toLowerCase()) ? 'minted' : 'transferred';
+
+  try {
+    switch (kind) {
+      case 'MINTED_ON_CHAIN_PENDING_IN_DB': {
+        const cid = chain.token_uri?.startsWith('ipfs://') ? chain.token_uri.slice('ipfs://'.length) : null;
+        await updateTicket(ticket.ticket_id, {
+          nft_mint_status: mintStatusFromOwner,
+          nft_token_id: tokenIdFor(ticket),
+          nft_contract_address: contractAddress,
+          ...(chain.token_uri ? { metadata_uri: chain.token_uri, metadata_cid: cid } : {})
+        });
+        return { repaired: true, repair_action: `set nft_mint_status to ${mintStatusFromOwner}` };
+      }
+
+      case 'MISSING_ON_CHAIN':
+        // The token may simply not be visible yet; marking the ticket failed would let
+        // retry_mint queue a second mint of it
+        if (await mintInFlight(eventId, ticket.ticket_id)) {
+          return { repaired: false, repair_action: null, repair_skipped: 'A mint of this ticket is still in progress' };
+        }
+        // Failed tickets can be re-minted through /api/event/retry_mint
+        await updateTicket(ticket.ticket_id, { nft_mint_status: 'failed' });
+        return { repaired: true, repair_action: 'set nft_mint_status to failed' };
+
+      case 'OWNER_MISMATCH':
+        // The token left the assigned attendee; which assignment is right needs a human
+        if (mintStatusFromOwner === ticket.nft_mint_status) {
+          return { repaired: false, repair_action: null };
+        }
+        await updateTicket(ticket.ticket_id, { nft_mint_status: mintStatusFromOwner });
+        return { repaired: true, repair_action: `set nft_mint_status to ${mintStatusFromOwner}` };
+
+      case 'REVOKED_MISMATCH': {
+        // Sent by lib/revocation_worker.js like any revoke or unrevoke, which supersedes
+        // the job if the ticket status changes again before it runs
+        const revoked = ticket.ticket_status === 'revoked';
+        if (ticket.revocation_chain_status === 'pending') {
+          return { repaired: false, repair_action: null, repair_skipped: 'An on-chain revocation update is already queued' };
+        }
+        await queueRevocations(
+          [{ ticket_id: ticket.ticket_id, nft_token_id: tokenIdFor(ticket), nft_contract_address: contractAddress }],
+          { eventId, network, revoked }
+        );
+        await updateTicket(ticket.ticket_id, { revocation_chain_status: 'pending' });
+        return { repaired: true, repair_action: `queued on-chain ${revoked ? 'revocation' : 'unrevocation'}` };
+      }
+
+      default:
+        // TOKEN_URI_MISMATCH needs a human to decide which document is right
+        return { repaired: false, repair_action: null };
+    }
+  } catch (error) {
+    return { repaired: false, repair_error: error.message };
+  }
+}
+
+// Whether a queued mint job or a sent chunk transaction still covers the ticket
+async function mintInFlight(eventId, ticketId) {
+  const [jobs, chunks] = await Promise.all([
+    supabase
+      .from('mint_queue')
+      .select('id', { count: 'exact', head: true })
+      .eq('event_id', eventId)
+      .in('status', ['pending', 'processing'])
+      .contains('ticket_data', [{ ticketId }]),
+    supabase
+      .from('mint_chunks')
+      .select('chunk_id', { count: 'exact', head: true })
+      .eq('event_id', eventId)
+      .in('status', ['pending', 'sent'])
+      .contains('ticket_ids', [ticketId])
+  ]);
+
+  const error = jobs.error || chunks.error;
+  if (error) {
+    throw new Error(`Failed to check mint progress of ticket ${ticketId}: ${error.message}`);
+  }
+
+  return jobs.count > 0 || chunks.count > 0;
+}
+
+async function updateTicket(ticketId, fields) {
+  const { error } = await supabase
+    .from('tickets')
+    .update(fields)
+    .eq('ticket_id', ticketId);
+
+  if (error) {
+    throw new Error(`Failed to update ticket ${ticketId}: ${error.message}`);
+  }
+}
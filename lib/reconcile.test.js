@@ -0,0 +1,171 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { ethers } from 'ethers';
+import { fakeSupabase, filter } from './testing/fake_supabase.js';
+import { getProvider } from './networks.js';
+import { DRIFT_KINDS, findDrift, ownerMatches, reconcileEvent } from './reconcile.js';
+
+const EVENT_WALLET = '0x00000000000000000000000000000000000000e1';
+const ATTENDEE_WALLET = '0x00000000000000000000000000000000000000a1';
+const STRANGER = '0x00000000000000000000000000000000000000f1';
+const eventWallets = new Set([EVENT_WALLET]);
+
+const ticket = (fields = {}) => ({
+  ticket_status: 'valid',
+  nft_mint_status: 'minted',
+  metadata_uri: 'ipfs://bafy-ticket',
+  ...fields
+});
+
+const onChain = (fields = {}) => ({
+  exists: true,
+  owner: EVENT_WALLET,
+  token_uri: 'ipfs://bafy-ticket',
+  revoked: false,
+  ...fields
+});
+
+test('a minted ticket in the event wallet is in sync', () => {
+  assert.deepEqual(findDrift(ticket(), onChain(), eventWallets, null), []);
+});
+
+test('unminted tickets with no token are in sync; minted ones without a token are missing', () => {
+  const missing = { exists: false, owner: null, token_uri: null, revoked: null };
+
+  assert.deepEqual(findDrift(ticket({ nft_mint_status: 'pending' }), missing, eventWallets, null), []);
+  assert.deepEqual(findDrift(ticket({ nft_mint_status: 'failed' }), missing, eventWallets, null), []);
+  assert.deepEqual(findDrift(ticket(), missing, eventWallets, null), ['MISSING_ON_CHAIN']);
+  assert.deepEqual(findDrift(ticket({ nft_mint_status: 'transferred' }), missing, eventWallets, null), ['MISSING_ON_CHAIN']);
+});
+
+test('a token that exists for a ticket still pending in the database is reported alone', () => {
+  assert.deepEqual(
+    findDrift(ticket({ nft_mint_status: 'pending' }), onChain({ owner: STRANGER, revoked: true }), eventWallets, null),
+    ['MINTED_ON_CHAIN_PENDING_IN_DB']
+  );
+});
+
+test('owner checks compare addresses case-insensitively', () => {
+  assert.deepEqual(findDrift(ticket(), onChain({ owner: EVENT_WALLET.toUpperCase().replace('0X', '0x') }), eventWallets, null), []);
+});
+
+test('tokenURI and revoked state are compared only when the chain reports them', () => {
+  assert.deepEqual(
+    findDrift(ticket({ ticket_status: 'revoked' }), onChain({ token_uri: 'ipfs://other', revoked: false }), eventWallets, null),
+    ['TOKEN_URI_MISMATCH', 'REVOKED_MISMATCH']
+  );
+  // Older contracts have no isRevoked view and the metadata_uri may be unknown
+  assert.deepEqual(
+    findDrift(ticket({ ticket_status: 'revoked', metadata_uri: null }), onChain({ token_uri: 'ipfs://other', revoked: null }), eventWallets, null),
+    []
+  );
+});
+
+test('every reported kind is documented', () => {
+  const drift = findDrift(ticket({ ticket_status: 'revoked', nft_mint_status: 'transferred' }), onChain({ token_uri: 'x' }), eventWallets, null);
+
+  assert.deepEqual(drift, ['OWNER_MISMATCH', 'TOKEN_URI_MISMATCH', 'REVOKED_MISMATCH']);
+  assert.ok(drift.every(kind => DRIFT_KINDS[kind]));
+});
+
+test('a token in the assigned attendee\'s wallet matches whatever the mint status says', () => {
+  assert.equal(ownerMatches(ticket({ nft_mint_status: 'transferred' }), ATTENDEE_WALLET, eventWallets, ATTENDEE_WALLET), true);
+  assert.equal(ownerMatches(ticket({ nft_mint_status: 'minted' }), ATTENDEE_WALLET, eventWallets, ATTENDEE_WALLET), true);
+});
+
+test('a token in an event wallet must be recorded as minted', () => {
+  assert.equal(ownerMatches(ticket({ nft_mint_status: 'minted' }), EVENT_WALLET, eventWallets, ATTENDEE_WALLET), true);
+  assert.equal(ownerMatches(ticket({ nft_mint_status: 'transferred' }), EVENT_WALLET, eventWallets, null), false);
+});
+
+test('a token outside the event wallets must be transferred, and not away from a known attendee', () => {
+  assert.equal(ownerMatches(ticket({ nft_mint_status: 'transferred' }), STRANGER, eventWallets, null), true);
+  assert.equal(ownerMatches(ticket({ nft_mint_status: 'minted' }), STRANGER, eventWallets, null), false);
+  assert.equal(ownerMatches(ticket({ nft_mint_status: 'transferred' }), STRANGER, eventWallets, ATTENDEE_WALLET), false);
+});
+
+const CONTRACT = '0x00000000000000000000000000000000000000c1';
+const views = new ethers.utils.Interface([
+  'function ownerOf(uint256) view returns (address)',
+  'function tokenURI(uint256) view returns (string)',
+  'function isRevoked(uint256) view returns (bool)'
+]);
+
+// Repair one drifted ticket against a contract answering `token` (null: never minted),
+// with `mintsInFlight` queued jobs and sent chunks covering it
+async function repair(dbTicket, token, { mintsInFlight = 0 } = {}) {
+  process.env.ENABLE_LOCAL_NETWORKS = 'true';
+  process.env.ANVIL_RPC_URL = 'http://127.0.0.1:1';
+
+  const provider = getProvider('anvil');
+  const call = provider.call;
+  provider.call = async ({ data }) => {
+    if (!token) return '0x';
+    const { name } = views.parseTransaction({ data });
+    return views.encodeFunctionResult(name, [token[name]]);
+  };
+
+  const fake = fakeSupabase(({ table }) => ({
+    data: {
+      events: { event_id: 'event-1', blockchain_network: 'anvil', nft_contract_address: CONTRACT, admin_wallets: [{ wallet_address: EVENT_WALLET }] },
+      tickets: [{ ticket_id: 't1', ticket_number: 1, nft_token_id: 1, user_id: null, ...dbTicket }]
+    }[table] ?? null,
+    count: mintsInFlight,
+    error: null
+  }));
+
+  try {
+    const report = await reconcileEvent('event-1', { repair: true, ticketIds: ['t1'] });
+    return { entry: report.drift[0], queries: fake.queries };
+  } finally {
+    fake.restore();
+    provider.call = call;
+    delete process.env.ENABLE_LOCAL_NETWORKS;
+    delete process.env.ANVIL_RPC_URL;
+  }
+}
+
+const of = (queries, table, method) => queries.filter(query => query.table === table && query.calls[0][0] === method);
+
+test('a missing token is marked failed when no mint of it is in progress', async () => {
+  const { entry, queries } = await repair(ticket(), null);
+
+  assert.equal(entry.kind, 'MISSING_ON_CHAIN');
+  assert.equal(entry.repaired, true);
+  assert.deepEqual(of(queries, 'mint_chunks', 'select')[0].calls.find(([method]) => method === 'contains'), ['contains', 'ticket_ids', ['t1']]);
+  assert.deepEqual(of(queries, 'tickets', 'update')[0].calls[0][1], { nft_mint_status: 'failed' });
+});
+
+test('a missing token whose mint job or chunk is still in flight is left alone', async () => {
+  const { entry, queries } = await repair(ticket(), null, { mintsInFlight: 1 });
+
+  assert.equal(entry.repaired, false);
+  assert.ok(entry.repair_skipped);
+  assert.equal(of(queries, 'tickets', 'update').length, 0);
+});
+
+test('a revoked state mismatch is queued for the revocation worker', async () => {
+  const token = { ownerOf: EVENT_WALLET, tokenURI: 'ipfs://bafy-ticket', isRevoked: false };
+  const { entry, queries } = await repair(ticket({ ticket_status: 'revoked' }), token);
+
+  assert.equal(entry.kind, 'REVOKED_MISMATCH');
+  assert.equal(entry.repaired, true);
+
+  const [job] = of(queries, 'revocation_queue', 'insert')[0].calls[0][1];
+  assert.deepEqual(
+    { ticket_id: job.ticket_id, network: job.network, contract_address: job.contract_address, token_id: job.token_id, revoked: job.revoked },
+    { ticket_id: 't1', network: 'anvil', contract_address: CONTRACT, token_id: 1, revoked: true }
+  );
+
+  const [update] = of(queries, 'tickets', 'update');
+  assert.deepEqual(update.calls[0][1], { revocation_chain_status: 'pending' });
+  assert.deepEqual(filter(update, 'eq'), ['ticket_id', 't1']);
+});
+
+test('a revoked state mismatch already queued is not queued twice', async () => {
+  const token = { ownerOf: EVENT_WALLET, tokenURI: 'ipfs://bafy-ticket', isRevoked: false };
+  const { entry, queries } = await repair(ticket({ ticket_status: 'revoked', revocation_chain_status: 'pending' }), token);
+
+  assert.equal(entry.repaired, false);
+  assert.equal(of(queries, 'revocation_queue', 'insert').length, 0);
+});
@@ -0,0 +1,207 @@
+import { supabase } from './supabase.js';
+import { getReadContract, setTokensRevoked } from './blockchain.js';
+import { getRetryDelay } from './mint_worker.js';
+import { DEFAULT_NETWORK } from './networks.js';
+
+const MAX_RETRIES = parseInt(process.env.REVOCATION_MAX_RETRIES) || 5;
+// A job left in 'processing' longer than this is assumed to belong to a crashed worker
+const STALE_LOCK_MS = parseInt(process.env.REVOCATION_STALE_LOCK_MS) || 15 * 60 * 1000;
+
+// Queue revoke/unrevoke calls for tickets whose database status was already changed.
+// `tickets` need ticket_id, nft_token_id and nft_contract_address.
+export async function queueRevocations(tickets, { eventId, network, revoked }) {
+  if (!tickets.length) return;
+
+  const { error } = await supabase
+    .from('revocation_queue')
+    .insert(tickets.map(ticket => ({
+      event_id: eventId,
+      ticket_id: ticket.ticket_id,
+      // Events with no network use the default; pin it so the job does not depend on config later
+      network: network || DEFAULT_NETWORK,
+      contract_address: ticket.nft_contract_address,
+      token_id: ticket.nft_token_id,
+      revoked,
+      status: 'pending'
+    })));
+
+  if (error) {
+    throw new Error(`Revocation queue error: ${error.message}`);
+  }
+}
+
+// Send up to `limit` due revocation jobs, one transaction at a time
+export async function processRevocationQueue({ limit = 10, workerId = `worker-${process.pid}` } = {}) {
+  const summary = { claimed: 0, completed: 0, superseded: 0, retried: 0, failed: 0, jobs: [] };
+
+  await releaseStaleJobs();
+
+  const now = new Date().toISOString();
+  const { data: candidates, error: candidatesError } = await supabase
+    .from('revocation_queue')
+    .select('id')
+    .eq('status', 'pending')
+    .or(`next_attempt_at.is.null,next_attempt_at.lte.${now}`)
+    .order('created_at', { ascending: true })
+    .limit(limit);
+
+  if (candidatesError) {
+    throw new Error(`Failed to read revocation queue: ${candidatesError.message}`);
+  }
+
+  for (const candidate of candidates) {
+    const job = await claimJob(candidate.id, workerId);
+
+    // Another worker got there first
+    if (!job) continue;
+
+    summary.claimed++;
+    const result = await runJob(job);
+    summary[result.status]++;
+    summary.jobs.push(result);
+  }
+
+  return summary;
+}
+
+// Compare-and-set on status, as in lib/mint_worker.js
+async function claimJob(jobId, workerId) {
+  const { data: job, error } = await supabase
+    .from('revocation_queue')
+    .update({
+      status: 'processing',
+      locked_at: new Date().toISOString(),
+      locked_by: workerId
+    })
+    .eq('id', jobId)
+    .eq('status', 'pending')
+    .select()
+    .maybeSingle();
+
+  if (error) {
+    throw new Error(`Failed to claim revocation job ${jobId}: ${error.message}`);
+  }
+
+  return job;
+}
+
+async function releaseStaleJobs() {
+  const staleBefore = new Date(Date.now() - STALE_LOCK_MS).toISOString();
+
+  const { error } = await supabase
+    .from('revocation_queue')
+    .update({
+      status: 'pending',
+      locked_at: null,
+      locked_by: null,
+      error_message: 'Released after worker lock expired'
+    })
+    .eq('status', 'processing')
+    .lt('locked_at', staleBefore);
+
+  if (error) {
+    console.error('Failed to release stale revocation jobs:', error);
+  }
+}
+
+async function runJob(job) {
+  const ticketStatus = job.revoked ? 'revoked' : 'valid';
+
+  try {
+    const { data: ticket, error: ticketError } = await supabase
+      .from('tickets')
+      .select('ticket_id, ticket_status')
+      .eq('ticket_id', job.ticket_id)
+      .maybeSingle();
+
+    if (ticketError) {
+      throw ticketError;
+    }
+
+    // The ticket was revoked or unrevoked again since; a later job carries the current state
+    if (!ticket || ticket.ticket_status !== ticketStatus) {
+      await finishJob(job, { status: 'superseded' });
+      return { id: job.id, status: 'superseded' };
+    }
+
+    // A previous attempt may have landed before the worker died, so check before sending.
+    // Older contracts have no isRevoked view; then the call is simply sent.
+    const contract = getReadContract(job.contract_address, job.network);
+    const onChain = await contract.isRevoked(job.token_id).catch(() => null);
+
+    let txHash = null;
+    if (onChain !== job.revoked) {
+      const [result] = await setTokensRevoked(job.contract_address, [job.token_id], job.revoked, job.network);
+
+      if (result.error) {
+        throw new Error(result.error);
+      }
+
+      txHash = result.txHash;
+    }
+
+    await supabase
+      .from('tickets')
+      .update({
+        revocation_chain_status: 'confirmed',
+        ...(txHash ? { [job.revoked ? 'revocation_tx_hash' : 'unrevocation_tx_hash']: txHash } : {})
+      })
+      .eq('ticket_id', job.ticket_id)
+      .eq('ticket_status', ticketStatus);
+
+    await finishJob(job, { status: 'completed', tx_hash: txHash });
+    return { id: job.id, status: 'completed', tx_hash: txHash };
+  } catch (error) {
+    console.error(`Revocation job ${job.id} failed:`, error);
+    return handleJobFailure(job, error, ticketStatus);
+  }
+}
+
+async function handleJobFailure(job, error, ticketStatus) {
+  const retryCount = (job.retry_count || 0) + 1;
+
+  if (retryCount >= MAX_RETRIES) {
+    // The database stays authoritative; lib/reconcile.js reports and repairs the mismatch
+    await supabase
+      .from('tickets')
+      .update({ revocation_chain_status: 'failed' })
+      .eq('ticket_id', job.ticket_id)
+      .eq('ticket_status', ticketStatus);
+
+    await finishJob(job, { status: 'failed', retry_count: retryCount, error_message: error.message });
+    return { id: job.id, status: 'failed', error: error.message };
+  }
+
+  const nextAttemptAt = new Date(Date.now() + getRetryDelay(retryCount)).toISOString();
+  await updateJob(job.id, {
+    status: 'pending',
+    retry_count: retryCount,
+    error_message: error.message,
+    next_attempt_at: nextAttemptAt,
+    locked_at: null,
+    locked_by: null
+  });
+
+  return { id: job.id, status: 'retried', error: error.message, next_attempt_at: nextAttemptAt };
+}
+
+function finishJob(job, fields) {
+  return updateJob(job.id, {
+    ...fields,
+    processed_at: new Date().toISOString(),
+    next_attempt_at: null,
+    locked_at: null,
+    locked_by: null
+  });
+}
+
+async function updateJob(jobId, fields) {
+  const { error } = await supabase
+    .from('revocation_queue')
+    .update(fields)
+    .eq('id', jobId);
+
+  if (error) {
+    console.error(`Failed to update revocation job ${jobId}:`, error);
+  }
+}
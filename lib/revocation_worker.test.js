@@ -0,0 +1,70 @@
+import { test, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { fakeSupabase, filter } from './testing/fake_supabase.js';
+import { processRevocationQueue } from './revocation_worker.js';
+
+let fake;
+
+afterEach(() => fake?.restore());
+
+const job = { id: 7, ticket_id: 't1', network: 'sepolia', contract_address: '0xc1', token_id: 1, revoked: true, retry_count: 0 };
+
+// One due job for a ticket that is now `ticket` (or the lookup fails with `ticketError`)
+function withJob({ ticket = null, ticketError = null, claimed = job } = {}) {
+  fake = fakeSupabase(({ table, calls }) => {
+    if (table === 'revocation_queue' && calls[0][0] === 'select') return { data: [{ id: job.id }], error: null };
+    if (table === 'revocation_queue' && filter({ calls }, 'select')) return { data: claimed, error: null };
+    if (table === 'tickets') return { data: ticket, error: ticketError };
+    return { data: null, error: null };
+  });
+}
+
+const jobUpdates = () => fake.queries
+  .filter(query => query.table === 'revocation_queue' && query.calls[0][0] === 'update' && !filter(query, 'select'))
+  .map(query => query.calls[0][1]);
+
+test('a job claimed by another worker is skipped', async () => {
+  withJob({ claimed: null });
+
+  assert.deepEqual(await processRevocationQueue(), { claimed: 0, completed: 0, superseded: 0, retried: 0, failed: 0, jobs: [] });
+});
+
+test('a job for a ticket unrevoked again since is superseded without a transaction', async () => {
+  withJob({ ticket: { ticket_id: 't1', ticket_status: 'valid' } });
+
+  const summary = await processRevocationQueue();
+
+  assert.deepEqual(summary.jobs, [{ id: 7, status: 'superseded' }]);
+  assert.equal(jobUpdates().at(-1).status, 'superseded');
+  assert.equal(fake.queries.some(query => query.table === 'tickets' && query.calls[0][0] === 'update'), false);
+});
+
+test('a job for a purged ticket is superseded', async () => {
+  withJob({ ticket: null });
+
+  assert.equal((await processRevocationQueue()).superseded, 1);
+});
+
+test('an error puts the job back with a backoff', async () => {
+  withJob({ ticketError: { message: 'connection reset' } });
+
+  const [result] = (await processRevocationQueue()).jobs;
+  const update = jobUpdates().at(-1);
+
+  assert.equal(result.status, 'retried');
+  assert.equal(update.status, 'pending');
+  assert.equal(update.retry_count, 1);
+  assert.ok(new Date(update.next_attempt_at) > new Date());
+});
+
+test('the last failed attempt marks the ticket\'s chain status failed', async () => {
+  withJob({ ticketError: { message: 'connection reset' }, claimed: { ...job, retry_count: 4 } });
+
+  const [result] = (await processRevocationQueue()).jobs;
+  const marked = fake.queries.find(query => query.table === 'tickets' && query.calls[0][0] === 'update');
+
+  assert.equal(result.status, 'failed');
+  assert.deepEqual(marked.calls[0][1], { revocation_chain_status: 'failed' });
+  // Only while the ticket is still in the state this job was meant to sync
+  assert.deepEqual(filter(marked, 'eq', 'ticket_status'), ['ticket_status', 'revoked']);
+});
@@ -0,0 +1,59 @@
+import { supabase } from './supabase.js';
+import { DEFAULT_NETWORK } from './networks.js';
+
+const TICKET_COLUMNS = 'ticket_id, ticket_status, nft_mint_status, nft_token_id, nft_contract_address';
+
+// Revoke (revoked = true) or unrevoke tickets of an event. The database is authoritative
+// (check-in reads it), so the tickets are updated and their on-chain calls queued for
+// lib/revocation_worker.js in one transaction; see set_tickets_revoked.
+//
+// Returns { missingIds } when some tickets do not belong to the event (nothing is changed),
+// otherwise the tickets as they were, the changed ones and the ids already in the target state.
+export async function updateRevocation({ eventId, ticketIds, revoked, actorUserId, reason = null, note = null, onChain = true }) {
+  // Scoped to the event so ids from other events are rejected
+  const { data: tickets, error: ticketsError } = await supabase
+    .from('tickets')
+    .select(TICKET_COLUMNS)
+    .eq('event_id', eventId)
+    .in('ticket_id', ticketIds)
+    .is('deleted_at', null);
+
+  if (ticketsError) {
+    throw ticketsError;
+  }
+
+  const foundIds = new Set(tickets.map(ticket => ticket.ticket_id));
+  const missingIds = ticketIds.filter(id => !foundIds.has(id));
+
+  if (missingIds.length) {
+    return { missingIds };
+  }
+
+  const changedAt = new Date().toISOString();
+  const { data: changed, error: updateError } = await supabase.rpc('set_tickets_revoked', {
+    p_event_id: eventId,
+    p_ticket_ids: ticketIds,
+    p_revoked: revoked,
+    p_actor_user_id: actorUserId,
+    p_reason: reason,
+    p_note: note,
+    p_on_chain: onChain,
+    p_changed_at: changedAt,
+    p_default_network: DEFAULT_NETWORK
+  });
+
+  if (updateError) {
+    throw updateError;
+  }
+
+  // Decided by the update itself, so a concurrent request cannot make a ticket count twice
+  const changedIds = new Set(changed.map(ticket => ticket.ticket_id));
+
+  return {
+    missingIds: [],
+    changedAt,
+    before: tickets.filter(ticket => changedIds.has(ticket.ticket_id)),
+    changed,
+    unchangedIds: tickets.filter(ticket => !changedIds.has(ticket.ticket_id)).map(ticket => ticket.ticket_id)
+  };
+}
@@ -0,0 +1,87 @@
+import { test, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { fakeSupabase, filter } from './testing/fake_supabase.js';
+import { updateRevocation } from './revocations.js';
+
+let fake;
+
+afterEach(() => fake?.restore());
+
+const tickets = [
+  { ticket_id: 't1', ticket_status: 'valid', nft_mint_status: 'minted', nft_token_id: 1, nft_contract_address: '0xc1' },
+  { ticket_id: 't2', ticket_status: 'revoked', nft_mint_status: 'minted', nft_token_id: 2, nft_contract_address: '0xc1' },
+  { ticket_id: 't3', ticket_status: 'valid', nft_mint_status: 'pending', nft_token_id: null, nft_contract_address: null }
+];
+
+// `changed` is what set_tickets_revoked reports back
+function withTickets(changed) {
+  fake = fakeSupabase(query => {
+    if (query.rpc) return { data: changed, error: null };
+
+    const [, ids] = filter(query, 'in', 'ticket_id');
+    return { data: tickets.filter(ticket => ids.includes(ticket.ticket_id)), error: null };
+  });
+}
+
+test('tickets of other events are reported and nothing is changed', async () => {
+  withTickets([]);
+
+  assert.deepEqual(
+    await updateRevocation({ eventId: 'event-1', ticketIds: ['t1', 't9'], revoked: true, actorUserId: 'user-1' }),
+    { missingIds: ['t9'] }
+  );
+  assert.equal(fake.queries.some(query => query.rpc), false);
+});
+
+test('the tickets and their chain calls are changed in one call', async () => {
+  withTickets([{ ticket_id: 't1', chain_status: 'queued' }, { ticket_id: 't3', chain_status: null }]);
+
+  const result = await updateRevocation({
+    eventId: 'event-1',
+    ticketIds: ['t1', 't2', 't3'],
+    revoked: true,
+    actorUserId: 'user-1',
+    reason: 'fraud',
+    note: 'chargeback'
+  });
+
+  const [, call] = fake.queries;
+  assert.equal(call.rpc, 'set_tickets_revoked');
+  assert.deepEqual({ ...call.args, p_changed_at: undefined, p_default_network: undefined }, {
+    p_event_id: 'event-1',
+    p_ticket_ids: ['t1', 't2', 't3'],
+    p_revoked: true,
+    p_actor_user_id: 'user-1',
+    p_reason: 'fraud',
+    p_note: 'chargeback',
+    p_on_chain: true,
+    p_changed_at: undefined,
+    p_default_network: undefined
+  });
+
+  assert.equal(result.changedAt, call.args.p_changed_at);
+  assert.deepEqual(result.changed, [{ ticket_id: 't1', chain_status: 'queued' }, { ticket_id: 't3', chain_status: null }]);
+  assert.deepEqual(result.before.map(ticket => ticket.ticket_id), ['t1', 't3']);
+  assert.deepEqual(result.unchangedIds, ['t2']);
+});
+
+test('what counts as unchanged is decided by the update, not the earlier read', async () => {
+  // A concurrent request revoked t1 between the read and the update
+  withTickets([]);
+
+  const result = await updateRevocation({ eventId: 'event-1', ticketIds: ['t1'], revoked: true, actorUserId: 'user-1' });
+
+  assert.deepEqual(result.changed, []);
+  assert.deepEqual(result.unchangedIds, ['t1']);
+});
+
+test('unrevoking passes no reason and can skip the chain', async () => {
+  withTickets([{ ticket_id: 't2', chain_status: null }]);
+
+  await updateRevocation({ eventId: 'event-1', ticketIds: ['t2'], revoked: false, actorUserId: 'user-1', onChain: false });
+  const { args } = fake.queries[1];
+
+  assert.equal(args.p_revoked, false);
+  assert.equal(args.p_reason, null);
+  assert.equal(args.p_on_chain, false);
+});
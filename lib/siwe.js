@@ -0,0 +1,36 @@
+import { randomBytes } from 'crypto';
+import { ethers } from 'ethers';
+
+export const WALLET_NONCE_TTL_MS = 10 * 60 * 1000;
+
+// SIWE nonces must be alphanumeric and at least 8 characters
+export function generateSiweNonce() {
+  return randomBytes(16).toString('hex');
+}
+
+// Build a Sign-In with Ethereum (EIP-4361) message proving control of `address`
+export function buildSiweMessage({ domain, address, statement, uri, chainId, nonce, issuedAt, expirationTime }) {
+  return [
+    `${domain} wants you to sign in with your Ethereum account:`,
+    ethers.utils.getAddress(address),
+    '',
+    statement,
+    '',
+    `URI: ${uri}`,
+    'Version: 1',
+    `Chain ID: ${chainId}`,
+    `Nonce: ${nonce}`,
+    `Issued At: ${issuedAt}`,
+    `Expiration Time: ${expirationTime}`
+  ].join('\n');
+}
+
+// True if `signature` is a personal_sign of `message` by `address`
+export function verifySiweSignature(message, signature, address) {
+  try {
+    const recovered = ethers.utils.verifyMessage(message, signature);
+    return recovered.toLowerCase() === address.toLowerCase();
+  } catch {
+    return false;
+  }
+}
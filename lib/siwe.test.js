@@ -0,0 +1,62 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { ethers } from 'ethers';
+import { buildSiweMessage, generateSiweNonce, verifySiweSignature } from './siwe.js';
+
+// Hardhat/Anvil account #0; never holds real funds
+const wallet = new ethers.Wallet('0xac0974bec39a17e36ba4a6b4d238ff944bacb478cbed5efcae784d7bf4f2ff80');
+
+const fields = {
+  domain: 'tickets.example.com',
+  address: wallet.address.toLowerCase(),
+  statement: 'Connect this wallet to your account.',
+  uri: 'https://tickets.example.com',
+  chainId: 11155111,
+  nonce: 'a1b2c3d4e5f60718',
+  issuedAt: '2026-10-19T12:00:00.000Z',
+  expirationTime: '2026-10-19T12:10:00.000Z'
+};
+
+test('buildSiweMessage follows the EIP-4361 layout with a checksummed address', () => {
+  assert.equal(buildSiweMessage(fields), [
+    'tickets.example.com wants you to sign in with your Ethereum account:',
+    wallet.address,
+    '',
+    'Connect this wallet to your account.',
+    '',
+    'URI: https://tickets.example.com',
+    'Version: 1',
+    'Chain ID: 11155111',
+    'Nonce: a1b2c3d4e5f60718',
+    'Issued At: 2026-10-19T12:00:00.000Z',
+    'Expiration Time: 2026-10-19T12:10:00.000Z'
+  ].join('\n'));
+});
+
+test('buildSiweMessage rejects an invalid address', () => {
+  assert.throws(() => buildSiweMessage({ ...fields, address: '0x1234' }));
+});
+
+test('generateSiweNonce is alphanumeric, at least 8 characters and unique', () => {
+  const nonce = generateSiweNonce();
+  assert.match(nonce, /^[a-zA-Z0-9]{8,}$/);
+  assert.notEqual(nonce, generateSiweNonce());
+});
+
+test('verifySiweSignature accepts a signature by the address in any case', async () => {
+  const message = buildSiweMessage(fields);
+  const signature = await wallet.signMessage(message);
+
+  assert.equal(verifySiweSignature(message, signature, wallet.address), true);
+  assert.equal(verifySiweSignature(message, signature, wallet.address.toLowerCase()), true);
+});
+
+test('verifySiweSignature rejects another signer, a changed message or a malformed signature', async () => {
+  const message = buildSiweMessage(fields);
+  const signature = await wallet.signMessage(message);
+  const other = ethers.Wallet.createRandom();
+
+  assert.equal(verifySiweSignature(message, await other.signMessage(message), wallet.address), false);
+  assert.equal(verifySiweSignature(buildSiweMessage({ ...fields, nonce: 'ffffffffffffffff' }), signature, wallet.address), false);
+  assert.equal(verifySiweSignature(message, '0xdeadbeef', wallet.address), false);
+});
@@ -0,0 +1,7 @@
+import { createClient } from '@supabase/supabase-js'
+
+// Service-role client shared by background jobs and helpers outside api/
+export const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_KEY
+)
@@ -0,0 +1,51 @@
+import { supabase } from '../supabase.js';
+
+// Answer the shared client's queries in-process for a test. `respond(query)` gets
+// { table, calls } for from() chains, where calls are [method, ...args] in order, or
+// { rpc, args } for rpc(), and returns { data, error } (or a promise of it).
+// Returns the recorded queries and restore() to put the real client back.
+export function fakeSupabase(respond) {
+  const queries = [];
+  const original = { from: supabase.from, rpc: supabase.rpc };
+
+  supabase.from = table => {
+    const query = { table, calls: [] };
+    queries.push(query);
+
+    // Every builder method chains; awaiting the chain runs it
+    const builder = new Proxy({}, {
+      get(_, method) {
+        if (method === 'then') {
+          const result = Promise.resolve().then(() => respond(query));
+          return result.then.bind(result);
+        }
+
+        return (...args) => {
+          query.calls.push([method, ...args]);
+          return builder;
+        };
+      }
+    });
+
+    return builder;
+  };
+
+  supabase.rpc = async (name, args) => {
+    const query = { rpc: name, args };
+    queries.push(query);
+    return respond(query);
+  };
+
+  return {
+    queries,
+    restore() {
+      Object.assign(supabase, original);
+    }
+  };
+}
+
+// The arguments of the first `method` call in a recorded query, e.g. filter(query, 'eq')
+export function filter(query, method, column) {
+  const call = query.calls.find(([name, first]) => name === method && (column === undefined || first === column));
+  return call && call.slice(1);
+}
@@ -0,0 +1,23 @@
+import { supabase } from './supabase.js';
+
+const DEFAULT_RETENTION_DAYS = 30;
+
+// Permanently remove tickets that were soft-deleted more than `retentionDays` ago
+export async function purgeDeletedTickets({
+  retentionDays = parseInt(process.env.TICKET_RETENTION_DAYS) || DEFAULT_RETENTION_DAYS
+} = {}) {
+  const cutoff = new Date(Date.now() - retentionDays * 24 * 60 * 60 * 1000).toISOString();
+
+  const { data: purged, error } = await supabase
+    .from('tickets')
+    .delete()
+    .not('deleted_at', 'is', null)
+    .lt('deleted_at', cutoff)
+    .select('ticket_id, event_id');
+
+  if (error) {
+    throw new Error(`Failed to purge deleted tickets: ${error.message}`);
+  }
+
+  return { retention_days: retentionDays, cutoff, purged_count: purged.length, purged };
+}
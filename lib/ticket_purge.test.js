@@ -0,0 +1,42 @@
+import { test, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { fakeSupabase, filter } from './testing/fake_supabase.js';
+import { purgeDeletedTickets } from './ticket_purge.js';
+
+let fake;
+
+afterEach(() => fake?.restore());
+
+const purged = [{ ticket_id: 't1', event_id: 'event-1' }, { ticket_id: 't2', event_id: 'event-1' }];
+
+test('only tickets soft-deleted before the retention cutoff are removed', async () => {
+  fake = fakeSupabase(() => ({ data: purged, error: null }));
+
+  const before = Date.now();
+  const result = await purgeDeletedTickets({ retentionDays: 7 });
+  const [query] = fake.queries;
+
+  assert.equal(query.table, 'tickets');
+  assert.equal(query.calls[0][0], 'delete');
+  assert.deepEqual(filter(query, 'not'), ['deleted_at', 'is', null]);
+  assert.deepEqual(filter(query, 'lt'), ['deleted_at', result.cutoff]);
+
+  const cutoffAge = before - new Date(result.cutoff).getTime();
+  assert.ok(Math.abs(cutoffAge - 7 * 24 * 60 * 60 * 1000) < 1000);
+});
+
+test('the summary lists what was purged', async () => {
+  fake = fakeSupabase(() => ({ data: purged, error: null }));
+
+  const { retention_days, purged_count, purged: rows } = await purgeDeletedTickets({ retentionDays: 30 });
+
+  assert.equal(retention_days, 30);
+  assert.equal(purged_count, 2);
+  assert.deepEqual(rows, purged);
+});
+
+test('a database error is reported', async () => {
+  fake = fakeSupabase(() => ({ data: null, error: { message: 'permission denied' } }));
+
+  await assert.rejects(purgeDeletedTickets(), /Failed to purge deleted tickets: permission denied/);
+});
@@ -0,0 +1,63 @@
+import { createHmac, randomBytes, timingSafeEqual } from 'crypto';
+
+function getSecret() {
+  if (!process.env.QR_SIGNING_SECRET) {
+    throw new Error('QR_SIGNING_SECRET is not configured');
+  }
+  return process.env.QR_SIGNING_SECRET;
+}
+
+function sign(ticketId, eventId, nonce) {
+  return createHmac('sha256', getSecret())
+    .update(`${ticketId}.${eventId}.${nonce}`)
+    .digest('base64url');
+}
+
+export function generateQrNonce() {
+  return randomBytes(16).toString('hex');
+}
+
+// Build the signed payload for a ticket and the compact string to render as a QR code
+export function createQrPayload({ ticket_id, event_id, qr_nonce }) {
+  const payload = {
+    ticket_id,
+    event_id,
+    nonce: qr_nonce,
+    signature: sign(ticket_id, event_id, qr_nonce)
+  };
+
+  return {
+    payload,
+    qr_data: Buffer.from(JSON.stringify(payload)).toString('base64url')
+  };
+}
+
+// Accept either the encoded QR string or an already-decoded payload object.
+// Returns null if the input is not a well-formed payload.
+export function parseQrPayload(input) {
+  let payload = input;
+
+  if (typeof input === 'string') {
+    try {
+      payload = JSON.parse(Buffer.from(input, 'base64url').toString());
+    } catch {
+      return null;
+    }
+  }
+
+  if (!payload || typeof payload !== 'object') return null;
+
+  const { ticket_id, event_id, nonce, signature } = payload;
+  if (![ticket_id, event_id, nonce, signature].every(value => typeof value === 'string' && value)) {
+    return null;
+  }
+
+  return { ticket_id, event_id, nonce, signature };
+}
+
+export function verifyQrSignature({ ticket_id, event_id, nonce, signature }) {
+  const expected = Buffer.from(sign(ticket_id, event_id, nonce));
+  const actual = Buffer.from(signature);
+
+  return expected.length === actual.length && timingSafeEqual(expected, actual);
+}
@@ -0,0 +1,71 @@
+import { test, before } from 'node:test';
+import assert from 'node:assert/strict';
+import { createQrPayload, generateQrNonce, parseQrPayload, verifyQrSignature } from './ticket_qr.js';
+
+const ticket = {
+  ticket_id: '6f1c2d3e-0000-4000-8000-000000000001',
+  event_id: '6f1c2d3e-0000-4000-8000-0000000000aa',
+  qr_nonce: 'b7e4c1d2a3f45e6f7081920a1b2c3d4e'
+};
+
+before(() => {
+  process.env.QR_SIGNING_SECRET = 'test-secret';
+});
+
+test('a payload survives encoding and verifies', () => {
+  const { payload, qr_data } = createQrPayload(ticket);
+  const parsed = parseQrPayload(qr_data);
+
+  assert.deepEqual(parsed, payload);
+  assert.equal(parsed.nonce, ticket.qr_nonce);
+  assert.equal(verifyQrSignature(parsed), true);
+});
+
+test('an already decoded payload object is accepted', () => {
+  const { payload } = createQrPayload(ticket);
+  assert.deepEqual(parseQrPayload({ ...payload, extra: 'ignored' }), payload);
+});
+
+test('changing any signed field breaks the signature', () => {
+  const { payload } = createQrPayload(ticket);
+
+  for (const field of ['ticket_id', 'event_id', 'nonce']) {
+    assert.equal(verifyQrSignature({ ...payload, [field]: `${payload[field]}x` }), false, field);
+  }
+  assert.equal(verifyQrSignature({ ...payload, signature: payload.signature.slice(1) }), false);
+});
+
+test('a rotated nonce voids the previous QR code', () => {
+  const old = createQrPayload(ticket).payload;
+  const current = createQrPayload({ ...ticket, qr_nonce: generateQrNonce() }).payload;
+
+  assert.notEqual(old.signature, current.signature);
+  assert.notEqual(old.nonce, current.nonce);
+});
+
+test('a payload signed with another secret does not verify', () => {
+  const { payload } = createQrPayload(ticket);
+
+  process.env.QR_SIGNING_SECRET = 'rotated-secret';
+  try {
+    assert.equal(verifyQrSignature(payload), false);
+  } finally {
+    process.env.QR_SIGNING_SECRET = 'test-secret';
+  }
+});
+
+test('malformed input parses to null', () => {
+  assert.equal(parseQrPayload('not base64 json'), null);
+  assert.equal(parseQrPayload(Buffer.from('"text"').toString('base64url')), null);
+  assert.equal(parseQrPayload({ ticket_id: ticket.ticket_id, event_id: ticket.event_id, nonce: '', signature: 'x' }), null);
+  assert.equal(parseQrPayload(null), null);
+});
+
+test('signing without QR_SIGNING_SECRET fails loudly', () => {
+  delete process.env.QR_SIGNING_SECRET;
+  try {
+    assert.throws(() => createQrPayload(ticket), /QR_SIGNING_SECRET is not configured/);
+  } finally {
+    process.env.QR_SIGNING_SECRET = 'test-secret';
+  }
+});
@@ -0,0 +1,103 @@
+import crypto from 'crypto';
+import { supabase } from './supabase.js';
+import { buildTicketMetadata } from './metadata.js';
+import { generateQrNonce } from './ticket_qr.js';
+
+const PAGE_SIZE = 1000;
+
+// Live tickets of an event in ticket-number order (api/event/tickets.js, api/event/export.js).
+// `options` go to select(), e.g. { count: 'exact' }
+export function eventTicketsQuery(eventId, columns = '*', options) {
+  return supabase
+    .from('tickets')
+    .select(columns, options)
+    .eq('event_id', eventId)
+    .is('deleted_at', null)
+    .order('ticket_number', { ascending: true });
+}
+
+// Page through an event's tickets so large events can be streamed without loading them all
+export async function* iterateEventTickets(eventId, { columns = '*', pageSize = PAGE_SIZE } = {}) {
+  for (let from = 0; ; from += pageSize) {
+    const { data, error } = await eventTicketsQuery(eventId, columns).range(from, from + pageSize - 1);
+
+    if (error) {
+      throw error;
+    }
+
+    yield* data;
+
+    if (data.length < pageSize) return;
+  }
+}
+
+// Reserve `quantity` consecutive ticket numbers for an event and return the first.
+// Atomic per-event counter, see allocate_ticket_numbers.
+export async function allocateTicketNumbers(eventId, quantity) {
+  const { data: startingNumber, error } = await supabase
+    .rpc('allocate_ticket_numbers', { p_event_id: eventId, p_quantity: quantity });
+
+  if (error) {
+    throw new Error(`Ticket number allocation failed: ${error.message}`);
+  }
+
+  return startingNumber;
+}
+
+// Build ticket rows numbered from `startingNumber`, one per entry of ticketFields.
+// Each entry holds extra columns for one ticket (e.g. user_id), or {}.
+// Returns { ticketsToCreate, nftMetadata } without writing anything.
+export function buildTierTickets(event, tier, ticketFields, startingNumber) {
+  const ticketsToCreate = [];
+  const nftMetadata = [];
+
+  for (let i = 0; i < ticketFields.length; i++) {
+    const ticketNumber = startingNumber + i;
+    const ticketId = crypto.randomUUID();
+    const metadata = buildTicketMetadata(event, tier, ticketNumber);
+
+    ticketsToCreate.push({
+      ...ticketFields[i],
+      ticket_id: ticketId,
+      event_id: event.event_id,
+      tier_id: tier.tier_id,
+      ticket_number: ticketNumber,
+      ticket_status: 'valid',
+      nft_mint_status: 'pending',
+      nft_contract_address: event.nft_contract_address,
+      nft_token_id: null, // Will be set after minting
+      qr_nonce: generateQrNonce(),
+      nft_metadata: metadata,
+      created_at: new Date().toISOString()
+    });
+
+    // Tokens use the ticket number as their ID
+    nftMetadata.push({ ticketId, tokenId: ticketNumber, metadata });
+  }
+
+  return { ticketsToCreate, nftMetadata };
+}
+
+// Create `ticketFields.length` tickets in a tier with freshly allocated numbers.
+// Resolves to { startingNumber, createdTickets, nftMetadata }, or { supplyExceeded: true }
+// when a concurrent request took the tier's remaining supply.
+export async function createTierTickets(event, tier, ticketFields) {
+  const startingNumber = await allocateTicketNumbers(event.event_id, ticketFields.length);
+  const { ticketsToCreate, nftMetadata } = buildTierTickets(event, tier, ticketFields, startingNumber);
+
+  const { data: createdTickets, error: insertError } = await supabase
+    .from('tickets')
+    .insert(ticketsToCreate)
+    .select();
+
+  if (insertError) {
+    // Raised by the tickets_enforce_tier_supply trigger
+    if (insertError.message?.includes('tier_supply_exceeded')) {
+      return { supplyExceeded: true };
+    }
+
+    throw new Error(`Database error: ${insertError.message}`);
+  }
+
+  return { startingNumber, createdTickets, nftMetadata };
+}
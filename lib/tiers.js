@@ -0,0 +1,109 @@
+import { supabase } from './supabase.js';
+
+const EDITABLE_FIELDS = ['name', 'description', 'image_url', 'price', 'currency', 'max_supply', 'sale_start', 'sale_end'];
+
+// Validate ticket tier fields from a request body. With `partial` only the fields
+// present are checked (for updates); otherwise name, price and max_supply are required.
+// Returns { errors, values } where values holds only recognised, normalised fields.
+export function validateTierFields(body, { partial = false } = {}) {
+  const errors = [];
+  const values = {};
+
+  for (const field of EDITABLE_FIELDS) {
+    if (body[field] !== undefined) values[field] = body[field];
+  }
+
+  if (!partial) {
+    for (const field of ['name', 'price', 'max_supply']) {
+      if (values[field] === undefined || values[field] === null || values[field] === '') {
+        errors.push(`${field} is required`);
+      }
+    }
+  }
+
+  // Both columns are not null, so an update may change them but not clear them
+  for (const field of ['price', 'max_supply']) {
+    if (partial && values[field] === null) {
+      errors.push(`${field} cannot be null`);
+    }
+  }
+
+  if (values.name !== undefined) {
+    if (typeof values.name !== 'string' || !values.name.trim()) {
+      errors.push('name must be a non-empty string');
+    } else if (values.name.length > 100) {
+      errors.push('name must be at most 100 characters');
+    } else {
+      values.name = values.name.trim();
+    }
+  }
+
+  if (values.description !== undefined && values.description !== null && typeof values.description !== 'string') {
+    errors.push('description must be a string');
+  }
+
+  if (values.image_url !== undefined && values.image_url !== null &&
+      (typeof values.image_url !== 'string' || !/^(https?|ipfs):\/\//.test(values.image_url))) {
+    errors.push('image_url must be an http(s) or ipfs URL');
+  }
+
+  if (values.price !== undefined && values.price !== null) {
+    const price = Number(values.price);
+    if (!Number.isFinite(price) || price < 0) {
+      errors.push('price must be a non-negative number');
+    } else {
+      values.price = price;
+    }
+  }
+
+  if (values.currency !== undefined) {
+    if (typeof values.currency !== 'string' || !/^[A-Za-z0-9]{2,10}$/.test(values.currency)) {
+      errors.push('currency must be a 2-10 character currency symbol');
+    } else {
+      values.currency = values.currency.toUpperCase();
+    }
+  }
+
+  if (values.max_supply !== undefined && values.max_supply !== null &&
+      (!Number.isInteger(values.max_supply) || values.max_supply < 1)) {
+    errors.push('max_supply must be a positive integer');
+  }
+
+  for (const field of ['sale_start', 'sale_end']) {
+    if (values[field] === undefined || values[field] === null) continue;
+
+    const date = new Date(values[field]);
+    if (typeof values[field] !== 'string' || isNaN(date.getTime())) {
+      errors.push(`${field} must be an ISO 8601 date`);
+    } else {
+      values[field] = date.toISOString();
+    }
+  }
+
+  if (values.sale_start && values.sale_end && values.sale_start >= values.sale_end) {
+    errors.push('sale_start must be before sale_end');
+  }
+
+  return { errors, values };
+}
+
+export function getSaleStatus(tier, now = new Date()) {
+  if (tier.sale_start && new Date(tier.sale_start) > now) return 'scheduled';
+  if (tier.sale_end && new Date(tier.sale_end) <= now) return 'ended';
+  return 'on_sale';
+}
+
+// Number of tickets issued in a tier. Soft-deleted tickets keep their slot until
+// they are purged: their tokens may already exist on-chain, and a restore must not oversell.
+export async function getTierIssuedCount(tierId) {
+  const { count, error } = await supabase
+    .from('tickets')
+    .select('ticket_id', { count: 'exact', head: true })
+    .eq('tier_id', tierId);
+
+  if (error) {
+    throw error;
+  }
+
+  return count || 0;
+}
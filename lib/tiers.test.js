@@ -0,0 +1,45 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { getSaleStatus, validateTierFields } from './tiers.js';
+
+const tier = { name: ' General ', price: '25', max_supply: 100 };
+
+test('a new tier needs a name, price and max_supply', () => {
+  assert.deepEqual(validateTierFields({}).errors, ['name is required', 'price is required', 'max_supply is required']);
+  assert.deepEqual(validateTierFields({ ...tier, price: null, max_supply: null }).errors, ['price is required', 'max_supply is required']);
+});
+
+test('fields are normalised', () => {
+  const { errors, values } = validateTierFields({ ...tier, currency: 'usdc', sale_start: '2026-11-01T10:00:00+02:00', unknown: 1 });
+
+  assert.deepEqual(errors, []);
+  assert.deepEqual(values, { name: 'General', price: 25, max_supply: 100, currency: 'USDC', sale_start: '2026-11-01T08:00:00.000Z' });
+});
+
+test('an update checks only the fields it sets', () => {
+  assert.deepEqual(validateTierFields({ description: 'Front rows' }, { partial: true }), { errors: [], values: { description: 'Front rows' } });
+});
+
+test('an update cannot clear price or max_supply', () => {
+  assert.deepEqual(
+    validateTierFields({ price: null, max_supply: null }, { partial: true }).errors,
+    ['price cannot be null', 'max_supply cannot be null']
+  );
+});
+
+test('optional fields may be cleared', () => {
+  assert.deepEqual(validateTierFields({ description: null, sale_end: null }, { partial: true }).errors, []);
+});
+
+test('the sale window must be in order', () => {
+  const { errors } = validateTierFields({ ...tier, sale_start: '2026-11-02T00:00:00Z', sale_end: '2026-11-01T00:00:00Z' });
+  assert.deepEqual(errors, ['sale_start must be before sale_end']);
+});
+
+test('sale status follows the sale window', () => {
+  const now = new Date('2026-10-19T12:00:00Z');
+
+  assert.equal(getSaleStatus({ sale_start: '2026-10-20T00:00:00Z' }, now), 'scheduled');
+  assert.equal(getSaleStatus({ sale_end: '2026-10-19T12:00:00Z' }, now), 'ended');
+  assert.equal(getSaleStatus({ sale_start: null, sale_end: null }, now), 'on_sale');
+});
@@ -0,0 +1,316 @@
+import { ethers } from 'ethers';
+import { supabase } from './supabase.js';
+import { getNetwork, getProvider, isSupportedNetwork, DEFAULT_NETWORK } from './networks.js';
+
+const TRANSFER_EVENT = new ethers.utils.Interface([
+  'event Transfer(address indexed from, address indexed to, uint256 indexed tokenId)'
+]);
+const TRANSFER_TOPIC = TRANSFER_EVENT.getEventTopic('Transfer');
+
+// Blocks per eth_getLogs call; many RPC providers cap this
+const BLOCK_RANGE = parseInt(process.env.INDEXER_BLOCK_RANGE) || 2000;
+// Blocks scanned per contract per run, so a serverless invocation finishes in time
+const MAX_BLOCKS_PER_RUN = parseInt(process.env.INDEXER_MAX_BLOCKS_PER_RUN) || 20000;
+// Recent blocks re-scanned on every run in case they were reorganised.
+// The network's confirmation count is used when it is larger.
+const REORG_WINDOW = parseInt(process.env.INDEXER_REORG_WINDOW) || 12;
+// Where to start for a contract with no cursor and no recorded mint blocks
+const START_BLOCK = parseInt(process.env.INDEXER_START_BLOCK) || 0;
+const BATCH_SIZE = 200;
+
+// Scan Transfer logs of every active event contract from its stored cursor and
+// update ticket ownership. Safe to run repeatedly; each run resumes where the last one stopped.
+export async function indexTransfers({ maxBlocks = MAX_BLOCKS_PER_RUN } = {}) {
+  const summary = { contracts: [] };
+
+  for (const target of await getIndexedContracts()) {
+    try {
+      summary.contracts.push(await indexContract(target, { maxBlocks }));
+    } catch (error) {
+      console.error(`Failed to index transfers for ${target.contractAddress} on ${target.network}:`, error);
+      summary.contracts.push({ network: target.network, contract_address: target.contractAddress, error: error.message });
+    }
+  }
+
+  return summary;
+}
+
+// One entry per (network, contract), with the wallets of every event using it
+async function getIndexedContracts() {
+  const { data: events, error } = await supabase
+    .from('events')
+    .select('event_id, blockchain_network, nft_contract_address, admin_wallets(wallet_address)')
+    .not('nft_contract_address', 'is', null)
+    .is('archived_at', null);
+
+  if (error) {
+    throw new Error(`Failed to load event contracts: ${error.message}`);
+  }
+
+  const targets = new Map();
+
+  for (const event of events) {
+    const network = event.blockchain_network || DEFAULT_NETWORK;
+    if (!isSupportedNetwork(network)) continue;
+
+    const contractAddress = event.nft_contract_address.toLowerCase();
+    const key = `${network}:${contractAddress}`;
+
+    if (!targets.has(key)) {
+      targets.set(key, { network, contractAddress, eventIds: [], eventWallets: new Set() });
+    }
+
+    const target = targets.get(key);
+    target.eventIds.push(event.event_id);
+    for (const wallet of event.admin_wallets || []) {
+      target.eventWallets.add(wallet.wallet_address.toLowerCase());
+    }
+  }
+
+  return [...targets.values()];
+}
+
+// Blocks to scan in one run: from `reorgWindow` blocks before the cursor (or from `startBlock`
+// for a contract never scanned) up to the head, at most `maxBlocks` of them. The range always
+// reaches past the cursor, so a reorg window wider than `maxBlocks` cannot stall the indexer.
+export function getScanRange({ lastScannedBlock, startBlock, head, reorgWindow, maxBlocks }) {
+  if (lastScannedBlock === null) {
+    return { fromBlock: startBlock, toBlock: Math.min(head, startBlock + maxBlocks - 1) };
+  }
+
+  const fromBlock = Math.max(0, lastScannedBlock - reorgWindow + 1);
+  const toBlock = Math.min(head, Math.max(fromBlock + maxBlocks - 1, lastScannedBlock + 1));
+
+  return { fromBlock, toBlock };
+}
+
+async function indexContract({ network, contractAddress, eventIds, eventWallets }, { maxBlocks }) {
+  const provider = getProvider(network);
+  const reorgWindow = Math.max(REORG_WINDOW, getNetwork(network).confirmations);
+  const head = await provider.getBlockNumber();
+
+  const cursor = await getCursor(network, contractAddress);
+  const { fromBlock, toBlock } = getScanRange({
+    lastScannedBlock: cursor ? cursor.last_scanned_block : null,
+    startBlock: cursor ? null : await getStartBlock(eventIds),
+    head,
+    reorgWindow,
+    maxBlocks
+  });
+
+  const result = {
+    network,
+    contract_address: contractAddress,
+    from_block: fromBlock,
+    to_block: toBlock,
+    head,
+    transfers: 0,
+    tickets_updated: 0
+  };
+
+  if (toBlock < fromBlock) {
+    return { ...result, caught_up: true };
+  }
+
+  const transfers = [];
+  for (let start = fromBlock; start <= toBlock; start += BLOCK_RANGE) {
+    const logs = await provider.getLogs({
+      address: contractAddress,
+      topics: [TRANSFER_TOPIC],
+      fromBlock: start,
+      toBlock: Math.min(start + BLOCK_RANGE - 1, toBlock)
+    });
+
+    for (const log of logs) {
+      const { args } = TRANSFER_EVENT.parseLog(log);
+      transfers.push({
+        network,
+        contract_address: contractAddress,
+        block_number: log.blockNumber,
+        block_hash: log.blockHash,
+        tx_hash: log.transactionHash,
+        log_index: log.logIndex,
+        from_address: args.from.toLowerCase(),
+        to_address: args.to.toLowerCase(),
+        token_id: args.tokenId.toString()
+      });
+    }
+  }
+
+  // Replace what was stored for the scanned range, so logs dropped by a reorg disappear.
+  // The cursor only moves afterwards: a crash in between re-scans the same range next time.
+  const { data: replaced, error: deleteError } = await supabase
+    .from('nft_transfers')
+    .delete()
+    .eq('network', network)
+    .eq('contract_address', contractAddress)
+    .gte('block_number', fromBlock)
+    .lte('block_number', toBlock)
+    .select('token_id');
+
+  if (deleteError) {
+    throw new Error(`Failed to clear re-scanned transfers: ${deleteError.message}`);
+  }
+
+  for (let i = 0; i < transfers.length; i += BATCH_SIZE) {
+    const { error: insertError } = await supabase
+      .from('nft_transfers')
+      .insert(transfers.slice(i, i + BATCH_SIZE));
+
+    if (insertError) {
+      throw new Error(`Failed to store transfers: ${insertError.message}`);
+    }
+  }
+
+  const tokenIds = [...new Set([...replaced, ...transfers].map(transfer => transfer.token_id))];
+  result.transfers = transfers.length;
+  result.tickets_updated = await syncOwnership({ network, contractAddress, eventIds, eventWallets, tokenIds });
+
+  await saveCursor(network, contractAddress, toBlock);
+
+  return { ...result, caught_up: toBlock === head };
+}
+
+// Point each affected live ticket of the contract's events at the recipient of its
+// token's latest stored transfer
+async function syncOwnership({ network, contractAddress, eventIds, eventWallets, tokenIds }) {
+  let updated = 0;
+
+  for (let i = 0; i < tokenIds.length; i += BATCH_SIZE) {
+    const batch = tokenIds.slice(i, i + BATCH_SIZE);
+
+    const { data: history, error: historyError } = await supabase
+      .from('nft_transfers')
+      .select('token_id, to_address, block_number, log_index')
+      .eq('network', network)
+      .eq('contract_address', contractAddress)
+      .in('token_id', batch)
+      .order('block_number', { ascending: true })
+      .order('log_index', { ascending: true });
+
+    if (historyError) {
+      throw new Error(`Failed to read transfer history: ${historyError.message}`);
+    }
+
+    // Later rows overwrite earlier ones, leaving the latest transfer per token
+    const latest = new Map(history.map(transfer => [transfer.token_id, transfer]));
+
+    const { data: tickets, error: ticketsError } = await supabase
+      .from('tickets')
+      .select('ticket_id, user_id, nft_mint_status, nft_token_id')
+      // Token IDs are ticket numbers, so scope to this contract's events: another
+      // network's contract at the same address must not be touched
+      .in('event_id', eventIds)
+      .ilike('nft_contract_address', contractAddress)
+      .in('nft_token_id', batch)
+      .is('deleted_at', null);
+
+    if (ticketsError) {
+      throw new Error(`Failed to read tickets: ${ticketsError.message}`);
+    }
+
+    const usersByWallet = await getUsersByWallet(
+      [...latest.values()].map(transfer => transfer.to_address).filter(address => !eventWallets.has(address))
+    );
+
+    for (const ticket of tickets) {
+      const transfer = latest.get(String(ticket.nft_token_id));
+      // Every transfer of this token was reorged away; leave the ticket as it is
+      if (!transfer) continue;
+
+      const fields = {
+        owner_address: transfer.to_address === ethers.constants.AddressZero ? null : transfer.to_address,
+        owner_updated_block: transfer.block_number
+      };
+
+      if (eventWallets.has(transfer.to_address)) {
+        // Back in (or never left) the event wallet: the ticket is inventory again
+        fields.nft_mint_status = 'minted';
+        if (ticket.nft_mint_status === 'transferred') fields.user_id = null;
+      } else if (transfer.to_address !== ethers.constants.AddressZero) {
+        fields.nft_mint_status = 'transferred';
+        // Unknown wallets keep whatever assignment the ticket already has
+        const userId = usersByWallet.get(transfer.to_address);
+        if (userId) fields.user_id = userId;
+      }
+
+      const { error: updateError } = await supabase
+        .from('tickets')
+        .update(fields)
+        .eq('ticket_id', ticket.ticket_id);
+
+      if (updateError) {
+        console.error(`Failed to update owner of ticket ${ticket.ticket_id}:`, updateError);
+        continue;
+      }
+
+      updated++;
+    }
+  }
+
+  return updated;
+}
+
+async function getUsersByWallet(addresses) {
+  const unique = [...new Set(addresses)];
+  if (!unique.length) return new Map();
+
+  // users.wallet_address may be stored checksummed or lowercase
+  const { data: users, error } = await supabase
+    .from('users')
+    .select('user_id, wallet_address')
+    .in('wallet_address', unique.flatMap(address => [address, ethers.utils.getAddress(address)]));
+
+  if (error) {
+    throw new Error(`Failed to map wallets to users: ${error.message}`);
+  }
+
+  return new Map(users.map(user => [user.wallet_address.toLowerCase(), user.user_id]));
+}
+
+// First block worth scanning: the earliest confirmed mint chunk of these events
+async function getStartBlock(eventIds) {
+  const { data: chunks, error } = await supabase
+    .from('mint_chunks')
+    .select('block_number')
+    .in('event_id', eventIds)
+    .not('block_number', 'is', null)
+    .order('block_number', { ascending: true })
+    .limit(1);
+
+  if (error) {
+    throw new Error(`Failed to find the first mint block: ${error.message}`);
+  }
+
+  return chunks.length ? chunks[0].block_number : START_BLOCK;
+}
+
+async function getCursor(network, contractAddress) {
+  const { data, error } = await supabase
+    .from('transfer_index_cursors')
+    .select('last_scanned_block')
+    .eq('network', network)
+    .eq('contract_address', contractAddress)
+    .maybeSingle();
+
+  if (error) {
+    throw new Error(`Failed to read indexer cursor: ${error.message}`);
+  }
+
+  return data;
+}
+
+async function saveCursor(network, contractAddress, lastScannedBlock) {
+  const { error } = await supabase
+    .from('transfer_index_cursors')
+    .upsert({
+      network,
+      contract_address: contractAddress,
+      last_scanned_block: lastScannedBlock,
+      updated_at: new Date().toISOString()
+    });
+
+  if (error) {
+    throw new Error(`Failed to save indexer cursor: ${error.message}`);
+  }
+}
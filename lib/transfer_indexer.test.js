@@ -0,0 +1,111 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { ethers } from 'ethers';
+import { fakeSupabase, filter } from './testing/fake_supabase.js';
+import { getProvider } from './networks.js';
+import { getScanRange, indexTransfers } from './transfer_indexer.js';
+
+const defaults = { startBlock: 5000, head: 100000, reorgWindow: 12, maxBlocks: 20000 };
+
+test('a contract never scanned starts at its first mint block', () => {
+  assert.deepEqual(getScanRange({ ...defaults, lastScannedBlock: null }), { fromBlock: 5000, toBlock: 24999 });
+});
+
+test('each run re-scans the reorg window before the cursor', () => {
+  assert.deepEqual(getScanRange({ ...defaults, lastScannedBlock: 50000 }), { fromBlock: 49989, toBlock: 69988 });
+});
+
+test('the range stops at the chain head', () => {
+  assert.deepEqual(getScanRange({ ...defaults, lastScannedBlock: 99990 }), { fromBlock: 99979, toBlock: 100000 });
+});
+
+test('a caught-up contract only re-scans the reorg window', () => {
+  assert.deepEqual(getScanRange({ ...defaults, lastScannedBlock: 100000 }), { fromBlock: 99989, toBlock: 100000 });
+});
+
+test('the reorg window does not reach below block 0', () => {
+  assert.deepEqual(getScanRange({ ...defaults, lastScannedBlock: 3, head: 10 }), { fromBlock: 0, toBlock: 10 });
+});
+
+test('a head behind the start block leaves an empty range', () => {
+  const { fromBlock, toBlock } = getScanRange({ ...defaults, lastScannedBlock: null, head: 4000 });
+  assert.ok(toBlock < fromBlock);
+});
+
+test('progress is made even when maxBlocks is smaller than the reorg window', () => {
+  const { toBlock } = getScanRange({ ...defaults, lastScannedBlock: 50000, maxBlocks: 5 });
+  assert.equal(toBlock, 50001);
+});
+
+test('a run replaces the re-scanned transfers and re-syncs tokens whose transfers were reorged away', async () => {
+  process.env.ENABLE_LOCAL_NETWORKS = 'true';
+  process.env.ANVIL_RPC_URL = 'http://127.0.0.1:1';
+
+  const contract = '0x00000000000000000000000000000000000000c1';
+  const eventWallet = '0x00000000000000000000000000000000000000e1';
+  const attendee = '0x00000000000000000000000000000000000000a1';
+
+  const transfer = new ethers.utils.Interface(['event Transfer(address indexed from, address indexed to, uint256 indexed tokenId)']);
+  const provider = getProvider('anvil');
+  provider.getBlockNumber = async () => 105;
+  provider.getLogs = async () => [{
+    ...transfer.encodeEventLog(transfer.getEvent('Transfer'), [eventWallet, attendee, 3]),
+    blockNumber: 104,
+    blockHash: '0xb104',
+    transactionHash: '0x7104',
+    logIndex: 0
+  }];
+
+  const fake = fakeSupabase(({ table, calls }) => {
+    const [method] = calls[0];
+    const data = {
+      events: [{ event_id: 'event-1', blockchain_network: 'anvil', nft_contract_address: contract, admin_wallets: [{ wallet_address: eventWallet }] }],
+      transfer_index_cursors: method === 'select' ? { last_scanned_block: 100 } : null,
+      // Token 7's transfer in the re-scanned range is not in the new logs: it was reorged away
+      nft_transfers: method === 'delete' ? [{ token_id: '7' }] : [{ token_id: '3', to_address: attendee, block_number: 104, log_index: 0 }],
+      tickets: method === 'select'
+        ? [{ ticket_id: 't3', user_id: null, nft_mint_status: 'minted', nft_token_id: 3 }, { ticket_id: 't7', user_id: null, nft_mint_status: 'minted', nft_token_id: 7 }]
+        : null,
+      users: [{ user_id: 'user-1', wallet_address: ethers.utils.getAddress(attendee) }]
+    }[table];
+    return { data, error: null };
+  });
+
+  try {
+    const { contracts: [result] } = await indexTransfers();
+    const of = (table, method) => fake.queries.filter(query => query.table === table && query.calls[0][0] === method);
+
+    assert.deepEqual(result, {
+      network: 'anvil', contract_address: contract, from_block: 89, to_block: 105, head: 105,
+      transfers: 1, tickets_updated: 1, caught_up: true
+    });
+
+    const [cleared] = of('nft_transfers', 'delete');
+    assert.deepEqual([filter(cleared, 'gte'), filter(cleared, 'lte')], [['block_number', 89], ['block_number', 105]]);
+    assert.equal(of('nft_transfers', 'insert')[0].calls[0][1][0].token_id, '3');
+
+    const [history] = of('nft_transfers', 'select');
+    assert.deepEqual(filter(history, 'in'), ['token_id', ['7', '3']]);
+
+    // Only live tickets of the contract's events are synced
+    const [tickets] = of('tickets', 'select');
+    assert.deepEqual(filter(tickets, 'in', 'event_id'), ['event_id', ['event-1']]);
+    assert.deepEqual(filter(tickets, 'is'), ['deleted_at', null]);
+
+    // Token 7 has no stored transfer left, so its ticket is not touched
+    const [update] = of('tickets', 'update');
+    assert.equal(of('tickets', 'update').length, 1);
+    assert.deepEqual(update.calls, [
+      ['update', { owner_address: attendee, owner_updated_block: 104, nft_mint_status: 'transferred', user_id: 'user-1' }],
+      ['eq', 'ticket_id', 't3']
+    ]);
+
+    // The cursor only moves after the transfers and tickets were written
+    assert.equal(fake.queries.at(-1).table, 'transfer_index_cursors');
+    assert.equal(fake.queries.at(-1).calls[0][1].last_scanned_block, 105);
+  } finally {
+    fake.restore();
+    delete process.env.ENABLE_LOCAL_NETWORKS;
+    delete process.env.ANVIL_RPC_URL;
+  }
+});
@@ -0,0 +1,177 @@
+import { supabase } from './supabase.js';
+import { getReadContract, transferFromEventWallet } from './blockchain.js';
+import { getRetryDelay } from './mint_worker.js';
+
+const MAX_RETRIES = parseInt(process.env.TRANSFER_MAX_RETRIES) || 5;
+// A job left in 'processing' longer than this is assumed to belong to a crashed worker
+const STALE_LOCK_MS = parseInt(process.env.TRANSFER_STALE_LOCK_MS) || 15 * 60 * 1000;
+
+// Send up to `limit` due ticket transfers queued by api/event/assign_ticket.js, one at a time
+export async function processTransferQueue({ limit = 10, workerId = `worker-${process.pid}` } = {}) {
+  const summary = { claimed: 0, completed: 0, superseded: 0, retried: 0, failed: 0, jobs: [] };
+
+  await releaseStaleJobs();
+
+  const now = new Date().toISOString();
+  const { data: candidates, error: candidatesError } = await supabase
+    .from('transfer_queue')
+    .select('id')
+    .eq('status', 'pending')
+    .or(`next_attempt_at.is.null,next_attempt_at.lte.${now}`)
+    .order('created_at', { ascending: true })
+    .limit(limit);
+
+  if (candidatesError) {
+    throw new Error(`Failed to read transfer queue: ${candidatesError.message}`);
+  }
+
+  for (const candidate of candidates) {
+    const job = await claimJob(candidate.id, workerId);
+
+    // Another worker got there first
+    if (!job) continue;
+
+    summary.claimed++;
+    const result = await runJob(job);
+    summary[result.status]++;
+    summary.jobs.push(result);
+  }
+
+  return summary;
+}
+
+// Compare-and-set on status, as in lib/mint_worker.js
+async function claimJob(jobId, workerId) {
+  const { data: job, error } = await supabase
+    .from('transfer_queue')
+    .update({
+      status: 'processing',
+      locked_at: new Date().toISOString(),
+      locked_by: workerId
+    })
+    .eq('id', jobId)
+    .eq('status', 'pending')
+    .select()
+    .maybeSingle();
+
+  if (error) {
+    throw new Error(`Failed to claim transfer job ${jobId}: ${error.message}`);
+  }
+
+  return job;
+}
+
+async function releaseStaleJobs() {
+  const staleBefore = new Date(Date.now() - STALE_LOCK_MS).toISOString();
+
+  const { error } = await supabase
+    .from('transfer_queue')
+    .update({
+      status: 'pending',
+      locked_at: null,
+      locked_by: null,
+      error_message: 'Released after worker lock expired'
+    })
+    .eq('status', 'processing')
+    .lt('locked_at', staleBefore);
+
+  if (error) {
+    console.error('Failed to release stale transfer jobs:', error);
+  }
+}
+
+async function runJob(job) {
+  try {
+    const { data: ticket, error: ticketError } = await supabase
+      .from('tickets')
+      .select('ticket_id, user_id, ticket_status, deleted_at')
+      .eq('ticket_id', job.ticket_id)
+      .maybeSingle();
+
+    if (ticketError) {
+      throw ticketError;
+    }
+
+    // The ticket was deleted, revoked or given to someone else since it was queued
+    if (!ticket || ticket.deleted_at || ticket.ticket_status !== 'valid' || ticket.user_id !== job.user_id) {
+      await finishJob(job, { status: 'superseded' });
+      return { id: job.id, status: 'superseded' };
+    }
+
+    // A previous attempt may have landed before the worker died, so check before sending
+    const contract = getReadContract(job.contract_address, job.network);
+    const owner = await contract.ownerOf(job.token_id);
+
+    let txHash = null;
+    if (owner.toLowerCase() !== job.to_address.toLowerCase()) {
+      ({ txHash } = await transferFromEventWallet(job.contract_address, job.from_address, job.to_address, job.token_id, job.network));
+    }
+
+    await supabase
+      .from('tickets')
+      .update({
+        nft_mint_status: 'transferred',
+        owner_address: job.to_address.toLowerCase(),
+        transfer_status: 'confirmed',
+        ...(txHash ? { transfer_tx_hash: txHash } : {})
+      })
+      .eq('ticket_id', job.ticket_id)
+      .eq('user_id', job.user_id);
+
+    await finishJob(job, { status: 'completed', tx_hash: txHash });
+    return { id: job.id, status: 'completed', tx_hash: txHash };
+  } catch (error) {
+    console.error(`Transfer job ${job.id} failed:`, error);
+    return handleJobFailure(job, error);
+  }
+}
+
+async function handleJobFailure(job, error) {
+  const retryCount = (job.retry_count || 0) + 1;
+
+  if (retryCount >= MAX_RETRIES) {
+    // The assignment stands and the token stays in the event wallet; an admin can retry
+    // by unassigning and assigning again
+    await supabase
+      .from('tickets')
+      .update({ transfer_status: 'failed' })
+      .eq('ticket_id', job.ticket_id)
+      .eq('user_id', job.user_id);
+
+    await finishJob(job, { status: 'failed', retry_count: retryCount, error_message: error.message });
+    return { id: job.id, status: 'failed', error: error.message };
+  }
+
+  const nextAttemptAt = new Date(Date.now() + getRetryDelay(retryCount)).toISOString();
+  await updateJob(job.id, {
+    status: 'pending',
+    retry_count: retryCount,
+    error_message: error.message,
+    next_attempt_at: nextAttemptAt,
+    locked_at: null,
+    locked_by: null
+  });
+
+  return { id: job.id, status: 'retried', error: error.message, next_attempt_at: nextAttemptAt };
+}
+
+function finishJob(job, fields) {
+  return updateJob(job.id, {
+    ...fields,
+    processed_at: new Date().toISOString(),
+    next_attempt_at: null,
+    locked_at: null,
+    locked_by: null
+  });
+}
+
+async function updateJob(jobId, fields) {
+  const { error } = await supabase
+    .from('transfer_queue')
+    .update(fields)
+    .eq('id', jobId);
+
+  if (error) {
+    console.error(`Failed to update transfer job ${jobId}:`, error);
+  }
+}
@@ -0,0 +1,99 @@
+import { test, before, after, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { ethers } from 'ethers';
+import { fakeSupabase, filter } from './testing/fake_supabase.js';
+import { getProvider } from './networks.js';
+import { processTransferQueue } from './transfer_worker.js';
+
+const ATTENDEE_WALLET = '0x00000000000000000000000000000000000000a1';
+
+const job = {
+  id: 9,
+  ticket_id: 't1',
+  user_id: 'user-1',
+  network: 'anvil',
+  contract_address: '0x00000000000000000000000000000000000000c1',
+  token_id: 1,
+  from_address: '0x00000000000000000000000000000000000000e1',
+  to_address: ATTENDEE_WALLET,
+  retry_count: 0
+};
+
+let fake;
+
+before(() => {
+  process.env.ENABLE_LOCAL_NETWORKS = 'true';
+  process.env.ANVIL_RPC_URL = 'http://127.0.0.1:1';
+});
+
+after(() => {
+  delete process.env.ENABLE_LOCAL_NETWORKS;
+  delete process.env.ANVIL_RPC_URL;
+});
+
+afterEach(() => fake?.restore());
+
+// One due job for a ticket that is now `ticket`
+function withJob(ticket, claimed = job) {
+  fake = fakeSupabase(({ table, calls }) => {
+    if (table === 'transfer_queue' && calls[0][0] === 'select') return { data: [{ id: job.id }], error: null };
+    if (table === 'transfer_queue' && filter({ calls }, 'select')) return { data: claimed, error: null };
+    if (table === 'tickets' && calls[0][0] === 'select') return { data: ticket, error: null };
+    return { data: null, error: null };
+  });
+}
+
+const assigned = { ticket_id: 't1', user_id: 'user-1', ticket_status: 'valid', deleted_at: null };
+
+const queries = (table, method) => fake.queries.filter(query => query.table === table && query.calls[0][0] === method);
+
+test('a job for a ticket given to someone else since is superseded', async () => {
+  withJob({ ...assigned, user_id: 'user-2' });
+
+  assert.deepEqual((await processTransferQueue()).jobs, [{ id: 9, status: 'superseded' }]);
+  assert.equal(queries('tickets', 'update').length, 0);
+});
+
+test('a job for a revoked or deleted ticket is superseded', async () => {
+  withJob({ ...assigned, ticket_status: 'revoked' });
+  assert.equal((await processTransferQueue()).superseded, 1);
+  fake.restore();
+
+  withJob({ ...assigned, deleted_at: '2026-10-19T12:00:00Z' });
+  assert.equal((await processTransferQueue()).superseded, 1);
+});
+
+test('a token already in the attendee\'s wallet is recorded without sending again', async () => {
+  const provider = getProvider('anvil');
+  const call = provider.call;
+  // ownerOf(1) answers the attendee's wallet: an earlier attempt landed before the worker died
+  provider.call = async () => ethers.utils.defaultAbiCoder.encode(['address'], [ATTENDEE_WALLET]);
+  withJob(assigned);
+
+  try {
+    assert.deepEqual((await processTransferQueue()).jobs, [{ id: 9, status: 'completed', tx_hash: null }]);
+  } finally {
+    provider.call = call;
+  }
+
+  const [update] = queries('tickets', 'update');
+  assert.deepEqual(update.calls[0][1], { nft_mint_status: 'transferred', owner_address: ATTENDEE_WALLET, transfer_status: 'confirmed' });
+  assert.deepEqual(filter(update, 'eq', 'user_id'), ['user_id', 'user-1']);
+});
+
+test('the last failed attempt marks the ticket\'s transfer failed and keeps the assignment', async () => {
+  const provider = getProvider('anvil');
+  const call = provider.call;
+  provider.call = async () => { throw new Error('rpc unavailable'); };
+  withJob(assigned, { ...job, retry_count: 4 });
+
+  try {
+    const [result] = (await processTransferQueue()).jobs;
+    assert.equal(result.status, 'failed');
+  } finally {
+    provider.call = call;
+  }
+
+  const [update] = queries('tickets', 'update');
+  assert.deepEqual(update.calls[0][1], { transfer_status: 'failed' });
+});
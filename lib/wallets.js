@@ -0,0 +1,65 @@
+import { supabase } from './supabase.js';
+
+// Role given to a primary wallet when another wallet takes over
+export const DEMOTED_WALLET_ROLE = 'minter';
+
+// The wallet minted tokens are sent to: the active primary, else any active wallet
+export function pickMintWallet(adminWallets = []) {
+  const active = adminWallets.filter(wallet => wallet.is_active);
+  return active.find(wallet => wallet.role === 'primary') || active[0] || null;
+}
+
+// Demote every active primary wallet of an event except `exceptWalletId`
+export async function demotePrimaryWallets(eventId, exceptWalletId = null) {
+  let query = supabase
+    .from('admin_wallets')
+    .update({ role: DEMOTED_WALLET_ROLE })
+    .eq('event_id', eventId)
+    .eq('role', 'primary');
+
+  if (exceptWalletId) {
+    query = query.neq('wallet_id', exceptWalletId);
+  }
+
+  const { data: demoted, error } = await query.select('wallet_id, wallet_address');
+
+  if (error) {
+    throw new Error(`Failed to demote primary wallets: ${error.message}`);
+  }
+
+  return demoted;
+}
+
+// Point events.wallet_address at the event's active primary wallet, or clear it
+// when there is none, so the event never references an inactive wallet
+export async function syncEventPrimaryWallet(eventId) {
+  const { data: primary, error: primaryError } = await supabase
+    .from('admin_wallets')
+    .select('wallet_id, wallet_address')
+    .eq('event_id', eventId)
+    .eq('role', 'primary')
+    .eq('is_active', true)
+    .order('added_at', { ascending: false })
+    .limit(1)
+    .maybeSingle();
+
+  if (primaryError) {
+    throw new Error(`Failed to look up primary wallet: ${primaryError.message}`);
+  }
+
+  const eventWallet = {
+    wallet_address: primary?.wallet_address || null,
+    wallet_connected: Boolean(primary)
+  };
+
+  const { error: updateError } = await supabase
+    .from('events')
+    .update(eventWallet)
+    .eq('event_id', eventId);
+
+  if (updateError) {
+    throw new Error(`Failed to update event wallet info: ${updateError.message}`);
+  }
+
+  return { ...eventWallet, wallet_id: primary?.wallet_id || null };
+}
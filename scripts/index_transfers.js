@@ -0,0 +1,33 @@
+// Index Transfer logs of event contracts from the command line, e.g. against a local anvil chain:
+//
+//   ENABLE_LOCAL_NETWORKS=true ANVIL_RPC_URL=http://127.0.0.1:8545 \
+//   node scripts/index_transfers.js [--watch] [--interval=15] [--max-blocks=20000]
+//
+// Progress is stored per contract in transfer_index_cursors, so the script can be stopped and restarted.
+import { indexTransfers } from '../lib/transfer_indexer.js';
+
+const args = Object.fromEntries(
+  process.argv.slice(2).map(arg => {
+    const [key, value = 'true'] = arg.replace(/^--/, '').split('=');
+    return [key, value];
+  })
+);
+
+const maxBlocks = parseInt(args['max-blocks']) || undefined;
+const intervalMs = (parseInt(args.interval) || 15) * 1000;
+
+async function runOnce() {
+  const summary = await indexTransfers({ maxBlocks });
+  console.log(JSON.stringify(summary, null, 2));
+}
+
+try {
+  await runOnce();
+
+  if (args.watch === 'true') {
+    setInterval(() => runOnce().catch(error => console.error('Transfer indexer error:', error)), intervalMs);
+  }
+} catch (error) {
+  console.error('Transfer indexer error:', error);
+  process.exit(1);
+}
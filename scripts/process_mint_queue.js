@@ -0,0 +1,36 @@
+// Drain mint_queue from the command line, e.g. against two local anvil chains
+// (events on blockchain_network 'anvil' and 'anvil-2', see lib/networks.js):
+//
+//   ENABLE_LOCAL_NETWORKS=true ANVIL_RPC_URL=http://127.0.0.1:8545 ANVIL_2_RPC_URL=http://127.0.0.1:8546 \
+//   MINTER_PRIVATE_KEY=0x... \
+//   node scripts/process_mint_queue.js [--watch] [--interval=10] [--limit=5]
+//
+// Starting anvil with a low block gas limit (e.g. `anvil --gas-limit 2000000`) forces
+// large jobs to be split into several chunks (lib/mint_chunks.js).
+import { processMintQueue } from '../lib/mint_worker.js';
+
+const args = Object.fromEntries(
+  process.argv.slice(2).map(arg => {
+    const [key, value = 'true'] = arg.replace(/^--/, '').split('=');
+    return [key, value];
+  })
+);
+
+const limit = parseInt(args.limit) || 5;
+const intervalMs = (parseInt(args.interval) || 10) * 1000;
+
+async function runOnce() {
+  const summary = await processMintQueue({ limit, workerId: `cli-${process.pid}` });
+  console.log(JSON.stringify(summary, null, 2));
+}
+
+try {
+  await runOnce();
+
+  if (args.watch === 'true') {
+    setInterval(() => runOnce().catch(error => console.error('Mint worker error:', error)), intervalMs);
+  }
+} catch (error) {
+  console.error('Mint worker error:', error);
+  process.exit(1);
+}
@@ -0,0 +1,31 @@
+// Send queued on-chain ticket transfers from the command line, e.g. against a local anvil chain:
+//
+//   ENABLE_LOCAL_NETWORKS=true ANVIL_RPC_URL=http://127.0.0.1:8545 MINTER_PRIVATE_KEY=0x... \
+//   node scripts/process_transfer_queue.js [--watch] [--interval=10] [--limit=10]
+import { processTransferQueue } from '../lib/transfer_worker.js';
+
+const args = Object.fromEntries(
+  process.argv.slice(2).map(arg => {
+    const [key, value = 'true'] = arg.replace(/^--/, '').split('=');
+    return [key, value];
+  })
+);
+
+const limit = parseInt(args.limit) || 10;
+const intervalMs = (parseInt(args.interval) || 10) * 1000;
+
+async function runOnce() {
+  const summary = await processTransferQueue({ limit, workerId: `cli-${process.pid}` });
+  console.log(JSON.stringify(summary, null, 2));
+}
+
+try {
+  await runOnce();
+
+  if (args.watch === 'true') {
+    setInterval(() => runOnce().catch(error => console.error('Transfer worker error:', error)), intervalMs);
+  }
+} catch (error) {
+  console.error('Transfer worker error:', error);
+  process.exit(1);
+}
@@ -0,0 +1,30 @@
+// Compare an event's tickets with its NFT contract from the command line:
+//
+//   node scripts/reconcile_event.js --event=<event_id> [--repair]
+//
+// Prints the drift report (see lib/reconcile.js). Exits with status 2 when drift remains unrepaired.
+import { reconcileEvent } from '../lib/reconcile.js';
+
+const args = Object.fromEntries(
+  process.argv.slice(2).map(arg => {
+    const [key, value = 'true'] = arg.replace(/^--/, '').split('=');
+    return [key, value];
+  })
+);
+
+if (!args.event) {
+  console.error('Usage: node scripts/reconcile_event.js --event=<event_id> [--repair]');
+  process.exit(1);
+}
+
+try {
+  const report = await reconcileEvent(args.event, { repair: args.repair === 'true' });
+  console.log(JSON.stringify(report, null, 2));
+
+  if (report.drift.some(entry => !entry.repaired)) {
+    process.exit(2);
+  }
+} catch (error) {
+  console.error('Reconciliation error:', error);
+  process.exit(1);
+}
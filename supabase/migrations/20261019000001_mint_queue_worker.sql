@@ -0,0 +1,11 @@
+-- Columns used by the mint queue worker (lib/mint_worker.js)
+alter table mint_queue add column if not exists retry_count integer not null default 0;
+alter table mint_queue add column if not exists error_message text;
+alter table mint_queue add column if not exists processed_at timestamptz;
+alter table mint_queue add column if not exists next_attempt_at timestamptz;
+alter table mint_queue add column if not exists locked_at timestamptz;
+alter table mint_queue add column if not exists locked_by text;
+alter table mint_queue add column if not exists tx_hash text;
+
+create index if not exists mint_queue_due_idx
+  on mint_queue (status, next_attempt_at, created_at);
@@ -0,0 +1,5 @@
+-- Where each ticket's token metadata was stored (lib/metadata_storage)
+alter table tickets add column if not exists metadata_cid text;
+alter table tickets add column if not exists metadata_uri text;
+
+create index if not exists tickets_metadata_cid_idx on tickets (metadata_cid);
@@ -0,0 +1,10 @@
+-- Revocation details written by api/event/revoke.js and api/event/unrevoke.js
+alter table tickets add column if not exists revoked_at timestamptz;
+alter table tickets add column if not exists revoked_by uuid references users (user_id);
+alter table tickets add column if not exists revocation_reason text;
+alter table tickets add column if not exists revocation_note text;
+alter table tickets add column if not exists revocation_tx_hash text;
+alter table tickets add column if not exists unrevoked_at timestamptz;
+alter table tickets add column if not exists unrevoked_by uuid references users (user_id);
+alter table tickets add column if not exists unrevocation_note text;
+alter table tickets add column if not exists unrevocation_tx_hash text;
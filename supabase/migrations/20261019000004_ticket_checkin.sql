@@ -0,0 +1,5 @@
+-- Signed QR payloads (lib/ticket_qr.js) and gate check-in (api/event/checkin.js)
+alter table tickets add column if not exists qr_nonce text;
+alter table tickets add column if not exists checked_in_at timestamptz;
+alter table tickets add column if not exists checked_in_by uuid references users (user_id);
+alter table tickets add column if not exists checked_in_device text;
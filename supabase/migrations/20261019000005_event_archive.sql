@@ -0,0 +1,5 @@
+-- Archiving (api/event/archive.js)
+alter table events add column if not exists archived_at timestamptz;
+alter table events add column if not exists archived_by uuid references users (user_id);
+
+create index if not exists events_upcoming_idx on events (event_date) where archived_at is null;
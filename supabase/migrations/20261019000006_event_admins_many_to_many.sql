@@ -0,0 +1,6 @@
+-- An admin can be linked to many events, but only once per event
+alter table event_admins drop constraint if exists event_admins_auth_id_key;
+alter table event_admins drop constraint if exists event_admins_user_id_key;
+
+create unique index if not exists event_admins_auth_event_idx on event_admins (auth_id, event_id);
+create index if not exists event_admins_user_id_idx on event_admins (user_id);
@@ -0,0 +1,12 @@
+-- Permission levels understood by lib/permissions.js
+alter table event_admins alter column permission_level set default 'editor';
+
+-- connect_event used to store any string; map unknown levels to the default first
+update event_admins
+set permission_level = 'editor'
+where permission_level is null
+   or permission_level not in ('owner', 'editor', 'viewer', 'scanner');
+
+alter table event_admins drop constraint if exists event_admins_permission_level_check;
+alter table event_admins add constraint event_admins_permission_level_check
+  check (permission_level in ('owner', 'editor', 'viewer', 'scanner'));
@@ -0,0 +1,20 @@
+-- Invitations to join an event as admin (api/event/*_invite*.js, api/event/connect_event.js)
+create table if not exists event_invites (
+  invite_id uuid primary key default gen_random_uuid(),
+  event_id uuid not null references events (event_id) on delete cascade,
+  email text,
+  user_id uuid references users (user_id),
+  permission_level text not null default 'editor'
+    check (permission_level in ('owner', 'editor', 'viewer', 'scanner')),
+  token_hash text not null unique,
+  expires_at timestamptz not null,
+  created_by uuid references users (user_id),
+  created_at timestamptz not null default now(),
+  accepted_at timestamptz,
+  accepted_by uuid references users (user_id),
+  revoked_at timestamptz,
+  revoked_by uuid references users (user_id),
+  check (email is not null or user_id is not null)
+);
+
+create index if not exists event_invites_event_id_idx on event_invites (event_id, created_at desc);
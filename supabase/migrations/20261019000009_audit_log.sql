@@ -0,0 +1,39 @@
+-- Append-only trail of admin actions (lib/audit.js, api/audit)
+create table if not exists audit_log (
+  audit_id bigint generated always as identity primary key,
+  occurred_at timestamptz not null default now(),
+  actor_auth_id uuid not null,
+  actor_user_id uuid,
+  actor_email text,
+  action text not null,
+  event_id uuid,
+  target_type text not null,
+  target_id text,
+  before jsonb,
+  after jsonb,
+  metadata jsonb,
+  request_ip text,
+  user_agent text
+);
+
+create index if not exists audit_log_event_idx on audit_log (event_id, occurred_at desc);
+create index if not exists audit_log_actor_idx on audit_log (actor_auth_id, occurred_at desc);
+create index if not exists audit_log_action_idx on audit_log (action, occurred_at desc);
+
+-- Rows can be added but never changed or removed, not even with the service key
+create or replace function audit_log_is_append_only() returns trigger
+language plpgsql as $$
+begin
+  raise exception 'audit_log is append-only';
+end;
+$$;
+
+drop trigger if exists audit_log_no_update on audit_log;
+create trigger audit_log_no_update
+  before update or delete on audit_log
+  for each row execute function audit_log_is_append_only();
+
+drop trigger if exists audit_log_no_truncate on audit_log;
+create trigger audit_log_no_truncate
+  before truncate on audit_log
+  for each statement execute function audit_log_is_append_only();
@@ -0,0 +1,5 @@
+-- Soft delete (api/event/delete.js, api/event/restore.js, lib/ticket_purge.js)
+alter table tickets add column if not exists deleted_at timestamptz;
+alter table tickets add column if not exists deleted_by uuid references users (user_id);
+
+create index if not exists tickets_deleted_at_idx on tickets (deleted_at) where deleted_at is not null;
@@ -0,0 +1,13 @@
+-- Sign-In with Ethereum challenges for wallet ownership (api/event/wallet_challenge.js)
+create table if not exists wallet_nonces (
+  nonce text primary key,
+  auth_id uuid not null,
+  event_id uuid not null references events (event_id) on delete cascade,
+  wallet_address text not null,
+  message text not null,
+  created_at timestamptz not null default now(),
+  expires_at timestamptz not null,
+  used_at timestamptz
+);
+
+create index if not exists wallet_nonces_expires_at_idx on wallet_nonces (expires_at);
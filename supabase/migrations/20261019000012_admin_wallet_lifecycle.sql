@@ -0,0 +1,8 @@
+-- Wallet deactivation and primary rotation (api/event/*_wallet*.js, lib/wallets.js)
+alter table admin_wallets add column if not exists deactivated_at timestamptz;
+alter table admin_wallets add column if not exists deactivated_by uuid references users (user_id);
+alter table admin_wallets add column if not exists deactivation_reason text;
+
+-- At most one active primary wallet per event
+create unique index if not exists admin_wallets_one_primary_idx
+  on admin_wallets (event_id) where role = 'primary' and is_active;
@@ -0,0 +1,24 @@
+-- Ticket tiers (api/event/*_tier*.js, api/event/mint.js, lib/availability.js)
+create table if not exists ticket_tiers (
+  tier_id uuid primary key default gen_random_uuid(),
+  event_id uuid not null references events (event_id) on delete cascade,
+  name text not null,
+  description text,
+  image_url text,
+  price numeric(20, 8) not null check (price >= 0),
+  currency text not null default 'ETH',
+  max_supply integer not null check (max_supply > 0),
+  sale_start timestamptz,
+  sale_end timestamptz,
+  created_by uuid references users (user_id),
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now(),
+  check (sale_start is null or sale_end is null or sale_start < sale_end)
+);
+
+create unique index if not exists ticket_tiers_event_name_idx on ticket_tiers (event_id, lower(name));
+
+-- Tickets minted before tiers existed keep a null tier_id
+alter table tickets add column if not exists tier_id uuid references ticket_tiers (tier_id);
+
+create index if not exists tickets_tier_id_idx on tickets (tier_id) where tier_id is not null;
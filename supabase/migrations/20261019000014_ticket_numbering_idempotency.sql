@@ -0,0 +1,83 @@
+-- Atomic ticket numbering and tier supply enforcement (api/event/mint.js)
+create table if not exists event_ticket_counters (
+  event_id uuid primary key references events (event_id) on delete cascade,
+  last_ticket_number integer not null default 0
+);
+
+insert into event_ticket_counters (event_id, last_ticket_number)
+select event_id, max(ticket_number) from tickets group by event_id
+on conflict (event_id) do nothing;
+
+-- Reserve p_quantity consecutive ticket numbers for an event and return the first.
+-- The upsert takes a row lock, so concurrent callers get disjoint ranges.
+create or replace function allocate_ticket_numbers(p_event_id uuid, p_quantity integer)
+returns integer
+language plpgsql as $$
+declare
+  v_last integer;
+begin
+  if p_quantity is null or p_quantity < 1 then
+    raise exception 'p_quantity must be positive';
+  end if;
+
+  insert into event_ticket_counters as c (event_id, last_ticket_number)
+  values (
+    p_event_id,
+    coalesce((select max(ticket_number) from tickets where event_id = p_event_id), 0) + p_quantity
+  )
+  on conflict (event_id) do update
+    set last_ticket_number = c.last_ticket_number + p_quantity
+  returning last_ticket_number into v_last;
+
+  return v_last - p_quantity + 1;
+end;
+$$;
+
+-- Reject inserts that would push a tier past max_supply. Locking the tier rows
+-- serialises concurrent mints of the same tier, so the count sees committed batches.
+create or replace function enforce_tier_supply() returns trigger
+language plpgsql as $$
+declare
+  v_tier record;
+begin
+  for v_tier in
+    select t.tier_id, t.name, t.max_supply
+    from ticket_tiers t
+    where t.tier_id in (select distinct tier_id from new_tickets where tier_id is not null)
+    order by t.tier_id
+    for update
+  loop
+    if (select count(*) from tickets where tier_id = v_tier.tier_id) > v_tier.max_supply then
+      raise exception 'tier_supply_exceeded: tier % (%) is limited to % tickets',
+        v_tier.name, v_tier.tier_id, v_tier.max_supply;
+    end if;
+  end loop;
+
+  return null;
+end;
+$$;
+
+drop trigger if exists tickets_enforce_tier_supply on tickets;
+create trigger tickets_enforce_tier_supply
+  after insert on tickets
+  referencing new table as new_tickets
+  for each statement execute function enforce_tier_supply();
+
+-- Stored responses for Idempotency-Key replays (lib/idempotency.js)
+create table if not exists idempotency_keys (
+  auth_id uuid not null,
+  endpoint text not null,
+  idempotency_key text not null,
+  request_hash text not null,
+  status text not null default 'in_progress' check (status in ('in_progress', 'completed')),
+  response_status integer,
+  response_body jsonb,
+  -- Lease on an in_progress key; once it passes, a retry may take the key over
+  locked_until timestamptz,
+  created_at timestamptz not null default now(),
+  completed_at timestamptz,
+  expires_at timestamptz not null,
+  primary key (auth_id, endpoint, idempotency_key)
+);
+
+create index if not exists idempotency_keys_expires_at_idx on idempotency_keys (expires_at);
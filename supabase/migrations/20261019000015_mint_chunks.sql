@@ -0,0 +1,24 @@
+-- Per-chunk progress of queued mints (lib/mint_chunks.js)
+create table if not exists mint_chunks (
+  chunk_id uuid primary key default gen_random_uuid(),
+  -- mint_queue.id, stored as text
+  job_id text not null,
+  event_id uuid not null references events (event_id) on delete cascade,
+  chunk_index integer not null,
+  ticket_ids uuid[] not null,
+  token_ids bigint[] not null,
+  metadata_uploads jsonb,
+  status text not null default 'pending' check (status in ('pending', 'sent', 'confirmed', 'failed')),
+  nonce integer,
+  gas_estimate text,
+  gas_used text,
+  tx_hash text,
+  block_number bigint,
+  error_message text,
+  created_at timestamptz not null default now(),
+  sent_at timestamptz,
+  confirmed_at timestamptz,
+  unique (job_id, chunk_index)
+);
+
+create index if not exists mint_chunks_event_id_idx on mint_chunks (event_id, created_at desc);
@@ -0,0 +1,38 @@
+-- Transfer log indexer (lib/transfer_indexer.js)
+
+-- Wallets attendees hold tickets in; used to map Transfer recipients to users
+alter table users add column if not exists wallet_address text;
+create index if not exists users_wallet_address_idx on users (lower(wallet_address));
+
+alter table tickets add column if not exists owner_address text;
+alter table tickets add column if not exists owner_updated_block bigint;
+create index if not exists tickets_contract_token_idx on tickets (nft_contract_address, nft_token_id);
+
+-- Last fully scanned block per contract
+create table if not exists transfer_index_cursors (
+  network text not null,
+  contract_address text not null,
+  last_scanned_block bigint not null,
+  updated_at timestamptz not null default now(),
+  primary key (network, contract_address)
+);
+
+-- Every Transfer log seen. Rows inside the reorg window are replaced on each scan.
+create table if not exists nft_transfers (
+  network text not null,
+  contract_address text not null,
+  block_number bigint not null,
+  block_hash text not null,
+  tx_hash text not null,
+  log_index integer not null,
+  from_address text not null,
+  to_address text not null,
+  token_id text not null,
+  indexed_at timestamptz not null default now(),
+  primary key (network, contract_address, tx_hash, log_index)
+);
+
+create index if not exists nft_transfers_token_idx
+  on nft_transfers (network, contract_address, token_id, block_number desc, log_index desc);
+create index if not exists nft_transfers_block_idx
+  on nft_transfers (network, contract_address, block_number);
@@ -0,0 +1,11 @@
+-- Issuing tickets to attendees (api/event/assign_ticket.js, api/event/unassign_ticket.js)
+alter table tickets add column if not exists issued_by uuid references users (user_id);
+alter table tickets add column if not exists issued_at timestamptz;
+alter table tickets add column if not exists issue_reason text
+  check (issue_reason in ('comp', 'box_office', 'replacement'));
+alter table tickets add column if not exists issue_note text;
+alter table tickets add column if not exists transfer_tx_hash text;
+
+-- Finding unassigned inventory in a tier
+create index if not exists tickets_tier_inventory_idx
+  on tickets (tier_id, ticket_number) where user_id is null and deleted_at is null;
@@ -0,0 +1,137 @@
+-- Sales and attendance analytics, aggregated in the database (api/event/analytics.js).
+-- Soft-deleted tickets are left out; "sold" means a valid ticket assigned to a user.
+create or replace function event_ticket_analytics(p_event_id uuid, p_timezone text default 'UTC')
+returns jsonb
+language plpgsql stable as $$
+declare
+  v_event_day date;
+  v_daily jsonb;
+  v_revenue_by_tier jsonb;
+  v_revenue_by_currency jsonb;
+  v_minting jsonb;
+  v_checkins jsonb;
+begin
+  if not exists (select 1 from pg_timezone_names where name = p_timezone) then
+    raise exception 'invalid_timezone: %', p_timezone;
+  end if;
+
+  select (event_date at time zone p_timezone)::date into v_event_day
+  from events where event_id = p_event_id;
+
+  -- Tickets issued, sold and revoked per local day
+  with activity as (
+    select (created_at at time zone p_timezone)::date as day, 'issued' as kind
+    from tickets where event_id = p_event_id and deleted_at is null
+    union all
+    select (coalesce(issued_at, created_at) at time zone p_timezone)::date, 'sold'
+    from tickets where event_id = p_event_id and deleted_at is null
+      and ticket_status = 'valid' and user_id is not null
+    union all
+    select (revoked_at at time zone p_timezone)::date, 'revoked'
+    from tickets where event_id = p_event_id and deleted_at is null
+      and ticket_status = 'revoked' and revoked_at is not null
+  )
+  select coalesce(jsonb_agg(jsonb_build_object(
+    'date', day,
+    'issued', issued,
+    'sold', sold,
+    'revoked', revoked
+  ) order by day), '[]'::jsonb) into v_daily
+  from (
+    select day,
+      count(*) filter (where kind = 'issued') as issued,
+      count(*) filter (where kind = 'sold') as sold,
+      count(*) filter (where kind = 'revoked') as revoked
+    from activity
+    group by day
+  ) days;
+
+  -- Revenue of sold tickets at their tier's list price
+  select coalesce(jsonb_agg(jsonb_build_object(
+    'tier_id', tier_id,
+    'name', name,
+    'currency', currency,
+    'price', price,
+    'sold', sold,
+    'revenue', price * sold
+  ) order by created_at), '[]'::jsonb) into v_revenue_by_tier
+  from (
+    select tt.tier_id, tt.name, tt.currency, tt.price, tt.created_at,
+      count(t.ticket_id) as sold
+    from ticket_tiers tt
+    left join tickets t on t.tier_id = tt.tier_id
+      and t.deleted_at is null and t.ticket_status = 'valid' and t.user_id is not null
+    where tt.event_id = p_event_id
+    group by tt.tier_id
+  ) tiers;
+
+  select coalesce(jsonb_agg(jsonb_build_object(
+    'currency', currency,
+    'sold', sold,
+    'revenue', revenue
+  ) order by currency), '[]'::jsonb) into v_revenue_by_currency
+  from (
+    select tt.currency, count(*) as sold, sum(tt.price) as revenue
+    from tickets t
+    join ticket_tiers tt on tt.tier_id = t.tier_id
+    where t.event_id = p_event_id and t.deleted_at is null
+      and t.ticket_status = 'valid' and t.user_id is not null
+    group by tt.currency
+  ) currencies;
+
+  -- Transferred tokens were minted successfully before they left the event wallet
+  select jsonb_build_object(
+    'pending', count(*) filter (where nft_mint_status = 'pending'),
+    'minted', count(*) filter (where nft_mint_status = 'minted'),
+    'transferred', count(*) filter (where nft_mint_status = 'transferred'),
+    'failed', count(*) filter (where nft_mint_status = 'failed'),
+    'success_rate', round(
+      count(*) filter (where nft_mint_status in ('minted', 'transferred'))::numeric
+        / nullif(count(*) filter (where nft_mint_status in ('minted', 'transferred', 'failed')), 0), 4),
+    'failure_rate', round(
+      count(*) filter (where nft_mint_status = 'failed')::numeric
+        / nullif(count(*) filter (where nft_mint_status in ('minted', 'transferred', 'failed')), 0), 4)
+  ) into v_minting
+  from tickets
+  where event_id = p_event_id and deleted_at is null;
+
+  -- Check-in rate over sold tickets, and check-ins per local hour of the event day
+  select jsonb_build_object(
+    'event_day', v_event_day,
+    'sold', count(*) filter (where ticket_status = 'valid' and user_id is not null),
+    'checked_in', count(*) filter (where checked_in_at is not null),
+    'rate', round(
+      count(*) filter (where checked_in_at is not null and ticket_status = 'valid' and user_id is not null)::numeric
+        / nullif(count(*) filter (where ticket_status = 'valid' and user_id is not null), 0), 4),
+    'outside_event_day', count(*) filter (
+      where checked_in_at is not null
+        and (checked_in_at at time zone p_timezone)::date is distinct from v_event_day),
+    'by_hour', (
+      select jsonb_agg(jsonb_build_object('hour', h.hour, 'checked_in', coalesce(c.checked_in, 0)) order by h.hour)
+      from generate_series(0, 23) as h(hour)
+      left join (
+        select extract(hour from checked_in_at at time zone p_timezone)::integer as hour, count(*) as checked_in
+        from tickets
+        where event_id = p_event_id and deleted_at is null and checked_in_at is not null
+          and (checked_in_at at time zone p_timezone)::date = v_event_day
+        group by 1
+      ) c on c.hour = h.hour
+    )
+  ) into v_checkins
+  from tickets
+  where event_id = p_event_id and deleted_at is null;
+
+  return jsonb_build_object(
+    'timezone', p_timezone,
+    'daily', v_daily,
+    'revenue', jsonb_build_object('by_tier', v_revenue_by_tier, 'by_currency', v_revenue_by_currency),
+    'minting', v_minting,
+    'checkins', v_checkins
+  );
+end;
+$$;
+
+-- Range scans for the daily and hourly buckets
+create index if not exists tickets_event_created_at_idx on tickets (event_id, created_at);
+create index if not exists tickets_event_checked_in_at_idx
+  on tickets (event_id, checked_in_at) where checked_in_at is not null;
@@ -0,0 +1,30 @@
+-- On-chain revoke/unrevoke calls queued by api/event/revoke.js and api/event/unrevoke.js
+-- after the database is updated, and sent by lib/revocation_worker.js
+create table if not exists revocation_queue (
+  id bigint generated always as identity primary key,
+  event_id uuid not null references events (event_id) on delete cascade,
+  ticket_id uuid not null references tickets (ticket_id) on delete cascade,
+  network text not null,
+  contract_address text not null,
+  token_id bigint not null,
+  -- Target state: true calls revoke(tokenId), false calls unrevoke(tokenId)
+  revoked boolean not null,
+  status text not null default 'pending'
+    check (status in ('pending', 'processing', 'completed', 'failed', 'superseded')),
+  retry_count integer not null default 0,
+  error_message text,
+  tx_hash text,
+  next_attempt_at timestamptz,
+  locked_at timestamptz,
+  locked_by text,
+  created_at timestamptz not null default now(),
+  processed_at timestamptz
+);
+
+create index if not exists revocation_queue_due_idx
+  on revocation_queue (status, next_attempt_at, created_at);
+create index if not exists revocation_queue_ticket_idx on revocation_queue (ticket_id);
+
+-- Per-ticket progress of the latest revoke/unrevoke on chain; null when nothing was queued
+alter table tickets add column if not exists revocation_chain_status text
+  check (revocation_chain_status in ('pending', 'confirmed', 'failed'));
@@ -0,0 +1,26 @@
+-- Ticket counts per event and tier for lib/availability.js, so large events are
+-- counted in the database instead of being downloaded (and capped) row by row
+create or replace function event_ticket_counts(p_event_ids uuid[])
+returns table (
+  event_id uuid,
+  tier_id uuid,
+  issued_tickets bigint,
+  total_tickets bigint,
+  available_tickets bigint,
+  sold_tickets bigint,
+  revoked_tickets bigint
+)
+language sql stable as $$
+  select
+    t.event_id,
+    t.tier_id,
+    -- Soft-deleted tickets still count against max_supply (see lib/tiers.js)
+    count(*),
+    count(*) filter (where t.deleted_at is null),
+    count(*) filter (where t.deleted_at is null and t.ticket_status = 'valid' and t.user_id is null),
+    count(*) filter (where t.deleted_at is null and t.ticket_status = 'valid' and t.user_id is not null),
+    count(*) filter (where t.deleted_at is null and t.ticket_status = 'revoked')
+  from tickets t
+  where t.event_id = any(p_event_ids)
+  group by t.event_id, t.tier_id;
+$$;
@@ -0,0 +1,34 @@
+-- Mint progress counts for api/event/mint_status.js, computed in the database so
+-- events with more tickets than one PostgREST page are counted correctly.
+-- "minted" includes tokens that have since been transferred out of the event wallet.
+
+create or replace function event_mint_status_counts(p_event_id uuid)
+returns table (total bigint, minted bigint, pending bigint, failed bigint)
+language sql stable as $$
+  select
+    count(*),
+    count(*) filter (where nft_mint_status in ('minted', 'transferred')),
+    count(*) filter (where nft_mint_status = 'pending'),
+    count(*) filter (where nft_mint_status = 'failed')
+  from tickets
+  where event_id = p_event_id and deleted_at is null;
+$$;
+
+-- Per queue job, based on the current status of the tickets it carries.
+-- Deleted or purged tickets count towards total but no status.
+create or replace function mint_job_ticket_counts(p_event_id uuid)
+returns table (job_id text, total bigint, minted bigint, pending bigint, failed bigint)
+language sql stable as $$
+  select
+    q.id::text,
+    count(item),
+    count(*) filter (where t.nft_mint_status in ('minted', 'transferred')),
+    count(*) filter (where t.nft_mint_status = 'pending'),
+    count(*) filter (where t.nft_mint_status = 'failed')
+  from mint_queue q
+  left join lateral jsonb_array_elements(coalesce(q.ticket_data, '[]'::jsonb)) as item on true
+  left join tickets t
+    on t.ticket_id = (item ->> 'ticketId')::uuid and t.deleted_at is null
+  where q.event_id = p_event_id
+  group by q.id;
+$$;
@@ -0,0 +1,85 @@
+-- Apply a validated attendee import (api/event/import.js) in one transaction: claim
+-- inventory for p_assignments, insert p_new_tickets and queue them for minting.
+-- Any failure, including tier_supply_exceeded from the supply trigger, rolls back
+-- the whole import so a CSV is never half applied.
+--
+-- p_assignments: [{ csv_row, tier_id, user_id, issued_by, issue_reason, issue_note, qr_nonce }]
+-- p_new_tickets: ticket rows built by lib/tickets.js buildTierTickets
+-- p_mint_job:    ticket_data for mint_queue, or null when nothing is created
+create or replace function import_event_attendees(
+  p_event_id uuid,
+  p_assignments jsonb,
+  p_new_tickets jsonb,
+  p_mint_job jsonb
+)
+returns jsonb
+language plpgsql as $$
+declare
+  v_assignment record;
+  v_ticket record;
+  v_assigned jsonb := '[]'::jsonb;
+begin
+  for v_assignment in
+    select * from jsonb_to_recordset(p_assignments) as a(
+      csv_row integer, tier_id uuid, user_id uuid, issued_by uuid,
+      issue_reason text, issue_note text, qr_nonce text
+    )
+  loop
+    -- Same inventory rules as the dry run; the fresh qr_nonce voids earlier QR codes
+    update tickets t
+    set user_id = v_assignment.user_id,
+        issued_by = v_assignment.issued_by,
+        issued_at = now(),
+        issue_reason = v_assignment.issue_reason,
+        issue_note = v_assignment.issue_note,
+        qr_nonce = v_assignment.qr_nonce
+    where t.ticket_id = (
+      select i.ticket_id from tickets i
+      where i.event_id = p_event_id
+        and i.tier_id = v_assignment.tier_id
+        and i.ticket_status = 'valid'
+        and i.user_id is null
+        and i.deleted_at is null
+        and i.checked_in_at is null
+        and i.nft_mint_status in ('pending', 'minted')
+      order by i.ticket_number
+      limit 1
+      for update skip locked
+    )
+    returning t.ticket_id, t.ticket_number into v_ticket;
+
+    if not found then
+      raise exception 'import_inventory_changed: no unassigned ticket left in tier %', v_assignment.tier_id;
+    end if;
+
+    v_assigned := v_assigned || jsonb_build_object(
+      'row', v_assignment.csv_row,
+      'ticket_id', v_ticket.ticket_id,
+      'ticket_number', v_ticket.ticket_number
+    );
+  end loop;
+
+  insert into tickets (
+    ticket_id, event_id, tier_id, ticket_number, ticket_status, nft_mint_status,
+    nft_contract_address, nft_token_id, qr_nonce, nft_metadata, created_at,
+    user_id, issued_by, issued_at, issue_reason, issue_note
+  )
+  select
+    ticket_id, event_id, tier_id, ticket_number, ticket_status, nft_mint_status,
+    nft_contract_address, nft_token_id, qr_nonce, nft_metadata, created_at,
+    user_id, issued_by, issued_at, issue_reason, issue_note
+  from jsonb_to_recordset(coalesce(p_new_tickets, '[]'::jsonb)) as n(
+    ticket_id uuid, event_id uuid, tier_id uuid, ticket_number integer, ticket_status text,
+    nft_mint_status text, nft_contract_address text, nft_token_id bigint, qr_nonce text,
+    nft_metadata jsonb, created_at timestamptz, user_id uuid, issued_by uuid,
+    issued_at timestamptz, issue_reason text, issue_note text
+  );
+
+  if p_mint_job is not null and jsonb_array_length(p_mint_job) > 0 then
+    insert into mint_queue (event_id, ticket_data, status, retry_count, created_at)
+    values (p_event_id, p_mint_job, 'pending', 0, now());
+  end if;
+
+  return jsonb_build_object('assigned', v_assigned);
+end;
+$$;
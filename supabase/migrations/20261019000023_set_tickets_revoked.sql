@@ -0,0 +1,56 @@
+-- Revoke (p_revoked = true) or unrevoke tickets and queue their on-chain calls in one
+-- transaction (lib/revocations.js), so a ticket can never change state without its
+-- revocation_queue row. Tickets already in the target state are left alone.
+-- Unrevoking keeps the original revocation fields so the history of the mistake is not lost.
+create or replace function set_tickets_revoked(
+  p_event_id uuid,
+  p_ticket_ids uuid[],
+  p_revoked boolean,
+  p_actor_user_id uuid,
+  p_reason text,
+  p_note text,
+  p_on_chain boolean,
+  p_changed_at timestamptz,
+  p_default_network text
+)
+returns table (ticket_id uuid, chain_status text)
+language sql as $$
+  with changed as (
+    update tickets t
+    set ticket_status = case when p_revoked then 'revoked' else 'valid' end,
+        revoked_at = case when p_revoked then p_changed_at else t.revoked_at end,
+        revoked_by = case when p_revoked then p_actor_user_id else t.revoked_by end,
+        revocation_reason = case when p_revoked then p_reason else t.revocation_reason end,
+        revocation_note = case when p_revoked then p_note else t.revocation_note end,
+        revocation_tx_hash = case when p_revoked then null else t.revocation_tx_hash end,
+        unrevoked_at = case when p_revoked then null else p_changed_at end,
+        unrevoked_by = case when p_revoked then null else p_actor_user_id end,
+        unrevocation_note = case when p_revoked then null else p_note end,
+        unrevocation_tx_hash = null,
+        -- Only minted tokens get the chain call
+        revocation_chain_status = case
+          when p_on_chain
+            and t.nft_token_id is not null
+            and t.nft_contract_address is not null
+            and t.nft_mint_status in ('minted', 'transferred')
+          then 'pending'
+        end
+    where t.event_id = p_event_id
+      and t.ticket_id = any(p_ticket_ids)
+      and t.deleted_at is null
+      and (t.ticket_status = 'revoked') is distinct from p_revoked
+    returning t.ticket_id, t.nft_token_id, t.nft_contract_address, t.revocation_chain_status
+  ),
+  queued as (
+    insert into revocation_queue (event_id, ticket_id, network, contract_address, token_id, revoked)
+    select p_event_id, c.ticket_id,
+      -- Pinned so the job does not depend on config later
+      coalesce((select e.blockchain_network from events e where e.event_id = p_event_id), p_default_network),
+      c.nft_contract_address, c.nft_token_id, p_revoked
+    from changed c
+    where c.revocation_chain_status = 'pending'
+    returning 1
+  )
+  select c.ticket_id, case when c.revocation_chain_status = 'pending' then 'queued' end
+  from changed c;
+$$;
@@ -0,0 +1,87 @@
+-- On-chain transfers of assigned tickets, queued by api/event/assign_ticket.js and sent
+-- by lib/transfer_worker.js, so a request timeout cannot leave the database and chain disagreeing
+create table if not exists transfer_queue (
+  id bigint generated always as identity primary key,
+  event_id uuid not null references events (event_id) on delete cascade,
+  ticket_id uuid not null references tickets (ticket_id) on delete cascade,
+  -- The attendee the ticket was assigned to; the job is superseded if that changes
+  user_id uuid not null references users (user_id),
+  network text not null,
+  contract_address text not null,
+  token_id bigint not null,
+  from_address text not null,
+  to_address text not null,
+  status text not null default 'pending'
+    check (status in ('pending', 'processing', 'completed', 'failed', 'superseded')),
+  retry_count integer not null default 0,
+  error_message text,
+  tx_hash text,
+  next_attempt_at timestamptz,
+  locked_at timestamptz,
+  locked_by text,
+  created_at timestamptz not null default now(),
+  processed_at timestamptz
+);
+
+create index if not exists transfer_queue_due_idx
+  on transfer_queue (status, next_attempt_at, created_at);
+create index if not exists transfer_queue_ticket_idx on transfer_queue (ticket_id);
+
+-- Progress of the latest queued transfer; null when none was requested
+alter table tickets add column if not exists transfer_status text
+  check (transfer_status in ('pending', 'confirmed', 'failed'));
+
+-- Claim an inventory ticket for an attendee and, when p_transfer is given, queue its
+-- on-chain transfer in the same transaction. The user_id filter makes the claim a
+-- compare-and-set; returns the claimed ticket, or null when another request got it first.
+--
+-- p_transfer: { network, contract_address, token_id, from_address, to_address } or null
+create or replace function assign_ticket(
+  p_ticket_id uuid,
+  p_user_id uuid,
+  p_issued_by uuid,
+  p_issue_reason text,
+  p_issue_note text,
+  p_qr_nonce text,
+  p_transfer jsonb
+)
+returns setof tickets
+language plpgsql as $$
+declare
+  v_ticket tickets;
+begin
+  update tickets
+  set user_id = p_user_id,
+      issued_by = p_issued_by,
+      issued_at = now(),
+      issue_reason = p_issue_reason,
+      issue_note = p_issue_note,
+      qr_nonce = p_qr_nonce,
+      transfer_status = case when p_transfer is null then null else 'pending' end,
+      transfer_tx_hash = null
+  where ticket_id = p_ticket_id
+    and user_id is null
+    and deleted_at is null
+  returning * into v_ticket;
+
+  if not found then
+    return;
+  end if;
+
+  if p_transfer is not null then
+    insert into transfer_queue (
+      event_id, ticket_id, user_id, network, contract_address, token_id, from_address, to_address
+    )
+    values (
+      v_ticket.event_id, v_ticket.ticket_id, p_user_id,
+      p_transfer->>'network',
+      p_transfer->>'contract_address',
+      (p_transfer->>'token_id')::bigint,
+      p_transfer->>'from_address',
+      p_transfer->>'to_address'
+    );
+  end if;
+
+  return next v_ticket;
+end;
+$$;
@@ -0,0 +1,18 @@
+-- Users whose auth account has one of p_emails (compared case-insensitively), for
+-- api/event/import.js. Emails live on auth.users, which PostgREST does not expose,
+-- so the lookup runs as the function owner and is limited to the service role.
+create or replace function find_users_by_email(p_emails text[])
+returns table (email text, user_id uuid)
+language sql
+stable
+security definer
+set search_path = public, auth
+as $$
+  select lower(a.email)::text, u.user_id
+  from auth.users a
+  join public.users u on u.auth_id = a.id
+  where lower(a.email) = any (select lower(e) from unnest(p_emails) as e);
+$$;
+
+revoke execute on function find_users_by_email(text[]) from public, anon, authenticated;
+grant execute on function find_users_by_email(text[]) to service_role;
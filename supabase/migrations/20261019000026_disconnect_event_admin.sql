@@ -0,0 +1,35 @@
+-- Remove an admin's link to an event (api/event/disconnect_event.js) unless it would
+-- leave the event without an owner, in which case last_event_owner is raised and
+-- nothing is deleted. The event's owner rows are locked first so two owners leaving
+-- at once cannot both pass the check. Returns the removed row, or none when the
+-- admin was not connected.
+create or replace function disconnect_event_admin(p_event_id uuid, p_auth_id uuid)
+returns setof event_admins
+language plpgsql as $$
+declare
+  v_removed event_admins;
+begin
+  perform 1
+  from event_admins
+  where event_id = p_event_id
+    and permission_level = 'owner'
+  for update;
+
+  delete from event_admins
+  where event_id = p_event_id
+    and auth_id = p_auth_id
+  returning * into v_removed;
+
+  if not found then
+    return;
+  end if;
+
+  if v_removed.permission_level = 'owner' and not exists (
+    select 1 from event_admins where event_id = p_event_id and permission_level = 'owner'
+  ) then
+    raise exception 'last_event_owner: event % must keep an owner', p_event_id;
+  end if;
+
+  return next v_removed;
+end;
+$$;